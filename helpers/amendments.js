@@ -0,0 +1,482 @@
+// helpers/amendments.js
+import { initDB } from "./db.js";
+import { scoreNames, MATCH_MODES, ACCEPT_THRESHOLD, REVIEW_THRESHOLD } from "./match.js";
+import { refreshDuplicateClusters } from "./duplicates.js";
+import { DEFAULT_WEIGHTS, causeAgreement, stationAgreement, combineScores } from "./scoring.js";
+import { parseCauseNo } from "../utils/cause.js";
+import { normalizeNameDB } from "../utils/normalize.js";
+import { resolveStation } from "../utils/stations.js";
+import { parseJSON } from "../utils/common.js";
+
+// Reviewer recorded on review items decided by an amendment (a revoked notice,
+// a correction that re-scores them)
+const SYSTEM_REVIEWER = "system";
+
+/**
+ * Decode a notice_amendments row for API responses
+ */
+export function hydrateAmendment(row) {
+  if (!row) return row;
+  return { ...row, cause_nos: parseJSON(row.cause_nos, []) };
+}
+
+const causeKey = (s) => parseCauseNo(s)?.key ?? null;
+
+// Comparable form of a notice field value
+const sameValue = (field, a, b) => {
+  if (!a || !b) return false;
+  if (field === "name_of_deceased") return normalizeNameDB(a) === normalizeNameDB(b);
+  if (field === "cause_no") return causeKey(a) === causeKey(b);
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+};
+
+// Stored notices an amendment is about: same notice number and year, narrowed
+// to its causes and, for corrigenda, to the entries printed with the old value
+function targetNotices(amendment, notices) {
+  const causes = parseJSON(amendment.cause_nos, []).map(causeKey);
+  let found = causes.length ? notices.filter((n) => causes.includes(causeKey(n.cause_no))) : notices;
+
+  if (amendment.type === "corrigendum" && amendment.old_value) {
+    const printed = found.filter((n) => sameValue(amendment.field, n[amendment.field], amendment.old_value));
+    // the printed value may itself be misread; a single entry is still the one meant
+    if (printed.length || found.length !== 1) found = printed;
+  }
+  return found;
+}
+
+/**
+ * Combined score of a gazette record against a registry row, the way
+ * helpers/match.js scores candidates:
+ *   registry: { name, cause, station }
+ */
+function rescore(g, registry, mode, weights) {
+  const gCause = parseCauseNo(g.cause_no);
+  const eCause = parseCauseNo(registry.cause);
+  return combineScores(
+    {
+      name: { score: scoreNames(g.name_of_deceased, registry.name, mode), mode },
+      cause: { score: causeAgreement(gCause, eCause), gazette: gCause?.key ?? null, registry: eCause?.key ?? null },
+      station: {
+        score: stationAgreement(g.court_station, registry.station),
+        gazette: g.court_station || null,
+        registry: registry.station || null,
+      },
+    },
+    weights
+  );
+}
+
+// Weights a stored breakdown was scored with
+const breakdownWeights = (breakdown) =>
+  breakdown
+    ? Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map((k) => [k, breakdown[k]?.weight ?? DEFAULT_WEIGHTS[k]]))
+    : DEFAULT_WEIGHTS;
+
+const matchMode = (row, breakdown) =>
+  [row.match_type, breakdown?.name?.mode].find((m) => MATCH_MODES.includes(m)) || "tokens";
+
+// Thresholds a re-scored row is held to: those it was matched with (kept in
+// its breakdown by routes/extraction.js), else the run's
+const thresholdsOf = (breakdown, limits) => ({ ...limits, ...breakdown?.thresholds });
+
+// A re-scored breakdown, still carrying the thresholds of the original
+const keepThresholds = (next, breakdown) =>
+  next && breakdown?.thresholds ? { ...next, thresholds: breakdown.thresholds } : next;
+
+// Key columns shared by gazette_matches / review_queue rows of a notice
+const NOTICE_KEY = "court_station = ? AND cause_no = ? AND name_norm = ? AND date_published = ? AND volume_no = ?";
+const noticeKey = (n) => [n.court_station, n.cause_no, n.name_norm, n.date_published || "", n.volume_no || ""];
+
+// Fields a corrigendum can change, for review items' gazette_record JSON
+const fieldsOf = (n) => ({
+  court_station: n.court_station,
+  court_level: n.court_level,
+  station_resolved: Boolean(n.station_resolved),
+  court_station_raw: n.court_station_raw,
+  cause_no: n.cause_no,
+  name_of_deceased: n.name_of_deceased,
+});
+
+// Station columns for a corrected court, resolved against the gazetteer the
+// way helpers/notices/succession.js resolves a printed one
+function stationFields(value) {
+  const found = resolveStation(value);
+  return {
+    court_station: found.name || value.trim(),
+    court_level: found.level || null,
+    station_resolved: found.resolved ? 1 : 0,
+    court_station_raw: value.trim(),
+  };
+}
+
+// Record a decision taken by an amendment on a review item
+async function systemDecision(db, id, status, note) {
+  await db.run(
+    `UPDATE review_queue
+     SET status = ?, reviewer = ?, decided_at = CASE WHEN ? = 'pending' THEN NULL ELSE datetime('now') END,
+         updated_at = datetime('now')
+     WHERE id = ?`,
+    [status, SYSTEM_REVIEWER, status, id]
+  );
+  await db.run(
+    `INSERT INTO review_decisions (review_id, decision, reviewer, note) VALUES (?, ?, ?, ?)`,
+    [id, status === "pending" ? "reopened" : status, SYSTEM_REVIEWER, note]
+  );
+}
+
+// "Gazette Notice No. 123" / "the corrigenda of issue 4"
+const amendmentSource = (amendment) =>
+  amendment.gazette_notice_no
+    ? `Gazette Notice No. ${amendment.gazette_notice_no}`
+    : `the corrigenda of issue ${amendment.issue_id}`;
+
+// Send an approved match whose corrected score fell below ACCEPT_THRESHOLD
+// back to review: it is un-approved and queued (again) for a reviewer.
+// Returns the review item's id.
+async function requeueMatch(db, row, notice, { score, breakdown, note }) {
+  await db.run(`UPDATE gazette_matches SET status_at_gp = 'Published', updated_at = datetime('now') WHERE id = ?`, [
+    row.id,
+  ]);
+  const { id, name_norm, created_at, regions, ...record } = notice;
+  await db.run(
+    `INSERT INTO review_queue
+       (court_station, cause_no, name_norm, name_of_deceased, excel_name, match_type, score,
+        volume_no, date_published, gazette_record, registry_record, score_breakdown, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+     ON CONFLICT(court_station, cause_no, name_norm, date_published, volume_no, excel_name)
+     DO UPDATE SET
+       score = excluded.score, score_breakdown = excluded.score_breakdown,
+       gazette_record = excluded.gazette_record, match_id = NULL, match_status_before = NULL,
+       updated_at = datetime('now')`,
+    [
+      notice.court_station,
+      notice.cause_no,
+      notice.name_norm,
+      notice.name_of_deceased,
+      row.excel_name,
+      row.match_type,
+      score,
+      notice.volume_no || "",
+      notice.date_published || "",
+      JSON.stringify({ ...record, notice_id: id, ...fieldsOf(notice), petitioners: parseJSON(notice.petitioners, []) }),
+      JSON.stringify({
+        _name_raw: row.excel_name,
+        _cause_raw: breakdown?.cause?.registry ?? null,
+        _station_raw: breakdown?.station?.registry ?? null,
+      }),
+      breakdown ? JSON.stringify(breakdown) : null,
+    ]
+  );
+  const item = await db.get(`SELECT id FROM review_queue WHERE ${NOTICE_KEY} AND excel_name = ?`, [
+    ...noticeKey(notice),
+    row.excel_name,
+  ]);
+  await systemDecision(db, item.id, "pending", note);
+  return item.id;
+}
+
+// Carry a corrected notice into its matches and review items, re-score them
+// and hold the new scores to the thresholds (see thresholdsOf)
+async function rescoreMatches(db, before, after, amendment, limits) {
+  const fields = [
+    after.court_station,
+    after.court_level,
+    after.station_resolved,
+    after.court_station_raw,
+    after.cause_no,
+    after.name_norm,
+    after.name_of_deceased,
+  ];
+  const note = `Re-scored after the correction in ${amendmentSource(amendment)}`;
+  const requeued = new Set();
+
+  for (const row of await db.all(`SELECT * FROM gazette_matches WHERE ${NOTICE_KEY}`, noticeKey(before))) {
+    const taken = await db.get(
+      `SELECT id FROM gazette_matches WHERE ${NOTICE_KEY} AND id != ?`,
+      [...noticeKey(after), row.id]
+    );
+    // the corrected estate is already matched: this row is the stale copy
+    if (taken) {
+      await db.run(`DELETE FROM gazette_matches WHERE id = ?`, [row.id]);
+      continue;
+    }
+
+    const breakdown = parseJSON(row.score_breakdown);
+    const { score, breakdown: rescored } = row.excel_name
+      ? rescore(
+          after,
+          { name: row.excel_name, cause: breakdown?.cause?.registry, station: breakdown?.station?.registry },
+          matchMode(row, breakdown),
+          breakdownWeights(breakdown)
+        )
+      : { score: row.score, breakdown };
+    const next = keepThresholds(rescored, breakdown);
+    await db.run(
+      `UPDATE gazette_matches
+       SET court_station = ?, court_level = ?, station_resolved = ?, court_station_raw = ?,
+           cause_no = ?, name_norm = ?, name_of_deceased = ?, score = ?, score_breakdown = ?,
+           updated_at = datetime('now')
+       WHERE id = ?`,
+      [...fields, score, next ? JSON.stringify(next) : null, row.id]
+    );
+    // an approval the corrected score no longer earns goes back to review
+    // (a reviewer's approval below the threshold stands unless it drops)
+    const { acceptThreshold } = thresholdsOf(breakdown, limits);
+    if (row.status_at_gp === "Approved" && score < acceptThreshold && score < row.score) {
+      requeued.add(await requeueMatch(db, row, after, { score, breakdown: next, note }));
+    }
+  }
+
+  for (const row of await db.all(`SELECT * FROM review_queue WHERE ${NOTICE_KEY}`, noticeKey(before))) {
+    const taken = await db.get(
+      `SELECT id FROM review_queue WHERE ${NOTICE_KEY} AND excel_name = ? AND id != ?`,
+      [...noticeKey(after), row.excel_name, row.id]
+    );
+    if (taken) {
+      await db.run(`DELETE FROM review_queue WHERE id = ?`, [row.id]);
+      continue;
+    }
+
+    const breakdown = parseJSON(row.score_breakdown);
+    const ex = parseJSON(row.registry_record, {});
+    const { score, breakdown: rescored } = rescore(
+      after,
+      { name: ex._name_raw || row.excel_name, cause: ex._cause_raw, station: ex._station_raw },
+      matchMode(row, breakdown),
+      breakdownWeights(breakdown)
+    );
+    const next = keepThresholds(rescored, breakdown);
+    const record = { ...parseJSON(row.gazette_record, {}), ...fieldsOf(after) };
+    await db.run(
+      `UPDATE review_queue
+       SET court_station = ?, cause_no = ?, name_norm = ?, name_of_deceased = ?, score = ?, score_breakdown = ?,
+           gazette_record = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [
+        after.court_station,
+        after.cause_no,
+        after.name_norm,
+        after.name_of_deceased,
+        score,
+        JSON.stringify(next),
+        JSON.stringify(record),
+        row.id,
+      ]
+    );
+    const { reviewThreshold } = thresholdsOf(breakdown, limits);
+    if (row.status === "pending" && score < reviewThreshold && !requeued.has(row.id)) {
+      await systemDecision(db, row.id, "rejected", note);
+    }
+  }
+}
+
+// Matches of a revoked notice are marked "Revoked"; its pending review items are rejected
+async function revokeMatches(db, notice, amendment) {
+  await db.run(
+    `UPDATE gazette_matches SET status_at_gp = 'Revoked', updated_at = datetime('now') WHERE ${NOTICE_KEY}`,
+    noticeKey(notice)
+  );
+
+  const note = `${amendment.type === "republication" ? "Re-published" : "Revoked"} by ${amendmentSource(amendment)}`;
+  const pending = await db.all(
+    `SELECT id FROM review_queue WHERE status = 'pending' AND ${NOTICE_KEY}`,
+    noticeKey(notice)
+  );
+  for (const { id } of pending) await systemDecision(db, id, "rejected", note);
+}
+
+// Apply one amendment to one stored notice; false when there is nothing to change
+async function applyToNotice(db, amendment, notice, limits) {
+  const done = await db.get(
+    `SELECT 1 FROM notice_history WHERE amendment_id = ? AND notice_id = ?`,
+    [amendment.id, notice.id]
+  );
+  if (done) return false;
+
+  if (amendment.type !== "corrigendum") {
+    if (notice.revoked) return false;
+    await db.run(`UPDATE gazette_notices SET revoked = 1 WHERE id = ?`, [notice.id]);
+    await db.run(
+      `INSERT INTO notice_history (notice_id, amendment_id, field, old_value, new_value)
+       VALUES (?, ?, 'revoked', '0', '1')`,
+      [notice.id, amendment.id]
+    );
+    await revokeMatches(db, notice, amendment);
+    return true;
+  }
+
+  const { field, new_value: value } = amendment;
+  if (!value || notice[field] === value) return false;
+
+  const after = { ...notice, [field]: value };
+  if (field === "name_of_deceased") after.name_norm = normalizeNameDB(value);
+  // a corrected court is resolved again: its level and gazetteer flag change with it
+  if (field === "court_station") Object.assign(after, stationFields(value));
+  await db.run(
+    `UPDATE gazette_notices
+     SET court_station = ?, court_level = ?, station_resolved = ?, court_station_raw = ?,
+         cause_no = ?, name_of_deceased = ?, name_norm = ?
+     WHERE id = ?`,
+    [
+      after.court_station,
+      after.court_level,
+      after.station_resolved,
+      after.court_station_raw,
+      after.cause_no,
+      after.name_of_deceased,
+      after.name_norm,
+      notice.id,
+    ]
+  );
+  await db.run(
+    `INSERT INTO notice_history (notice_id, amendment_id, field, old_value, new_value) VALUES (?, ?, ?, ?, ?)`,
+    [notice.id, amendment.id, field, notice[field], after[field]]
+  );
+  await rescoreMatches(db, notice, after, amendment, limits);
+  return true;
+}
+
+/**
+ * Store the corrigenda / revocations an issue printed (helpers/parse.js
+ * parseAmendment, as returned by parseGazetteIssue) and apply every stored
+ * amendment that concerns the issue: its own, and earlier ones aimed at the
+ * notices it carries. An amendment is linked to the original notice by
+ * notice number and year once that issue is in the archive; until then it
+ * waits, unlinked.
+ * Applying a correction updates the stored notice (a corrected court is
+ * resolved against the gazetteer again), keeps the earlier value in
+ * notice_history and re-scores the notice's matches and review items: an
+ * approved match whose score falls below the accept threshold goes back to
+ * review, a pending item below the review threshold is rejected. A row is
+ * held to the thresholds it was matched with, else to `thresholds`
+ * ({ acceptThreshold, reviewThreshold }, default ACCEPT_THRESHOLD /
+ * REVIEW_THRESHOLD from helpers/match.js);
+ * revoking marks the notice revoked, its matches "Revoked" and rejects its
+ * pending review items. Applying twice changes nothing; duplicate clusters
+ * are rebuilt when anything changed.
+ * Returns { found, applied, unlinked } — applied counts notices changed.
+ */
+export async function applyAmendments(
+  issueId,
+  amendments = [],
+  { acceptThreshold = ACCEPT_THRESHOLD, reviewThreshold = REVIEW_THRESHOLD } = {}
+) {
+  const limits = { acceptThreshold, reviewThreshold };
+  let result;
+  const db = await initDB();
+  try {
+    await db.exec("BEGIN TRANSACTION;");
+    try {
+      for (const a of amendments) {
+        await db.run(
+          `INSERT OR IGNORE INTO notice_amendments
+             (issue_id, gazette_notice_no, type, target_notice_no, target_year, cause_nos, field,
+              old_value, new_value, text, page)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            issueId,
+            a.gazette_notice_no || "",
+            a.type,
+            a.target_notice_no,
+            a.target_year,
+            JSON.stringify(a.cause_nos || []),
+            a.field || null,
+            a.old_value || null,
+            a.new_value || null,
+            a.text,
+            a.page ?? null,
+          ]
+        );
+      }
+
+      const pending = await db.all(
+        `SELECT * FROM notice_amendments
+         WHERE issue_id = ?
+            OR (target_notice_no, target_year) IN (
+                 SELECT gazette_notice_no, substr(date_published, 1, 4) FROM gazette_notices WHERE issue_id = ?)
+         ORDER BY id`,
+        [issueId, issueId]
+      );
+
+      let applied = 0;
+      for (const a of pending) {
+        const notices = await db.all(
+          `SELECT * FROM gazette_notices
+           WHERE gazette_notice_no = ? AND substr(date_published, 1, 4) = ?
+           ORDER BY id`,
+          [a.target_notice_no, a.target_year]
+        );
+        if (!notices.length) continue;
+
+        for (const notice of targetNotices(a, notices)) {
+          if (await applyToNotice(db, a, notice, limits)) applied++;
+        }
+        await db.run(
+          `UPDATE notice_amendments SET
+             target_issue_id = ?,
+             applied_count = (SELECT COUNT(DISTINCT h.notice_id) FROM notice_history h
+                              JOIN gazette_notices n ON n.id = h.notice_id
+                              WHERE h.amendment_id = notice_amendments.id)
+           WHERE id = ?`,
+          [notices[0].issue_id, a.id]
+        );
+      }
+
+      const { unlinked } = await db.get(
+        `SELECT COUNT(*) AS unlinked FROM notice_amendments WHERE issue_id = ? AND target_issue_id IS NULL`,
+        [issueId]
+      );
+      await db.exec("COMMIT;");
+      result = { found: amendments.length, applied, unlinked };
+    } catch (err) {
+      await db.exec("ROLLBACK;");
+      throw err;
+    }
+  } finally {
+    await db.close();
+  }
+
+  // corrected names / causes can join or split duplicate clusters
+  if (result.applied) await refreshDuplicateClusters();
+  return result;
+}
+
+/**
+ * Amendments around one issue:
+ *   { printed: amendments the issue carries, received: ones aimed at its notices }
+ * Returns null when the issue doesn't exist.
+ */
+export async function listAmendments(issueId) {
+  const db = await initDB();
+  try {
+    const issue = await db.get(`SELECT id FROM gazette_issues WHERE id = ?`, [issueId]);
+    if (!issue) return null;
+    const printed = await db.all(`SELECT * FROM notice_amendments WHERE issue_id = ? ORDER BY id`, [issueId]);
+    const received = await db.all(`SELECT * FROM notice_amendments WHERE target_issue_id = ? ORDER BY id`, [issueId]);
+    return { printed: printed.map(hydrateAmendment), received: received.map(hydrateAmendment) };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Changes made to a stored notice of an issue, oldest first, each with the
+ * amendment that made it (type, text, issue_id, gazette_notice_no).
+ * Returns null when the issue has no such notice.
+ */
+export async function noticeHistory(issueId, noticeId) {
+  const db = await initDB();
+  try {
+    const notice = await db.get(`SELECT id FROM gazette_notices WHERE id = ? AND issue_id = ?`, [noticeId, issueId]);
+    if (!notice) return null;
+    return await db.all(
+      `SELECT h.*, a.type, a.text, a.issue_id, a.gazette_notice_no
+       FROM notice_history h JOIN notice_amendments a ON a.id = h.amendment_id
+       WHERE h.notice_id = ?
+       ORDER BY h.changed_at ASC, h.id ASC`,
+      [noticeId]
+    );
+  } finally {
+    await db.close();
+  }
+}
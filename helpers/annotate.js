@@ -0,0 +1,138 @@
+// helpers/annotate.js
+import fs from "fs";
+import { PDFDocument, PDFHexString } from "pdf-lib";
+import { initDB } from "./db.js";
+import { getIssue, hydrateNotice } from "./issues.js";
+
+// Highlight colour (RGB 0-1) and note title per notice status
+export const ANNOTATION_STYLES = {
+  accepted: { color: [0.3, 0.85, 0.3], title: "Accepted match" },
+  review: { color: [1, 0.8, 0.1], title: "In review" },
+  unmatched: { color: [1, 0.45, 0.45], title: "Unmatched" },
+};
+
+// gazette_matches / review_queue rows are keyed on the notice's fields
+const keyOf = (r) => [r.court_station, r.cause_no, r.name_norm, r.date_published, r.volume_no].join("\u001f");
+
+/**
+ * Notices of an issue with their match status:
+ *   accepted  — in gazette_matches
+ *   review    — a pending review_queue candidate (best score)
+ *   unmatched — neither
+ * Returns [{ ...notice, status, excel_name, score }]
+ */
+export async function noticeStatuses(issueId) {
+  const db = await initDB();
+  try {
+    const notices = await db.all(`SELECT * FROM gazette_notices WHERE issue_id = ? ORDER BY id`, [issueId]);
+    const matches = await db.all(
+      `SELECT m.court_station, m.cause_no, m.name_norm, m.date_published, m.volume_no, m.excel_name, m.score
+       FROM gazette_matches m
+       JOIN (SELECT DISTINCT court_station, cause_no, name_norm FROM gazette_notices WHERE issue_id = ?) n
+         USING (court_station, cause_no, name_norm)`,
+      [issueId]
+    );
+    const pending = await db.all(
+      `SELECT r.court_station, r.cause_no, r.name_norm, r.date_published, r.volume_no, r.excel_name, r.score
+       FROM review_queue r
+       JOIN (SELECT DISTINCT court_station, cause_no, name_norm FROM gazette_notices WHERE issue_id = ?) n
+         USING (court_station, cause_no, name_norm)
+       WHERE r.status = 'pending'
+       ORDER BY r.score DESC`,
+      [issueId]
+    );
+
+    const accepted = new Map(matches.map((m) => [keyOf(m), m]));
+    const review = new Map();
+    for (const r of pending) if (!review.has(keyOf(r))) review.set(keyOf(r), r);
+
+    return notices.map((row) => {
+      const key = keyOf(row);
+      const hit = accepted.get(key) || review.get(key);
+      return {
+        ...hydrateNotice(row),
+        status: accepted.has(key) ? "accepted" : review.has(key) ? "review" : "unmatched",
+        excel_name: hit?.excel_name || null,
+        score: hit?.score ?? null,
+      };
+    });
+  } finally {
+    await db.close();
+  }
+}
+
+const noteFor = (n) =>
+  [
+    `${ANNOTATION_STYLES[n.status].title}`,
+    `Deceased: ${n.name_of_deceased}`,
+    `Cause No.: ${n.cause_no}`,
+    `Court: ${n.court_station}`,
+    n.excel_name ? `Registry name: ${n.excel_name}` : "Registry name: none",
+    n.score !== null ? `Score: ${Number(n.score).toFixed(2)}` : null,
+    n.gazette_notice_no ? `Gazette Notice No. ${n.gazette_notice_no}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+/**
+ * The archived PDF of an issue with every extracted notice highlighted in
+ * its status colour (ANNOTATION_STYLES), each highlight carrying a note with
+ * the registry name, score and cause number. Positions are the notice
+ * regions recorded from pdfjs-dist text positions (helpers/pdf.js), already
+ * in PDF points.
+ *   statuses: only annotate notices with these statuses (default all)
+ * Returns { bytes, counts: { accepted, review, unmatched, unplaced } }
+ */
+export async function annotateIssue(issueId, { statuses = Object.keys(ANNOTATION_STYLES) } = {}) {
+  const issue = await getIssue(issueId);
+  if (!issue) {
+    const err = new Error(`Gazette issue ${issueId} not found`);
+    err.status = 404;
+    throw err;
+  }
+  if (!issue.stored_path || !fs.existsSync(issue.stored_path)) {
+    const err = new Error(`Stored PDF for issue ${issueId} is missing`);
+    err.status = 409;
+    throw err;
+  }
+
+  const notices = await noticeStatuses(issueId);
+  const pdf = await PDFDocument.load(await fs.promises.readFile(issue.stored_path));
+  const pages = pdf.getPages();
+  const counts = { accepted: 0, review: 0, unmatched: 0, unplaced: 0 };
+
+  for (const n of notices) {
+    if (!statuses.includes(n.status)) continue;
+    const regions = (n.regions || []).filter((r) => r.bbox && pages[r.page - 1]);
+    if (!regions.length) {
+      counts.unplaced++;
+      continue;
+    }
+    counts[n.status]++;
+
+    const { color, title } = ANNOTATION_STYLES[n.status];
+    const contents = noteFor(n);
+    // a notice running over a column or page break gets one highlight per part
+    for (const { page, bbox } of regions) {
+      const [x0, y0, x1, y1] = [bbox[0] - 2, bbox[1] - 1, bbox[2] + 2, bbox[3] + 1];
+      const annot = pdf.context.register(
+        pdf.context.obj({
+          Type: "Annot",
+          Subtype: "Highlight",
+          Rect: [x0, y0, x1, y1],
+          QuadPoints: [x0, y1, x1, y1, x0, y0, x1, y0],
+          C: color,
+          CA: 0.4,
+          F: 4, // print
+          T: PDFHexString.fromText(title),
+          Contents: PDFHexString.fromText(contents),
+          NM: PDFHexString.fromText(`notice-${n.notice_id}-p${page}`),
+        })
+      );
+      pages[page - 1].node.addAnnot(annot);
+    }
+  }
+
+  pdf.setModificationDate(new Date());
+  return { bytes: await pdf.save(), counts };
+}
@@ -0,0 +1,84 @@
+// helpers/audit.js
+import { initDB } from "./db.js";
+
+/**
+ * Append an entry to the audit log for the signed-in user (req.user):
+ *   action      "match.upload", "review.approve", "matches.clear", …
+ *   targetType  what it was done to: "issue", "review_item", "user", …
+ *   targetId    which one (stored as text; arrays are joined with ",")
+ *   details     anything else worth keeping (stored as JSON)
+ */
+export async function recordAudit(req, action, { targetType = null, targetId = null, details = null } = {}) {
+  const user = req?.user || {};
+  const target = Array.isArray(targetId) ? targetId.join(",") : targetId;
+  const db = await initDB();
+  try {
+    await db.run(
+      `INSERT INTO audit_log (user_id, username, role, action, target_type, target_id, details, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user.id ?? null,
+        user.username ?? null,
+        user.role ?? null,
+        action,
+        targetType,
+        target === null || target === undefined ? null : String(target),
+        details ? JSON.stringify(details) : null,
+        req?.ip || null,
+      ]
+    );
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Audit entries, newest first.
+ * filters: { user, action, targetType, targetId, from, to, limit, offset }
+ * user is a username; action matches a whole action or a prefix ending in
+ * "." ("review." for every review decision); from / to are ISO dates;
+ * limit is clamped to 1..1000.
+ */
+export async function listAudit({ user, action, targetType, targetId, from, to, limit = 100, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (user) {
+    where.push("username = ? COLLATE NOCASE");
+    params.push(user);
+  }
+  if (action) {
+    where.push(action.endsWith(".") ? "substr(action, 1, ?) = ?" : "action = ?");
+    params.push(...(action.endsWith(".") ? [action.length, action] : [action]));
+  }
+  if (targetType) {
+    where.push("target_type = ?");
+    params.push(targetType);
+  }
+  if (targetId) {
+    where.push("target_id = ?");
+    params.push(String(targetId));
+  }
+  if (from) {
+    where.push("at >= ?");
+    params.push(from);
+  }
+  if (to) {
+    // a bare date covers the whole day
+    where.push("at < date(?, '+1 day')");
+    params.push(to);
+  }
+  const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const db = await initDB();
+  try {
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM audit_log ${whereSQL}`, params);
+    const rows = await db.all(`SELECT * FROM audit_log ${whereSQL} ORDER BY id DESC LIMIT ? OFFSET ?`, [
+      ...params,
+      Math.min(Math.max(Math.trunc(Number(limit)) || 100, 1), 1000),
+      Math.max(Math.trunc(Number(offset)) || 0, 0),
+    ]);
+    return { total, rows: rows.map((r) => ({ ...r, details: r.details ? JSON.parse(r.details) : null })) };
+  } finally {
+    await db.close();
+  }
+}
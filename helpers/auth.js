@@ -0,0 +1,376 @@
+// helpers/auth.js
+import crypto from "crypto";
+import { promisify } from "util";
+import { initDB } from "./db.js";
+import { httpError } from "../utils/common.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Lowest to highest: each role can do what the ones before it can
+export const ROLES = ["viewer", "clerk", "reviewer", "admin"];
+
+// How long a POST /auth/login session lasts
+const SESSION_HOURS = Number(process.env.SESSION_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+// last_used_at is written at most this often per token
+const TOUCH_SECONDS = 60;
+
+// A stream ticket (issueStreamTicket) is good for one request within this long
+const TICKET_SECONDS = 60;
+
+// Requests that need no signed-in user ("METHOD path" under /api)
+const PUBLIC_ROUTES = new Set(["POST /auth/login"]);
+
+export const roleAtLeast = (role, min) => ROLES.indexOf(role) >= ROLES.indexOf(min);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+  const hash = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(hash, Buffer.from(hex, "hex"));
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// users row -> API shape (never the password hash)
+function hydrateUser(row) {
+  if (!row) return null;
+  const { password_hash, ...user } = row;
+  return { ...user, active: Boolean(row.active), hasPassword: Boolean(password_hash) };
+}
+
+// api_keys row -> API shape (the token itself is only shown when created)
+function hydrateKey(row) {
+  if (!row) return null;
+  const { token_hash, ...key } = row;
+  return key;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw httpError(400, `Unknown role: ${role} (use ${ROLES.join(", ")})`);
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Users, by username
+ */
+export async function listUsers() {
+  const db = await initDB();
+  try {
+    const rows = await db.all(`SELECT * FROM users ORDER BY username`);
+    return rows.map(hydrateUser);
+  } finally {
+    await db.close();
+  }
+}
+
+export async function getUser(id) {
+  const db = await initDB();
+  try {
+    return hydrateUser(await db.get(`SELECT * FROM users WHERE id = ?`, [id]));
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Create a local account. password may be left out for an account that only
+ * signs in with API keys. Throws 400 on bad values, 409 for a taken username.
+ */
+export async function createUser({ username, password, role = "viewer", displayName } = {}) {
+  if (!username || typeof username !== "string" || !/^[\w.@-]{2,64}$/.test(username)) {
+    throw httpError(400, "username must be 2-64 letters, digits or . _ @ -");
+  }
+  checkRole(role);
+  if (password !== undefined && password !== null) checkPassword(password);
+  const passwordHash = password ? await hashPassword(password) : null;
+
+  const db = await initDB();
+  try {
+    const taken = await db.get(`SELECT id FROM users WHERE username = ?`, [username]);
+    if (taken) throw httpError(409, `User ${username} already exists`);
+    const { lastID } = await db.run(
+      `INSERT INTO users (username, display_name, role, password_hash) VALUES (?, ?, ?, ?)`,
+      [username, displayName || null, role, passwordHash]
+    );
+    return hydrateUser(await db.get(`SELECT * FROM users WHERE id = ?`, [lastID]));
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Change a user's role, password, display name or active flag. A user who
+ * is deactivated loses their sessions and keys. The last active admin can't
+ * be demoted or deactivated (409). null when the user doesn't exist.
+ */
+export async function updateUser(id, { role, password, displayName, active } = {}) {
+  if (role !== undefined) checkRole(role);
+  if (password !== undefined) checkPassword(password);
+
+  const db = await initDB();
+  try {
+    const user = await db.get(`SELECT * FROM users WHERE id = ?`, [id]);
+    if (!user) return null;
+
+    const deactivate = active !== undefined && !active;
+    if (user.role === "admin" && user.active && (deactivate || (role && role !== "admin"))) {
+      const { n } = await db.get(`SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND active = 1`);
+      if (n <= 1) throw httpError(409, "The last active admin can't be demoted or deactivated");
+    }
+
+    await db.run(
+      `UPDATE users SET
+         role = COALESCE(?, role),
+         display_name = COALESCE(?, display_name),
+         password_hash = COALESCE(?, password_hash),
+         active = COALESCE(?, active),
+         updated_at = datetime('now')
+       WHERE id = ?`,
+      [
+        role ?? null,
+        displayName ?? null,
+        password !== undefined ? await hashPassword(password) : null,
+        active === undefined ? null : active ? 1 : 0,
+        id,
+      ]
+    );
+    if (deactivate || password !== undefined) {
+      // sign them out everywhere (a new password keeps their API keys)
+      await db.run(
+        `UPDATE api_keys SET revoked_at = datetime('now')
+         WHERE user_id = ? AND revoked_at IS NULL AND (? OR kind = 'session')`,
+        [id, deactivate ? 1 : 0]
+      );
+    }
+    return hydrateUser(await db.get(`SELECT * FROM users WHERE id = ?`, [id]));
+  } finally {
+    await db.close();
+  }
+}
+
+// Store a new token for a user; returns it in the clear with its row
+async function issueToken(db, userId, { kind, name = null, expiresAt = null }) {
+  const token = `${kind === "session" ? "gs" : "gk"}_${crypto.randomBytes(24).toString("base64url")}`;
+  const { lastID } = await db.run(
+    `INSERT INTO api_keys (user_id, kind, name, prefix, token_hash, expires_at) VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, kind, name, token.slice(0, 10), hashToken(token), expiresAt]
+  );
+  return { token, key: hydrateKey(await db.get(`SELECT * FROM api_keys WHERE id = ?`, [lastID])) };
+}
+
+/**
+ * Sign in with a password: a session token valid for SESSION_HOURS.
+ * Throws 401 on a wrong username / password or an inactive account.
+ * Returns { token, expiresAt, user }
+ */
+export async function login(username, password) {
+  const db = await initDB();
+  try {
+    const row = await db.get(`SELECT * FROM users WHERE username = ?`, [String(username || "")]);
+    const ok = row && row.active && (await verifyPassword(String(password || ""), row.password_hash));
+    if (!ok) throw httpError(401, "Wrong username or password");
+
+    const expiresAt = new Date(Date.now() + SESSION_HOURS * 3600 * 1000).toISOString();
+    const { token } = await issueToken(db, row.id, { kind: "session", expiresAt });
+    await db.run(`UPDATE users SET last_login_at = datetime('now') WHERE id = ?`, [row.id]);
+    return { token, expiresAt, user: hydrateUser(row) };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * End the session (or revoke the key) a token belongs to
+ */
+export async function logout(token) {
+  const db = await initDB();
+  try {
+    await db.run(`UPDATE api_keys SET revoked_at = datetime('now') WHERE token_hash = ? AND revoked_at IS NULL`, [
+      hashToken(token),
+    ]);
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * A user's API keys (every user's when userId is null), newest first
+ */
+export async function listApiKeys(userId = null) {
+  const db = await initDB();
+  try {
+    const rows = await db.all(
+      `SELECT k.*, u.username FROM api_keys k JOIN users u ON u.id = k.user_id
+       WHERE k.kind = 'key' AND (? IS NULL OR k.user_id = ?)
+       ORDER BY k.id DESC`,
+      [userId, userId]
+    );
+    return rows.map(hydrateKey);
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * New API key for a user. The token is returned once and only its hash is
+ * kept. Returns { token, key }; 404 for an unknown or inactive user.
+ */
+export async function createApiKey(userId, { name } = {}) {
+  const db = await initDB();
+  try {
+    const user = await db.get(`SELECT id FROM users WHERE id = ? AND active = 1`, [userId]);
+    if (!user) throw httpError(404, `User ${userId} not found`);
+    return await issueToken(db, userId, { kind: "key", name: name || null });
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Revoke an API key; only its owner or an admin may. null when there is no
+ * such key (or it isn't theirs to see).
+ */
+export async function revokeApiKey(id, actor) {
+  const db = await initDB();
+  try {
+    const key = await db.get(`SELECT * FROM api_keys WHERE id = ? AND kind = 'key'`, [id]);
+    if (!key || (key.user_id !== actor.id && actor.role !== "admin")) return null;
+    await db.run(`UPDATE api_keys SET revoked_at = COALESCE(revoked_at, datetime('now')) WHERE id = ?`, [id]);
+    return hydrateKey(await db.get(`SELECT * FROM api_keys WHERE id = ?`, [id]));
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * The active user a bearer token (API key or session) belongs to, with
+ * how they signed in ("key" | "session"); null when the token is unknown,
+ * revoked or expired
+ */
+export async function userForToken(token) {
+  if (!token) return null;
+  const db = await initDB();
+  try {
+    const row = await db.get(
+      `SELECT u.*, k.id AS key_id, k.kind, k.expires_at, k.last_used_at AS key_used_at
+       FROM api_keys k JOIN users u ON u.id = k.user_id
+       WHERE k.token_hash = ? AND k.revoked_at IS NULL AND u.active = 1`,
+      [hashToken(token)]
+    );
+    if (!row || (row.expires_at && row.expires_at < new Date().toISOString())) return null;
+
+    await db.run(
+      `UPDATE api_keys SET last_used_at = datetime('now')
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', ?))`,
+      [row.key_id, `-${TOUCH_SECONDS} seconds`]
+    );
+    const { key_id, kind, expires_at, key_used_at, ...user } = row;
+    return { ...hydrateUser(user), via: kind, keyId: key_id };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * On startup: with no users yet, create the admin named by ADMIN_USERNAME /
+ * ADMIN_PASSWORD. Returns the created user, or null.
+ */
+export async function seedAdmin() {
+  const db = await initDB();
+  let count;
+  try {
+    ({ n: count } = await db.get(`SELECT COUNT(*) AS n FROM users`));
+  } finally {
+    await db.close();
+  }
+  if (count > 0) return null;
+
+  const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+  if (!username || !password) {
+    console.warn("⚠️ No users yet: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin");
+    return null;
+  }
+  return createUser({ username, password, role: "admin", displayName: "Administrator" });
+}
+
+// Bearer token from "Authorization: Bearer …" or X-API-Key. Tokens are never
+// taken from the URL, where they would end up in logs.
+function tokenOf(req) {
+  const header = req.get("authorization") || "";
+  if (/^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, "").trim();
+  if (req.get("x-api-key")) return req.get("x-api-key").trim();
+  return null;
+}
+
+// Outstanding stream tickets: ticket -> { userId, path, expires }. Kept in
+// memory like the job subscriptions they are used for.
+const streamTickets = new Map();
+
+/**
+ * A single-use ticket, valid for TICKET_SECONDS, that lets a GET of path
+ * (under /api) authenticate as the user with ?ticket=: an EventSource
+ * (GET /jobs/:id/events) can't send headers.
+ * Returns { ticket, expiresIn }
+ */
+export function issueStreamTicket(user, path) {
+  const now = Date.now();
+  for (const [t, entry] of streamTickets) if (entry.expires < now) streamTickets.delete(t);
+
+  const ticket = crypto.randomBytes(18).toString("base64url");
+  streamTickets.set(ticket, { userId: user.id, path, expires: now + TICKET_SECONDS * 1000 });
+  return { ticket, expiresIn: TICKET_SECONDS };
+}
+
+// The active user a ?ticket= was issued to, if it is for this request; the
+// ticket is used up either way
+async function userForTicket(req) {
+  const ticket = req.method === "GET" ? req.query.ticket : null;
+  const entry = ticket && streamTickets.get(String(ticket));
+  if (!entry) return null;
+  streamTickets.delete(String(ticket));
+  if (entry.expires < Date.now() || entry.path !== req.path) return null;
+
+  const user = await getUser(entry.userId);
+  return user?.active ? { ...user, via: "ticket" } : null;
+}
+
+/**
+ * Middleware for /api: sets req.user ({ id, username, role, via, … }) from
+ * the request's token (or stream ticket), or answers 401. Public routes pass
+ * through.
+ */
+export async function authenticate(req, res, next) {
+  try {
+    if (PUBLIC_ROUTES.has(`${req.method} ${req.path}`)) return next();
+    const user = (await userForToken(tokenOf(req))) || (await userForTicket(req));
+    if (!user) throw httpError(401, "Sign in (POST /api/auth/login) or send an API key");
+    req.user = user;
+    req.token = tokenOf(req);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Middleware: 403 unless the signed-in user has role min or a higher one
+ */
+export const requireRole = (min) => (req, _res, next) => {
+  if (!req.user) return next(httpError(401, "Not signed in"));
+  if (!roleAtLeast(req.user.role, min)) {
+    return next(httpError(403, `Needs the ${min} role (you are ${req.user.role})`));
+  }
+  next();
+};
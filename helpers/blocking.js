@@ -0,0 +1,83 @@
+// helpers/blocking.js
+import { soundex } from "../utils/normalize.js";
+import { nameKeys } from "../utils/names.js";
+
+// Tokens shorter than this carry too little signal to block on
+const MIN_TOKEN_LEN = 2;
+
+// Sorted tokens of each alias of a name
+const aliasTokens = (name = "") =>
+  nameKeys(name, "tokens").map((tokens) => tokens.filter((t) => t.length >= MIN_TOKEN_LEN).sort());
+
+// First 3 letters of the first two sorted tokens: "kamau|wanjiru" -> "kam|wan"
+const prefixKey = (tokens) =>
+  tokens.length ? tokens.slice(0, 2).map((t) => t.slice(0, 3)).join("|") : "";
+
+/**
+ * Add row idx to the postings list of key (rows are added in order, so a
+ * repeat is the last entry); empty keys are skipped
+ */
+export function addPosting(map, key, idx) {
+  if (!key) return;
+  let list = map.get(key);
+  if (!list) map.set(key, (list = []));
+  if (list[list.length - 1] !== idx) list.push(idx);
+}
+
+/**
+ * Blocking index over registry rows, so only plausible pairs get scored.
+ * Three key families, a row is a candidate if it shares any key with any
+ * alias of the name:
+ *   - sorted-token prefix ("kam|wan")
+ *   - rare tokens (inverted index; tokens in more than maxPostings rows are
+ *     too common to block on, e.g. "mary", "wanjiru")
+ *   - phonetic (soundex) codes of tokens, with the same rarity cap
+ *
+ * options: { nameOf(row) -> string, maxPostings }
+ */
+export function buildBlockingIndex(rows = [], options = {}) {
+  const nameOf = options.nameOf || ((r) => r._name_raw);
+  const maxPostings = Number(options.maxPostings) || Math.max(50, Math.ceil(rows.length * 0.02));
+
+  const byPrefix = new Map();
+  const byToken = new Map();
+  const byPhonetic = new Map();
+
+  rows.forEach((row, idx) => {
+    for (const tokens of aliasTokens(nameOf(row))) {
+      addPosting(byPrefix, prefixKey(tokens), idx);
+      for (const t of tokens) {
+        addPosting(byToken, t, idx);
+        addPosting(byPhonetic, soundex(t), idx);
+      }
+    }
+  });
+
+  /**
+   * Indexes of rows worth comparing with this name
+   */
+  function candidatesFor(name = "") {
+    const out = new Set();
+
+    for (const tokens of aliasTokens(name)) {
+      for (const i of byPrefix.get(prefixKey(tokens)) || []) out.add(i);
+
+      for (const t of tokens) {
+        const exact = byToken.get(t);
+        if (exact && exact.length <= maxPostings) for (const i of exact) out.add(i);
+
+        const sound = byPhonetic.get(soundex(t));
+        if (sound && sound.length <= maxPostings) for (const i of sound) out.add(i);
+      }
+    }
+
+    return out;
+  }
+
+  return {
+    size: rows.length,
+    maxPostings,
+    keyCounts: { prefix: byPrefix.size, token: byToken.size, phonetic: byPhonetic.size },
+    candidatesFor,
+  };
+}
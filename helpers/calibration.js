@@ -0,0 +1,325 @@
+// helpers/calibration.js
+import { initDB } from "./db.js";
+import { MATCH_MODES, scorePair } from "./match.js";
+import { parseWeights } from "./scoring.js";
+import { httpError, parseJSON } from "../utils/common.js";
+
+// Accept thresholds tried, unless the request sets its own range
+const SWEEP = { from: 0.3, to: 1, step: 0.05 };
+// Recommended accept threshold: the lowest whose precision reaches this;
+// review threshold: the highest that still catches this share of true matches
+const TARGET_PRECISION = 0.95;
+const TARGET_RECALL = 0.98;
+// Most pairs one evaluation scores
+const MAX_PAIRS = 20000;
+
+const round4 = (n) => Number(n.toFixed(4));
+
+const YES = new Set(["true", "1", "yes", "y", "match", "approved", "approve"]);
+const NO = new Set(["false", "0", "no", "n", "nomatch", "no match", "rejected", "reject"]);
+
+// true / false for a label ("approved", "yes", 1, ...), null when it isn't one
+function labelOf(value) {
+  if (typeof value === "boolean") return value;
+  const s = String(value ?? "").trim().toLowerCase();
+  if (YES.has(s)) return true;
+  if (NO.has(s)) return false;
+  return null;
+}
+
+// Gazette side as generateCandidates sees it, from a notice / match row or { name, cause, station }
+const toGazette = (g = {}) => ({
+  name_of_deceased: g.name_of_deceased || g.name || "",
+  cause_no: g.cause_no || g.cause || "",
+  court_station: g.court_station || g.station || "",
+});
+
+// Registry side, from a parsed registry row (helpers/registry.js) or { name, cause, station }
+const toRegistry = (e = {}) => ({
+  _name_raw: e._name_raw || e.name || e.excel_name || "",
+  _cause_raw: e._cause_raw || e.cause || "",
+  _station_raw: e._station_raw || e.station || "",
+});
+
+/**
+ * Labelled pairs from the shapes an evaluation accepts:
+ *   { gazette, registry, match }                 — match: true / false / "yes" / ...
+ *   { gazette_record, registry_record, status }  — GET /review items (approved / rejected)
+ * Returns { pairs: [{ g, ex, label }], skipped: [{ index, reason }] }
+ */
+export function labelledPairs(input = []) {
+  const pairs = [];
+  const skipped = [];
+  input.forEach((item, index) => {
+    const label = labelOf(item?.match ?? item?.label ?? item?.status);
+    const g = toGazette(item?.gazette || item?.gazette_record || {});
+    const ex = toRegistry(item?.registry || item?.registry_record || {});
+    if (label === null) skipped.push({ index, reason: "no match / status label" });
+    else if (!g.name_of_deceased || !ex._name_raw) skipped.push({ index, reason: "missing a name" });
+    else pairs.push({ g, ex, label });
+  });
+  return { pairs, skipped };
+}
+
+/**
+ * Reviewer decisions as labelled pairs: approved review items are true
+ * matches, rejected ones are not. Items the system rejected (revoked
+ * notices, helpers/amendments.js) are left out.
+ */
+export async function reviewDecisionPairs() {
+  const db = await initDB();
+  try {
+    const rows = await db.all(
+      `SELECT gazette_record, registry_record, status FROM review_queue
+       WHERE status IN ('approved', 'rejected') AND COALESCE(reviewer, '') <> 'system'
+       ORDER BY id ASC`
+    );
+    return rows.map((r) => ({
+      gazette_record: parseJSON(r.gazette_record, {}),
+      registry_record: parseJSON(r.registry_record, {}),
+      status: r.status,
+    }));
+  } finally {
+    await db.close();
+  }
+}
+
+function thresholdsOf({ from = SWEEP.from, to = SWEEP.to, step = SWEEP.step } = {}) {
+  [from, to, step] = [Number(from), Number(to), Number(step)];
+  if (![from, to, step].every(Number.isFinite) || from < 0 || to > 1 || from > to || step < 0.005) {
+    throw httpError(400, "Invalid sweep: use 0 <= from <= to <= 1 and step >= 0.005");
+  }
+  const out = [];
+  for (let t = from; t <= to + 1e-9; t += step) out.push(round4(t));
+  return out;
+}
+
+// An optional target or threshold option: fallback when not given, else a
+// number in (0, 1]
+function fraction(options, key, fallback) {
+  const value = options[key];
+  if (value === undefined || value === null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0 || n > 1) throw httpError(400, `${key} must be in (0, 1] (got ${value})`);
+  return n;
+}
+
+// Precision / recall / F1 when pairs scoring at least t are accepted
+function metricsAt(scored, t, positives) {
+  let tp = 0;
+  let fp = 0;
+  for (const { score, label } of scored) {
+    if (score < t) continue;
+    if (label) tp++;
+    else fp++;
+  }
+  const precision = tp + fp ? round4(tp / (tp + fp)) : null;
+  const recall = positives ? round4(tp / positives) : null;
+  const f1 = precision && recall ? round4((2 * precision * recall) / (precision + recall)) : 0;
+  return { threshold: t, tp, fp, fn: positives - tp, tn: scored.length - positives - fp, precision, recall, f1 };
+}
+
+// Pairs scoring in [review, accept): what reviewers would see
+const queueSize = (scored, review, accept) => scored.filter((p) => p.score >= review && p.score < accept).length;
+
+/**
+ * Accept / review thresholds for one mode's sweep:
+ *   accept — the lowest threshold reaching targetPrecision (best F1 if none does)
+ *   review — the highest threshold at or below it whose recall reaches
+ *            targetRecall (the lowest swept if none does)
+ */
+function recommend(sweep, scored, { targetPrecision, targetRecall }) {
+  const bestF1 = sweep.reduce((best, m) =>
+    m.f1 > best.f1 || (m.f1 === best.f1 && m.threshold > best.threshold) ? m : best
+  );
+  const accept = sweep.find((m) => m.tp && m.precision >= targetPrecision) || bestF1;
+  const below = sweep.filter((m) => m.threshold <= accept.threshold);
+  const review = [...below].reverse().find((m) => m.recall !== null && m.recall >= targetRecall) || below[0];
+  const reviewQueue = queueSize(scored, review.threshold, accept.threshold);
+
+  return {
+    acceptThreshold: accept.threshold,
+    reviewThreshold: review.threshold,
+    precision: accept.precision,
+    recall: accept.recall,
+    f1: accept.f1,
+    reviewQueue,
+    reviewQueueShare: scored.length ? round4(reviewQueue / scored.length) : 0,
+    // true matches scoring below the review threshold: never seen by anyone
+    missed: review.fn,
+    reachedPrecision: (accept.precision ?? 0) >= targetPrecision,
+    bestF1Threshold: bestF1.threshold,
+  };
+}
+
+/**
+ * Precision, recall, F1 and review-queue size over a sweep of accept
+ * thresholds, for each match mode, on a labelled set of gazette / registry
+ * pairs (see labelledPairs), and the thresholds to use.
+ *   options: { modes, weights, sweep: { from, to, step }, reviewThreshold,
+ *              targetPrecision, targetRecall }
+ * Each sweep row is the accept threshold's confusion counts and metrics, and
+ * reviewQueue: pairs between the review threshold (options.reviewThreshold,
+ * else the mode's recommended one) and that threshold.
+ * The targets and reviewThreshold, when given, must be in (0, 1] (400).
+ * Returns { pairs, positives, negatives, skipped, thresholds, weights,
+ *   modes: { [mode]: { sweep, recommended } }, recommended: { mode, ... } }
+ * The overall pick is the mode with the best F1 at its recommended
+ * threshold, then the smallest review queue.
+ */
+export function evaluateThresholds(input = [], options = {}) {
+  const { pairs, skipped } = labelledPairs(input);
+  if (pairs.length > MAX_PAIRS) throw httpError(400, `Too many pairs: ${pairs.length} (max ${MAX_PAIRS})`);
+  const positives = pairs.filter((p) => p.label).length;
+  if (!positives || positives === pairs.length) {
+    throw httpError(400, "The labelled set needs both true matches and non-matches");
+  }
+
+  const modes = options.modes?.length ? options.modes : MATCH_MODES;
+  const unknown = modes.filter((m) => !MATCH_MODES.includes(m));
+  if (unknown.length) throw httpError(400, `Unknown mode: ${unknown.join(", ")} (use ${MATCH_MODES.join(", ")})`);
+  const weights = parseWeights(options.weights);
+  const thresholds = thresholdsOf(options.sweep);
+  const targets = {
+    targetPrecision: fraction(options, "targetPrecision", TARGET_PRECISION),
+    targetRecall: fraction(options, "targetRecall", TARGET_RECALL),
+  };
+  const fixedReview = fraction(options, "reviewThreshold", null);
+
+  const byMode = {};
+  for (const mode of modes) {
+    const scored = pairs.map(({ g, ex, label }) => ({ score: scorePair(g, ex, mode, weights).score, label }));
+    const sweep = thresholds.map((t) => metricsAt(scored, t, positives));
+    const recommended = recommend(sweep, scored, targets);
+    const review = fixedReview ?? recommended.reviewThreshold;
+    for (const row of sweep) row.reviewQueue = queueSize(scored, Math.min(review, row.threshold), row.threshold);
+    byMode[mode] = { sweep, recommended };
+  }
+
+  const [mode, best] = Object.entries(byMode).sort(
+    ([, a], [, b]) => b.recommended.f1 - a.recommended.f1 || a.recommended.reviewQueue - b.recommended.reviewQueue
+  )[0];
+
+  return {
+    pairs: pairs.length,
+    positives,
+    negatives: pairs.length - positives,
+    skipped,
+    thresholds,
+    weights,
+    ...targets,
+    modes: byMode,
+    recommended: { mode, weights, ...best.recommended },
+  };
+}
+
+const hydrateProfile = (row) =>
+  row && {
+    ...row,
+    weights: parseJSON(row.weights, null),
+    evaluation: parseJSON(row.evaluation, null),
+  };
+
+/**
+ * Saved matching profiles, by name
+ */
+export async function listProfiles() {
+  const db = await initDB();
+  try {
+    const rows = await db.all(`SELECT * FROM matching_profiles ORDER BY name ASC`);
+    return rows.map(hydrateProfile);
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * One profile by name, or null
+ */
+export async function getProfile(name) {
+  const db = await initDB();
+  try {
+    return hydrateProfile(await db.get(`SELECT * FROM matching_profiles WHERE name = ?`, [name])) ?? null;
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Save (or replace, by name) a matching profile:
+ *   { name, mode, acceptThreshold, reviewThreshold, weights?, description?, evaluation? }
+ * Throws 400 on bad input.
+ */
+export async function saveProfile(profile = {}) {
+  const { name, mode, acceptThreshold, reviewThreshold, weights, description, evaluation } = profile;
+  if (!name || typeof name !== "string") throw httpError(400, "Profile name is required");
+  if (!MATCH_MODES.includes(mode)) throw httpError(400, `Unknown mode: ${mode} (use ${MATCH_MODES.join(", ")})`);
+  const accept = Number(acceptThreshold);
+  const review = Number(reviewThreshold);
+  if (!(accept > 0 && accept <= 1) || !(review > 0 && review <= accept)) {
+    throw httpError(400, "Thresholds must satisfy 0 < reviewThreshold <= acceptThreshold <= 1");
+  }
+  const profileWeights = weights === undefined || weights === null ? null : parseWeights(weights);
+
+  const db = await initDB();
+  try {
+    await db.run(
+      `INSERT INTO matching_profiles (name, mode, accept_threshold, review_threshold, weights, description, evaluation)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         mode = excluded.mode,
+         accept_threshold = excluded.accept_threshold,
+         review_threshold = excluded.review_threshold,
+         weights = excluded.weights,
+         description = excluded.description,
+         evaluation = excluded.evaluation,
+         updated_at = datetime('now')`,
+      [
+        name,
+        mode,
+        accept,
+        review,
+        profileWeights && JSON.stringify(profileWeights),
+        description || null,
+        evaluation ? JSON.stringify(evaluation) : null,
+      ]
+    );
+    return hydrateProfile(await db.get(`SELECT * FROM matching_profiles WHERE name = ?`, [name]));
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Delete a profile; false when it didn't exist
+ */
+export async function deleteProfile(name) {
+  const db = await initDB();
+  try {
+    const result = await db.run(`DELETE FROM matching_profiles WHERE name = ?`, [name]);
+    return result.changes > 0;
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Match query options with ?profile= applied: the profile's mode,
+ * thresholds and weights, under any given explicitly. Throws 400 for an
+ * unknown profile.
+ */
+export async function withProfile(query = {}) {
+  const { profile: name, ...rest } = query;
+  if (!name) return rest;
+  const profile = await getProfile(name);
+  if (!profile) throw httpError(400, `Unknown matching profile: ${name}`);
+
+  const defined = Object.fromEntries(Object.entries(rest).filter(([, v]) => v !== undefined && v !== ""));
+  return {
+    mode: profile.mode,
+    threshold: profile.accept_threshold,
+    reviewThreshold: profile.review_threshold,
+    ...(profile.weights ? { weights: profile.weights } : {}),
+    ...defined,
+  };
+}
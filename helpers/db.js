@@ -1,6 +1,13 @@
 // helpers/db.js
 import sqlite3 from "sqlite3";
 import { open } from "sqlite";
+import { OBJECTION_PERIOD_DAYS, LIFECYCLE_STATES, todayISO, lifecycleOf } from "../utils/lifecycle.js";
+import { NOTICE_EXTRACTORS, NOTICE_FIELDS } from "./notices/index.js";
+import { ISO_DATE_RE, httpError } from "../utils/common.js";
+
+// Schema migrations run once per process; connections opened while they
+// run wait for them instead of racing them (startup opens several at once)
+let schemaReady = null;
 
 /**
  * Open DB connection
@@ -12,7 +19,21 @@ export async function initDB() {
   });
 
   await db.exec("PRAGMA journal_mode = WAL;");
-  await ensureSchema(db);
+  // background jobs (helpers/jobs.js) write while requests do; storing a
+  // large issue holds the write lock for several seconds
+  await db.exec("PRAGMA busy_timeout = 30000;");
+  if (!schemaReady) {
+    schemaReady = ensureSchema(db).catch((err) => {
+      schemaReady = null; // the next connection tries again
+      throw err;
+    });
+  }
+  try {
+    await schemaReady;
+  } catch (err) {
+    await db.close();
+    throw err;
+  }
   return db;
 }
 
@@ -49,33 +70,597 @@ async function ensureSchema(db) {
     CREATE INDEX IF NOT EXISTS ix_gazette_excel_name
       ON gazette_matches (excel_name);
   `);
+
+  // Review queue: candidates between the review and accept thresholds.
+  // gazette_record / registry_record keep both source rows as JSON.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS review_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      court_station TEXT NOT NULL,
+      cause_no TEXT NOT NULL,
+      name_norm TEXT NOT NULL,
+      name_of_deceased TEXT NOT NULL,
+      excel_name TEXT NOT NULL,
+      match_type TEXT,
+      score REAL DEFAULT 0,
+      volume_no TEXT,
+      date_published TEXT,
+      gazette_record TEXT,
+      registry_record TEXT,
+      status TEXT DEFAULT 'pending',  -- "pending" | "approved" | "rejected"
+      reviewer TEXT,
+      decided_at TEXT,
+
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_review_queue
+      ON review_queue (court_station, cause_no, name_norm, date_published, volume_no, excel_name);
+
+    CREATE INDEX IF NOT EXISTS ix_review_queue_status
+      ON review_queue (status, score);
+
+    -- Every decision, including re-opens (append-only)
+    CREATE TABLE IF NOT EXISTS review_decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      review_id INTEGER NOT NULL REFERENCES review_queue(id) ON DELETE CASCADE,
+      decision TEXT NOT NULL,         -- "approved" | "rejected" | "reopened"
+      reviewer TEXT NOT NULL,
+      note TEXT,
+      decided_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS ix_review_decisions_review
+      ON review_decisions (review_id);
+  `);
+
+  // Ingested gazette issues (one row per distinct PDF, keyed by content
+  // hash) and every notice extracted from them
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS gazette_issues (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      content_hash TEXT NOT NULL UNIQUE, -- sha256 of the PDF
+      volume_no TEXT,                    -- "Vol. CXXVII—No. 166"
+      date_published TEXT,               -- ISO date
+      page_count INTEGER,
+      notice_count INTEGER DEFAULT 0,
+      source_file TEXT,                  -- original upload name
+      stored_path TEXT,                  -- archived copy, for re-extraction
+      masthead TEXT,                     -- JSON (helpers/parse.js parseMasthead)
+      overrides TEXT,                    -- JSON { volumeNo, datePublished } given at upload
+      ingested_at TEXT DEFAULT (datetime('now')),
+      extracted_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS ix_gazette_issues_date
+      ON gazette_issues (date_published);
+
+    CREATE TABLE IF NOT EXISTS gazette_notices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      issue_id INTEGER NOT NULL REFERENCES gazette_issues(id) ON DELETE CASCADE,
+      gazette_notice_no TEXT,
+      court_station TEXT NOT NULL,
+      court_level TEXT,
+      station_resolved INTEGER DEFAULT 1,
+      court_station_raw TEXT,
+      cause_no TEXT NOT NULL,
+      name_of_deceased TEXT NOT NULL,
+      name_norm TEXT NOT NULL,
+      date_of_death TEXT,
+      last_residence TEXT,
+      grant_type TEXT,
+      registrar TEXT,
+      petitioners TEXT,                  -- JSON [{ name, relationship }]
+      volume_no TEXT,
+      date_published TEXT,
+      page INTEGER,
+      text_source TEXT,                  -- "text" | "ocr"
+      ocr_confidence REAL,
+      regions TEXT,                      -- JSON [{ page, column, bbox }]
+
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS ix_gazette_notices_issue
+      ON gazette_notices (issue_id);
+
+    CREATE INDEX IF NOT EXISTS ix_gazette_notices_name
+      ON gazette_notices (name_norm);
+  `);
+
+  // Corrigenda / revocations of earlier notices (helpers/parse.js
+  // parseAmendment), keyed by the issue that printed them, and every change
+  // they made to a stored notice
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS notice_amendments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      issue_id INTEGER NOT NULL REFERENCES gazette_issues(id) ON DELETE CASCADE,
+      gazette_notice_no TEXT,            -- notice it was printed under ("" in CORRIGENDA)
+      type TEXT NOT NULL,                -- "corrigendum" | "revocation" | "republication"
+      target_notice_no TEXT NOT NULL,
+      target_year TEXT NOT NULL,
+      target_issue_id INTEGER,           -- set once the earlier notice is in the archive
+      cause_nos TEXT,                    -- JSON [cause no]; [] = the whole notice
+      field TEXT,                        -- corrected notice field (corrigenda)
+      old_value TEXT,
+      new_value TEXT,
+      text TEXT NOT NULL,                -- statement as printed
+      page INTEGER,
+      applied_count INTEGER DEFAULT 0,   -- stored notices it changed
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_notice_amendments
+      ON notice_amendments (issue_id, text);
+
+    CREATE INDEX IF NOT EXISTS ix_notice_amendments_target
+      ON notice_amendments (target_notice_no, target_year);
+
+    CREATE TABLE IF NOT EXISTS notice_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notice_id INTEGER NOT NULL,        -- gazette_notices.id
+      amendment_id INTEGER NOT NULL REFERENCES notice_amendments(id) ON DELETE CASCADE,
+      field TEXT NOT NULL,               -- "name_of_deceased" | "cause_no" | "court_station" | "revoked"
+      old_value TEXT,
+      new_value TEXT,
+      changed_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS ix_notice_history_notice
+      ON notice_history (notice_id);
+
+    CREATE INDEX IF NOT EXISTS ix_gazette_notices_no
+      ON gazette_notices (gazette_notice_no);
+  `);
+
+  // Set when a later notice revokes or re-publishes the entry
+  await ensureColumns(db, "gazette_notices", { revoked: "INTEGER DEFAULT 0" });
+
+  // Records per notice type in an issue, JSON { [type]: n, unclaimed: n }
+  // (helpers/parse.js); notice_count stays the succession count
+  await ensureColumns(db, "gazette_issues", { notice_counts: "TEXT" });
+  await ensureNoticeTables(db);
+
+  // Succession notice details (added after the first release)
+  await ensureColumns(db, "gazette_matches", {
+    gazette_notice_no: "TEXT",
+    date_of_death: "TEXT",
+    last_residence: "TEXT",
+    grant_type: "TEXT", // "Probate" | "Letters of Administration" | ...
+    registrar: "TEXT",
+    petitioners: "TEXT", // JSON [{ name, relationship }]
+  });
+
+  // Per-signal explanation of the score (helpers/scoring.js), as JSON
+  await ensureColumns(db, "gazette_matches", { score_breakdown: "TEXT" });
+  await ensureColumns(db, "review_queue", { score_breakdown: "TEXT" });
+
+  // The gazette_matches row an approval wrote, and the status that row goes
+  // back to once no approved item rests on it (NULL: the approval created it
+  // and it is deleted), so rejecting or re-opening undoes the approval
+  await ensureColumns(db, "review_queue", { match_id: "INTEGER", match_status_before: "TEXT" });
+  await db.exec(`CREATE INDEX IF NOT EXISTS ix_review_queue_match ON review_queue (match_id);`);
+
+  // Station as resolved by the gazetteer (utils/stations.js); court_station
+  // holds the notice's own spelling when station_resolved = 0
+  await ensureColumns(db, "gazette_matches", {
+    court_level: "TEXT",
+    station_resolved: "INTEGER DEFAULT 1",
+    court_station_raw: "TEXT",
+  });
+
+  // Issue the matched notice was published in (gazette_issues.id)
+  await ensureColumns(db, "gazette_matches", { issue_id: "INTEGER" });
+
+  // Objection lodged against the estate (see utils/lifecycle.js)
+  await ensureColumns(db, "gazette_matches", {
+    objection_lodged_at: "TEXT",
+    objection_lodged_by: "TEXT",
+    objection_note: "TEXT",
+  });
+
+  // Duplicate clusters (helpers/duplicates.js): matches that look like the
+  // same estate, the same registry row or the same name, rebuilt after every
+  // save; the canonical match is picked by a reviewer
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS duplicate_clusters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cluster_key INTEGER NOT NULL UNIQUE, -- lowest member match id
+      type TEXT NOT NULL,                  -- "republication" | "registry_duplicate" | "namesake"
+      size INTEGER NOT NULL,
+      canonical_match_id INTEGER,          -- gazette_matches.id kept when resolved
+      resolved_by TEXT,
+      resolved_at TEXT,
+      note TEXT,
+
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+  await ensureColumns(db, "gazette_matches", { cluster_id: "INTEGER" });
+
+  // Column mappings for registry layouts the importer can't read on its own
+  // (helpers/registry.js), reused by source or by header signature
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS registry_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      source TEXT,                         -- registry the layout comes from (?source=)
+      header_signature TEXT,               -- helpers/registry.js headerSignature
+      header_row INTEGER,                  -- 1-based; detected when null
+      columns TEXT NOT NULL,               -- JSON { name, cause, station, filingDate }: label or column letter
+      use_count INTEGER DEFAULT 0,
+      last_used_at TEXT,
+
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS ix_registry_templates_signature
+      ON registry_templates (header_signature);
+  `);
+
+  // Uploads processed in the background (helpers/jobs.js); the uploaded
+  // files stay in uploads/ until the job finishes
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,                  -- registered job type ("match", "reports-multi")
+      status TEXT NOT NULL DEFAULT 'queued', -- helpers/jobs.js JOB_STATUSES
+      params TEXT,                         -- JSON options the upload came with
+      files TEXT,                          -- JSON [{ field, path, originalname }]
+      progress TEXT,                       -- JSON { stage, fileIndex, fileCount, file, page, pageCount, percent, files }
+      result TEXT,                         -- JSON, once completed
+      error TEXT,
+      attempts INTEGER DEFAULT 0,
+
+      created_at TEXT DEFAULT (datetime('now')),
+      started_at TEXT,
+      finished_at TEXT,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS ix_jobs_status ON jobs (status, id);
+  `);
+
+  // Named thresholds / weights for a match mode (helpers/calibration.js),
+  // applied with ?profile= on the match endpoints
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS matching_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      mode TEXT NOT NULL,                  -- helpers/match.js MATCH_MODES
+      accept_threshold REAL NOT NULL,
+      review_threshold REAL NOT NULL,
+      weights TEXT,                        -- JSON { name, cause, station }
+      description TEXT,
+      evaluation TEXT,                     -- JSON metrics it was recommended with, if any
+
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+
+  // Local accounts (helpers/auth.js) and the bearer tokens they sign in with:
+  // API keys, and the sessions POST /auth/login hands out
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      display_name TEXT,
+      role TEXT NOT NULL,                  -- helpers/auth.js ROLES
+      password_hash TEXT,                  -- "scrypt$salt$hash"; null = API keys only
+      active INTEGER DEFAULT 1,
+      last_login_at TEXT,
+
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL DEFAULT 'key',    -- "key" | "session"
+      name TEXT,
+      prefix TEXT NOT NULL,                -- first characters, to tell keys apart
+      token_hash TEXT NOT NULL UNIQUE,     -- sha256 of the token
+      expires_at TEXT,                     -- sessions only
+      last_used_at TEXT,
+      revoked_at TEXT,
+
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS ix_api_keys_user ON api_keys (user_id);
+  `);
+
+  // Who did what (helpers/audit.js): uploads, match decisions, data wipes,
+  // account changes. Rows are never changed or removed.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      at TEXT DEFAULT (datetime('now')),
+      user_id INTEGER,
+      username TEXT,                       -- as it was when the entry was written
+      role TEXT,
+      action TEXT NOT NULL,                -- "match.upload", "review.approve", "matches.clear", …
+      target_type TEXT,                    -- "issue", "review_item", "match", "user", …
+      target_id TEXT,
+      details TEXT,                        -- JSON
+      ip TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS ix_audit_log_action ON audit_log (action, id);
+    CREATE INDEX IF NOT EXISTS ix_audit_log_user ON audit_log (user_id, id);
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+  `);
+
+  await ensureMatchSearch(db);
 }
 
 /**
- * Mark duplicates where the same excel_name maps to multiple matches
+ * Full-text index over gazette_matches names (external content, kept in
+ * sync by triggers). Built from existing rows the first time it is created.
  */
-async function flagDuplicates(db) {
-  const dupes = await db.all(`
-    SELECT excel_name
-    FROM gazette_matches
-    WHERE IFNULL(excel_name, '') <> ''
-    GROUP BY excel_name
-    HAVING COUNT(*) > 1
+async function ensureMatchSearch(db) {
+  const exists = await db.get(
+    `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'gazette_matches_fts'`
+  );
+  if (exists) return;
+
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS gazette_matches_fts USING fts5(
+      name_of_deceased, excel_name,
+      content = 'gazette_matches', content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS gazette_matches_fts_ai AFTER INSERT ON gazette_matches BEGIN
+      INSERT INTO gazette_matches_fts (rowid, name_of_deceased, excel_name)
+      VALUES (new.id, new.name_of_deceased, new.excel_name);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS gazette_matches_fts_ad AFTER DELETE ON gazette_matches BEGIN
+      INSERT INTO gazette_matches_fts (gazette_matches_fts, rowid, name_of_deceased, excel_name)
+      VALUES ('delete', old.id, old.name_of_deceased, old.excel_name);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS gazette_matches_fts_au
+      AFTER UPDATE OF name_of_deceased, excel_name ON gazette_matches BEGIN
+      INSERT INTO gazette_matches_fts (gazette_matches_fts, rowid, name_of_deceased, excel_name)
+      VALUES ('delete', old.id, old.name_of_deceased, old.excel_name);
+      INSERT INTO gazette_matches_fts (rowid, name_of_deceased, excel_name)
+      VALUES (new.id, new.name_of_deceased, new.excel_name);
+    END;
+
+    INSERT INTO gazette_matches_fts (gazette_matches_fts) VALUES ('rebuild');
   `);
+}
 
-  if (dupes.length === 0) return;
+// SQL type of a notice extractor column ("JSON" is stored as TEXT)
+const sqlType = (type) => (type === "JSON" ? "TEXT" : type);
 
-  const names = dupes.map(d => d.excel_name);
-  const placeholders = names.map(() => "?").join(",");
-  await db.run(
-    `UPDATE gazette_matches SET duplicate = 1 WHERE excel_name IN (${placeholders})`,
-    names
-  );
+/**
+ * One table per notice type stored generically (helpers/notices/): its
+ * NOTICE_FIELDS and the columns its extractor declares, new ones added to
+ * an existing table
+ */
+async function ensureNoticeTables(db) {
+  for (const { table, columns, storedSeparately } of NOTICE_EXTRACTORS) {
+    if (storedSeparately) continue;
+    const all = Object.entries({ ...NOTICE_FIELDS, ...columns }).map(([name, type]) => [name, sqlType(type)]);
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        issue_id INTEGER NOT NULL REFERENCES gazette_issues(id) ON DELETE CASCADE,
+        ${all.map(([name, type]) => `${name} ${type}`).join(",\n        ")},
+        created_at TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS ix_${table}_issue ON ${table} (issue_id);
+    `);
+    await ensureColumns(db, table, Object.fromEntries(all));
+  }
+}
+
+/**
+ * Add any missing columns to an existing table (CREATE TABLE IF NOT EXISTS
+ * leaves older databases untouched)
+ */
+async function ensureColumns(db, table, columns) {
+  const existing = new Set((await db.all(`PRAGMA table_info(${table})`)).map((c) => c.name));
+  for (const [name, type] of Object.entries(columns)) {
+    if (existing.has(name)) continue;
+    try {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    } catch (err) {
+      // another process added it since PRAGMA table_info
+      if (!/duplicate column name/i.test(err.message)) throw err;
+    }
+  }
+}
+
+/**
+ * Decode JSON columns of a gazette_matches row for API responses
+ */
+export function hydrateMatch(row) {
+  if (!row) return row;
+  let petitioners = [];
+  let breakdown = null;
+  try {
+    petitioners = row.petitioners ? JSON.parse(row.petitioners) : [];
+  } catch {
+    petitioners = [];
+  }
+  try {
+    breakdown = row.score_breakdown ? JSON.parse(row.score_breakdown) : null;
+  } catch {
+    breakdown = null;
+  }
+  const { state, objection_deadline, days_remaining } = lifecycleOf(row);
+  return { ...row, petitioners, score_breakdown: breakdown, lifecycle: state, objection_deadline, days_remaining };
+}
+
+// Last day of the objection period, in SQL (utils/lifecycle.js objectionDeadline)
+export const DEADLINE_SQL = `date(m.date_published, '+${OBJECTION_PERIOD_DAYS} days')`;
+
+// Sortable columns of GET /matches; every sort ends on id so cursors are stable
+const MATCH_SORTS = {
+  date_published: "IFNULL(m.date_published, '')",
+  score: "m.score",
+  name: "m.name_of_deceased",
+  court_station: "m.court_station",
+  created_at: "m.created_at",
+  objection_deadline: `IFNULL(${DEADLINE_SQL}, '')`,
+  relevance: "bm25(gazette_matches_fts)",
+};
+
+// Free text as an FTS5 query: every word must match, as a prefix
+function ftsQuery(text) {
+  const words = String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return words.map((w) => `"${w}"*`).join(" ");
+}
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isInteger(id)) throw new Error();
+    return { value, id };
+  } catch {
+    throw httpError(400, "Invalid cursor");
+  }
+}
+
+/**
+ * WHERE clause for the gazette_matches filters shared by GET /matches and
+ * the reports (alias "m", joined to gazette_matches_fts when searching).
+ * filters: { station, from, to, volume, status, matchType, minScore, duplicate,
+ *            lifecycle, q }
+ * Throws a 400 error on bad values.
+ * Returns { source, where: [clauses], params, search }
+ */
+export function matchFilterSQL(filters = {}) {
+  const { station, from, to, volume, status, matchType, minScore, duplicate, lifecycle, q } = filters;
+  const search = q ? ftsQuery(q) : "";
+  if (q && !search) throw httpError(400, "q has no searchable words");
+
+  const where = [];
+  const params = [];
+  const add = (clause, ...values) => {
+    where.push(clause);
+    params.push(...values);
+  };
+
+  if (search) add("gazette_matches_fts MATCH ?", search);
+  if (station) add("m.court_station = ?", station);
+  for (const [d, op] of [[from, ">="], [to, "<="]]) {
+    if (!d) continue;
+    if (!ISO_DATE_RE.test(d)) throw httpError(400, `Invalid date: ${d} (use YYYY-MM-DD)`);
+    add(`m.date_published ${op} ?`, d);
+  }
+  if (volume) add("m.volume_no = ?", volume);
+  if (status) add("m.status_at_gp = ?", status);
+  if (matchType) add("m.match_type = ?", matchType);
+  if (minScore !== undefined && minScore !== "") {
+    if (!Number.isFinite(Number(minScore))) throw httpError(400, `Invalid minScore: ${minScore}`);
+    add("m.score >= ?", Number(minScore));
+  }
+  if (duplicate !== undefined && duplicate !== "") {
+    if (!["true", "false", "1", "0"].includes(String(duplicate))) {
+      throw httpError(400, `Invalid duplicate: ${duplicate}`);
+    }
+    add("m.duplicate = ?", ["true", "1"].includes(String(duplicate)) ? 1 : 0);
+  }
+
+  if (lifecycle) {
+    if (!LIFECYCLE_STATES.includes(lifecycle)) throw httpError(400, `Unknown lifecycle: ${lifecycle}`);
+    if (lifecycle === "objection lodged") add("m.objection_lodged_at IS NOT NULL");
+    else if (lifecycle === "not gazetted") add(`m.objection_lodged_at IS NULL AND ${DEADLINE_SQL} IS NULL`);
+    else add(`m.objection_lodged_at IS NULL AND ${DEADLINE_SQL} ${lifecycle === "ready for grant" ? "<" : ">="} ?`, todayISO());
+  }
+
+  const source = search
+    ? "gazette_matches m JOIN gazette_matches_fts ON gazette_matches_fts.rowid = m.id"
+    : "gazette_matches m";
+  return { source, where, params, search };
+}
+
+/**
+ * Page through gazette_matches.
+ * filters: matchFilterSQL() filters plus { sort, order, limit, cursor }
+ * q searches name_of_deceased / excel_name (FTS5, word prefixes) and sorts by
+ * relevance unless another sort is given. Pages are keyset-based: pass the
+ * returned nextCursor (null on the last page) to get the next one.
+ * Throws a 400 error on bad parameters.
+ * Returns { total, rows, nextCursor }
+ */
+export async function listMatches(filters = {}) {
+  const { source, where, params, search } = matchFilterSQL(filters);
+  const sort = filters.sort || (search ? "relevance" : "date_published");
+  if (!(sort in MATCH_SORTS)) throw httpError(400, `Unknown sort: ${sort}`);
+  if (sort === "relevance" && !search) throw httpError(400, "sort=relevance needs q");
+  const order = (filters.order || (sort === "relevance" ? "asc" : "desc")).toLowerCase();
+  if (!["asc", "desc"].includes(order)) throw httpError(400, `Unknown order: ${filters.order}`);
+  const limit = Math.min(Math.max(Number(filters.limit) || 100, 1), 1000);
+
+  const sortSQL = MATCH_SORTS[sort];
+  const { cursor } = filters;
+  const cmp = order === "asc" ? ">" : "<";
+
+  const db = await initDB();
+  try {
+    const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM ${source} ${whereSQL}`, params);
+
+    const page = [...where];
+    const pageParams = [...params];
+    if (cursor) {
+      const { value, id } = decodeCursor(cursor);
+      page.push(`(${sortSQL} ${cmp} ? OR (${sortSQL} = ? AND m.id ${cmp} ?))`);
+      pageParams.push(value, value, id);
+    }
+    const pageSQL = page.length ? `WHERE ${page.join(" AND ")}` : "";
+
+    const rows = await db.all(
+      `SELECT m.*, ${sortSQL} AS _sort FROM ${source} ${pageSQL}
+       ORDER BY _sort ${order.toUpperCase()}, m.id ${order.toUpperCase()} LIMIT ?`,
+      [...pageParams, limit + 1]
+    );
+
+    const more = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const last = pageRows[pageRows.length - 1];
+    return {
+      total,
+      rows: pageRows.map(({ _sort, ...row }) => hydrateMatch(row)),
+      nextCursor: more ? encodeCursor(last._sort, last.id) : null,
+    };
+  } finally {
+    await db.close();
+  }
 }
 
 /**
  * Batch insert with UPSERT; only escalate status to "Approved", never downgrade.
- * Keeps best (max) score seen so far.
+ * Keeps best (max) score seen so far. Callers refresh the duplicate clusters
+ * afterwards (helpers/duplicates.js).
+ * options: { batchSize, fromReview } — fromReview marks the saves review
+ * approvals make; any other save also moves the status the row falls back to
+ * once its approvals are undone (review_queue.match_status_before).
  */
 export async function saveMatchesToDB(matches, options = {}) {
   const batchSize = Number(options.batchSize || 500);
@@ -87,8 +672,10 @@ export async function saveMatchesToDB(matches, options = {}) {
   const insertSQL = `
     INSERT INTO gazette_matches
       (court_station, cause_no, name_norm, name_of_deceased, excel_name,
-       match_type, score, duplicate, status_at_gp, volume_no, date_published, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+       match_type, score, duplicate, status_at_gp, volume_no, date_published,
+       gazette_notice_no, date_of_death, last_residence, grant_type, registrar, petitioners,
+       score_breakdown, court_level, station_resolved, court_station_raw, issue_id, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
     ON CONFLICT(court_station, cause_no, name_norm, date_published, volume_no)
     DO UPDATE SET
       status_at_gp = CASE
@@ -97,11 +684,37 @@ export async function saveMatchesToDB(matches, options = {}) {
       END,
       excel_name = COALESCE(excluded.excel_name, gazette_matches.excel_name),
       match_type = COALESCE(excluded.match_type, gazette_matches.match_type),
+      score_breakdown = CASE
+        WHEN excluded.score >= gazette_matches.score OR gazette_matches.score_breakdown IS NULL
+          THEN COALESCE(excluded.score_breakdown, gazette_matches.score_breakdown)
+        ELSE gazette_matches.score_breakdown
+      END,
       score = MAX(gazette_matches.score, excluded.score),
+      gazette_notice_no = COALESCE(excluded.gazette_notice_no, gazette_matches.gazette_notice_no),
+      date_of_death = COALESCE(excluded.date_of_death, gazette_matches.date_of_death),
+      last_residence = COALESCE(excluded.last_residence, gazette_matches.last_residence),
+      grant_type = COALESCE(excluded.grant_type, gazette_matches.grant_type),
+      registrar = COALESCE(excluded.registrar, gazette_matches.registrar),
+      petitioners = COALESCE(excluded.petitioners, gazette_matches.petitioners),
+      court_level = COALESCE(excluded.court_level, gazette_matches.court_level),
+      station_resolved = excluded.station_resolved,
+      court_station_raw = COALESCE(excluded.court_station_raw, gazette_matches.court_station_raw),
+      issue_id = COALESCE(excluded.issue_id, gazette_matches.issue_id),
       updated_at = datetime('now')
   `;
 
   const stmt = await db.prepare(insertSQL);
+  // a row saved as Approved stays Approved; a row saved at all is not deleted
+  const fallbackStmt = options.fromReview
+    ? null
+    : await db.prepare(`
+        UPDATE review_queue
+        SET match_status_before = CASE WHEN ? = 'Approved' THEN 'Approved' ELSE COALESCE(match_status_before, ?) END
+        WHERE status = 'approved' AND match_id = (
+          SELECT id FROM gazette_matches
+          WHERE court_station = ? AND cause_no = ? AND name_norm = ? AND date_published = ? AND volume_no = ?
+        )
+      `);
 
   try {
     for (let i = 0; i < matches.length; i += batchSize) {
@@ -124,7 +737,20 @@ export async function saveMatchesToDB(matches, options = {}) {
             Number(m.duplicate ? 1 : 0),
             m.status_at_gp || "Published",
             m.volume_no || "",
-            m.date_published || ""
+            m.date_published || "",
+            m.gazette_notice_no || null,
+            m.date_of_death || null,
+            m.last_residence || null,
+            m.grant_type || null,
+            m.registrar || null,
+            Array.isArray(m.petitioners) && m.petitioners.length
+              ? JSON.stringify(m.petitioners)
+              : null,
+            m.score_breakdown ? JSON.stringify(m.score_breakdown) : null,
+            m.court_level || null,
+            m.station_resolved === false ? 0 : 1,
+            m.court_station_raw || null,
+            m.issue_id ?? null
           );
 
           // sqlite run() .changes is 1 for insert or update;
@@ -132,6 +758,18 @@ export async function saveMatchesToDB(matches, options = {}) {
           if (result.changes) {
             inserted.push({ id: result.lastID, ...m });
           }
+          if (fallbackStmt) {
+            const status = m.status_at_gp || "Published";
+            await fallbackStmt.run(
+              status,
+              status,
+              m.court_station || "",
+              m.cause_no || "",
+              nameNorm,
+              m.date_published || "",
+              m.volume_no || ""
+            );
+          }
         }
         await db.exec("COMMIT;");
       } catch (err) {
@@ -141,22 +779,44 @@ export async function saveMatchesToDB(matches, options = {}) {
     }
   } finally {
     await stmt.finalize();
+    await fallbackStmt?.finalize();
   }
 
-  await flagDuplicates(db);
   await db.close();
   return inserted;
 }
 
 /**
- * Delete all matches
+ * Delete all matches. Approved review items lose the match their approval
+ * wrote, so they are re-opened (with a "system" decision) in the same
+ * transaction. Returns { deleted, reopened }.
  */
 export async function clearMatches() {
   const db = await initDB();
   try {
-    const res = await db.run("DELETE FROM gazette_matches;");
+    await db.exec("BEGIN TRANSACTION;");
+    let deleted;
+    let reopened;
+    try {
+      ({ changes: deleted } = await db.run("DELETE FROM gazette_matches;"));
+      await db.run("DELETE FROM duplicate_clusters;");
+      await db.run(
+        `INSERT INTO review_decisions (review_id, decision, reviewer, note)
+         SELECT id, 'reopened', 'system', 'Matches cleared' FROM review_queue WHERE status = 'approved'`
+      );
+      ({ changes: reopened } = await db.run(
+        `UPDATE review_queue
+         SET status = 'pending', reviewer = 'system', decided_at = NULL, match_id = NULL, match_status_before = NULL,
+             updated_at = datetime('now')
+         WHERE status = 'approved'`
+      ));
+      await db.exec("COMMIT;");
+    } catch (err) {
+      await db.exec("ROLLBACK;");
+      throw err;
+    }
     await db.exec("VACUUM;");
-    return res.changes || 0;
+    return { deleted: deleted || 0, reopened: reopened || 0 };
   } finally {
     await db.close();
   }
@@ -0,0 +1,315 @@
+// helpers/duplicates.js
+import { initDB, hydrateMatch } from "./db.js";
+import { scoreNames } from "./match.js";
+import { buildBlockingIndex } from "./blocking.js";
+import { causeAgreement, stationAgreement } from "./scoring.js";
+import { parseCauseNo } from "../utils/cause.js";
+import { httpError } from "../utils/common.js";
+
+// Cluster types, most pressing first; a cluster with several kinds of pair
+// takes the first that applies:
+//   registry_duplicate — one registry row matched to different estates
+//   republication      — the same estate (name, cause, station) gazetted again
+//   namesake           — the same name on a different estate
+export const CLUSTER_TYPES = ["registry_duplicate", "republication", "namesake"];
+
+// Name score two entries need to be the same estate (cause and station must
+// agree too), and to tie different estates as namesakes
+const SAME_ESTATE_NAME = 0.8;
+const NAMESAKE_NAME = 0.9;
+// Cause agreement that confirms the same estate ("E12/2025" vs "12/2025" is 0.75)
+const SAME_CAUSE = 0.75;
+
+// Members of a cluster compared pair by pair in GET /duplicates/:id
+const MAX_PAIRS_MEMBERS = 50;
+
+/**
+ * How two gazette_matches rows relate:
+ *   { name, cause, station, relation }
+ * name / cause / station are the agreement scores (helpers/scoring.js; null
+ * when a side has no data); relation is a CLUSTER_TYPES entry, or null when
+ * the rows are unrelated.
+ */
+export function comparePair(a, b) {
+  const name = scoreNames(a.name_of_deceased, b.name_of_deceased, "tokens");
+  const cause = causeAgreement(parseCauseNo(a.cause_no), parseCauseNo(b.cause_no));
+  const station = stationAgreement(a.court_station, b.court_station);
+
+  let relation = null;
+  if (name >= SAME_ESTATE_NAME && cause !== null && cause >= SAME_CAUSE && station !== 0) relation = "republication";
+  else if (a.excel_name && a.excel_name === b.excel_name) relation = "registry_duplicate";
+  else if (name >= NAMESAKE_NAME) relation = "namesake";
+
+  return { name, cause, station, relation };
+}
+
+/**
+ * Group matches into duplicate clusters. Pairs sharing a blocking key on the
+ * gazette name (helpers/blocking.js) or the same registry name are compared;
+ * related pairs are joined transitively.
+ *   rows: [{ id, name_of_deceased, excel_name, cause_no, court_station }]
+ * Returns [{ key, type, members: [ids] }] — key is the lowest member id.
+ */
+export function clusterMatches(rows = []) {
+  const parent = rows.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  const edges = [];
+  const seen = new Set();
+
+  const compare = (i, j) => {
+    const [a, b] = i < j ? [i, j] : [j, i];
+    const key = `${a}:${b}`;
+    if (a === b || seen.has(key)) return;
+    seen.add(key);
+    const { relation } = comparePair(rows[a], rows[b]);
+    if (!relation) return;
+    edges.push([a, b, relation]);
+    parent[find(a)] = find(b);
+  };
+
+  const index = buildBlockingIndex(rows, { nameOf: (r) => r.name_of_deceased });
+  rows.forEach((r, i) => {
+    for (const j of index.candidatesFor(r.name_of_deceased)) if (j > i) compare(i, j);
+  });
+
+  const byExcel = new Map();
+  rows.forEach((r, i) => {
+    if (!r.excel_name) return;
+    if (!byExcel.has(r.excel_name)) byExcel.set(r.excel_name, []);
+    byExcel.get(r.excel_name).push(i);
+  });
+  for (const group of byExcel.values()) {
+    for (let x = 0; x < group.length; x++) for (let y = x + 1; y < group.length; y++) compare(group[x], group[y]);
+  }
+
+  const clusters = new Map();
+  for (const [a, , relation] of edges) {
+    const root = find(a);
+    if (!clusters.has(root)) clusters.set(root, new Set());
+    clusters.get(root).add(relation);
+  }
+  const members = new Map();
+  rows.forEach((r, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) return;
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(r.id);
+  });
+
+  return [...clusters].map(([root, relations]) => {
+    const ids = members.get(root).sort((x, y) => x - y);
+    return { key: ids[0], type: CLUSTER_TYPES.find((t) => relations.has(t)), members: ids };
+  });
+}
+
+// Run a statement over ids in chunks (SQLite caps bound parameters)
+async function forIds(db, ids, sql, params = []) {
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    await db.run(sql.replace("(?)", `(${chunk.map(() => "?").join(",")})`), [...params, ...chunk]);
+  }
+}
+
+// duplicate = 1 for every member but the canonical one; namesakes are
+// different estates and aren't flagged
+async function flagMembers(db, cluster, members) {
+  await forIds(db, members, `UPDATE gazette_matches SET cluster_id = ?, duplicate = 0 WHERE id IN (?)`, [cluster.id]);
+  if (cluster.type === "namesake") return;
+  const flagged = members.filter((id) => id !== cluster.canonical_match_id);
+  await forIds(db, flagged, `UPDATE gazette_matches SET duplicate = 1 WHERE id IN (?)`);
+}
+
+/**
+ * Rebuild the duplicate clusters over all of gazette_matches and reset the
+ * duplicate / cluster_id columns (flags of matches no longer in a cluster are
+ * cleared). A cluster keeps its id and resolution while it keeps its lowest
+ * member or its canonical match; a resolution whose canonical match left the
+ * cluster is dropped.
+ * Returns { clusters, flagged, types: { [type]: n } }
+ */
+export async function refreshDuplicateClusters() {
+  const db = await initDB();
+  try {
+    const rows = await db.all(
+      `SELECT id, name_of_deceased, excel_name, cause_no, court_station FROM gazette_matches ORDER BY id`
+    );
+    const clusters = clusterMatches(rows);
+
+    const existing = await db.all(`SELECT * FROM duplicate_clusters`);
+    const byKey = new Map(existing.map((c) => [c.cluster_key, c]));
+    const byCanonical = new Map(existing.filter((c) => c.canonical_match_id).map((c) => [c.canonical_match_id, c]));
+    const taken = new Set();
+    for (const c of clusters) {
+      let prev = byKey.get(c.key);
+      if (!prev || taken.has(prev.id)) {
+        prev = c.members.map((id) => byCanonical.get(id)).find((p) => p && !taken.has(p.id));
+      }
+      if (prev) {
+        taken.add(prev.id);
+        c.prev = prev;
+      }
+    }
+
+    await db.exec("BEGIN TRANSACTION;");
+    try {
+      await db.run(
+        `UPDATE gazette_matches SET cluster_id = NULL, duplicate = 0 WHERE cluster_id IS NOT NULL OR duplicate = 1`
+      );
+      const dropped = existing.filter((c) => !taken.has(c.id)).map((c) => c.id);
+      await forIds(db, dropped, `DELETE FROM duplicate_clusters WHERE id IN (?)`);
+      // keys move between kept clusters; clear them first so none collide
+      await db.run(`UPDATE duplicate_clusters SET cluster_key = -id`);
+
+      const types = Object.fromEntries(CLUSTER_TYPES.map((t) => [t, 0]));
+      let flagged = 0;
+      for (const c of clusters) {
+        types[c.type]++;
+        const canonical = c.members.includes(c.prev?.canonical_match_id) ? c.prev.canonical_match_id : null;
+        let id = c.prev?.id;
+        if (id) {
+          await db.run(
+            `UPDATE duplicate_clusters
+             SET cluster_key = ?, type = ?, size = ?, canonical_match_id = ?,
+                 resolved_by = CASE WHEN ? IS NULL THEN NULL ELSE resolved_by END,
+                 resolved_at = CASE WHEN ? IS NULL THEN NULL ELSE resolved_at END,
+                 updated_at = datetime('now')
+             WHERE id = ?`,
+            [c.key, c.type, c.members.length, canonical, canonical, canonical, id]
+          );
+        } else {
+          ({ lastID: id } = await db.run(
+            `INSERT INTO duplicate_clusters (cluster_key, type, size) VALUES (?, ?, ?)`,
+            [c.key, c.type, c.members.length]
+          ));
+        }
+        await flagMembers(db, { id, type: c.type, canonical_match_id: canonical }, c.members);
+        if (c.type !== "namesake") flagged += c.members.length - (canonical ? 1 : 0);
+      }
+
+      await db.exec("COMMIT;");
+      return { clusters: clusters.length, flagged, types };
+    } catch (err) {
+      await db.exec("ROLLBACK;");
+      throw err;
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+// Members of the given clusters, hydrated, grouped by cluster id
+async function membersOf(db, ids) {
+  const byCluster = new Map(ids.map((id) => [id, []]));
+  if (!ids.length) return byCluster;
+  const rows = await db.all(
+    `SELECT * FROM gazette_matches WHERE cluster_id IN (${ids.map(() => "?").join(",")})
+     ORDER BY date_published DESC, id ASC`,
+    ids
+  );
+  for (const row of rows) byCluster.get(row.cluster_id).push(hydrateMatch(row));
+  return byCluster;
+}
+
+/**
+ * Duplicate clusters with their matches, largest first.
+ * filters: { type, resolved ("true" | "false"), station, limit, offset }
+ * Throws a 400 error on bad values.
+ */
+export async function listDuplicateClusters({ type, resolved, station, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (type) {
+    if (!CLUSTER_TYPES.includes(type)) throw httpError(400, `Unknown type: ${type} (use ${CLUSTER_TYPES.join(", ")})`);
+    where.push("c.type = ?");
+    params.push(type);
+  }
+  if (resolved !== undefined && resolved !== "") {
+    if (!["true", "false"].includes(String(resolved))) throw httpError(400, `Invalid resolved: ${resolved}`);
+    where.push(`c.canonical_match_id IS ${String(resolved) === "true" ? "NOT NULL" : "NULL"}`);
+  }
+  if (station) {
+    where.push("EXISTS (SELECT 1 FROM gazette_matches m WHERE m.cluster_id = c.id AND m.court_station = ?)");
+    params.push(station);
+  }
+  const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const db = await initDB();
+  try {
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM duplicate_clusters c ${whereSQL}`, params);
+    const rows = await db.all(
+      `SELECT c.* FROM duplicate_clusters c ${whereSQL} ORDER BY c.size DESC, c.id ASC LIMIT ? OFFSET ?`,
+      [...params, Math.min(Number(limit) || 50, 500), Number(offset) || 0]
+    );
+    const members = await membersOf(db, rows.map((r) => r.id));
+    return { total, rows: rows.map((r) => ({ ...r, members: members.get(r.id) })) };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * One cluster with its matches and how each pair of them relates (pairs are
+ * left out of very large clusters). Returns null when it doesn't exist.
+ */
+export async function getDuplicateCluster(id) {
+  const db = await initDB();
+  try {
+    const cluster = await db.get(`SELECT * FROM duplicate_clusters WHERE id = ?`, [id]);
+    if (!cluster) return null;
+    const members = (await membersOf(db, [cluster.id])).get(cluster.id);
+
+    const pairs = [];
+    if (members.length <= MAX_PAIRS_MEMBERS) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          pairs.push({ a: members[i].id, b: members[j].id, ...comparePair(members[i], members[j]) });
+        }
+      }
+    }
+    return { ...cluster, members, pairs };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Pick the canonical match of a cluster: it keeps duplicate = 0, every other
+ * member is flagged. canonicalId null re-opens the cluster.
+ *   { canonicalId, resolvedBy, note }
+ * Returns the updated cluster, or throws 404 / 400.
+ */
+export async function resolveDuplicateCluster(id, { canonicalId = null, resolvedBy = null, note = null } = {}) {
+  const db = await initDB();
+  try {
+    const cluster = await db.get(`SELECT * FROM duplicate_clusters WHERE id = ?`, [id]);
+    if (!cluster) throw httpError(404, `Duplicate cluster ${id} not found`);
+    const members = (await db.all(`SELECT id FROM gazette_matches WHERE cluster_id = ?`, [id])).map((m) => m.id);
+
+    const canonical = canonicalId === null ? null : Number(canonicalId);
+    if (canonical !== null && !members.includes(canonical)) {
+      throw httpError(400, `Match ${canonicalId} is not in cluster ${id}`);
+    }
+
+    await db.exec("BEGIN TRANSACTION;");
+    try {
+      await db.run(
+        `UPDATE duplicate_clusters
+         SET canonical_match_id = ?, resolved_by = ?, note = ?,
+             resolved_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now') END, updated_at = datetime('now')
+         WHERE id = ?`,
+        [canonical, canonical === null ? null : resolvedBy, canonical === null ? null : note, canonical, id]
+      );
+      await flagMembers(db, { ...cluster, canonical_match_id: canonical }, members);
+      await db.exec("COMMIT;");
+    } catch (err) {
+      await db.exec("ROLLBACK;");
+      throw err;
+    }
+  } finally {
+    await db.close();
+  }
+  return getDuplicateCluster(id);
+}
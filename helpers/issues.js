@@ -0,0 +1,635 @@
+// helpers/issues.js
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { initDB } from "./db.js";
+import { parseGazetteIssue, traceGazetteIssue, unresolvedStations } from "./parse.js";
+import { ACCEPT_THRESHOLD, REVIEW_THRESHOLD, generateCandidates } from "./match.js";
+import { applyAmendments } from "./amendments.js";
+import { refreshDuplicateClusters } from "./duplicates.js";
+import { normalizeNameDB } from "../utils/normalize.js";
+import { NOTICE_EXTRACTORS, NOTICE_FIELDS, noticeExtractor } from "./notices/index.js";
+import { httpError, parseJSON } from "../utils/common.js";
+
+// Ingested PDFs are kept here, named by content hash, so a stored issue can
+// be re-extracted after the parser changes
+export const ARCHIVE_DIR = process.env.GAZETTE_ARCHIVE_DIR || "archive";
+
+export const hashBuffer = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+const notFound = (id) => httpError(404, `Gazette issue ${id} not found`);
+
+/**
+ * Decode a gazette_issues row for API responses
+ */
+export function hydrateIssue(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    masthead: parseJSON(row.masthead),
+    overrides: parseJSON(row.overrides, {}),
+    notice_counts: parseJSON(row.notice_counts),
+  };
+}
+
+/**
+ * A stored notice in the record shape helpers/parse.js produces, plus its
+ * notice_id and issue_id
+ */
+export function hydrateNotice(row) {
+  if (!row) return row;
+  const { id, name_norm, created_at, ...rest } = row;
+  return {
+    ...rest,
+    notice_id: id,
+    status_at_gp: "Published",
+    station_resolved: Boolean(row.station_resolved),
+    revoked: Boolean(row.revoked),
+    petitioners: parseJSON(row.petitioners, []),
+    regions: parseJSON(row.regions, []),
+  };
+}
+
+// Replace the stored notices of an issue; tags each record with its ids
+async function replaceNotices(db, issueId, records) {
+  // corrections are applied again to the new rows (helpers/amendments.js)
+  await db.run(
+    `DELETE FROM notice_history WHERE notice_id IN (SELECT id FROM gazette_notices WHERE issue_id = ?)`,
+    [issueId]
+  );
+  await db.run(`DELETE FROM gazette_notices WHERE issue_id = ?`, [issueId]);
+  const stmt = await db.prepare(`
+    INSERT INTO gazette_notices
+      (issue_id, gazette_notice_no, court_station, court_level, station_resolved, court_station_raw,
+       cause_no, name_of_deceased, name_norm, date_of_death, last_residence, grant_type, registrar,
+       petitioners, volume_no, date_published, page, text_source, ocr_confidence, regions)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  try {
+    for (const r of records) {
+      const result = await stmt.run(
+        issueId,
+        r.gazette_notice_no || null,
+        r.court_station || "",
+        r.court_level || null,
+        r.station_resolved === false ? 0 : 1,
+        r.court_station_raw || null,
+        r.cause_no || "",
+        r.name_of_deceased || "",
+        normalizeNameDB(r.name_of_deceased || ""),
+        r.date_of_death || null,
+        r.last_residence || null,
+        r.grant_type || null,
+        r.registrar || null,
+        JSON.stringify(r.petitioners || []),
+        r.volume_no || "",
+        r.date_published || "",
+        r.page ?? null,
+        r.text_source || null,
+        r.ocr_confidence ?? null,
+        JSON.stringify(r.regions || [])
+      );
+      r.issue_id = issueId;
+      r.notice_id = result.lastID;
+    }
+  } finally {
+    await stmt.finalize();
+  }
+}
+
+// Notice types kept in their own tables by the generic code below
+const storedTypes = () => NOTICE_EXTRACTORS.filter((e) => !e.storedSeparately);
+
+// Stored columns of a notice type, JSON ones noted
+const typeColumns = (extractor) => Object.entries({ ...NOTICE_FIELDS, ...extractor.columns });
+
+// Replace an issue's stored notices of one type (helpers/notices/)
+async function replaceTypedNotices(db, issueId, extractor, records = []) {
+  await db.run(`DELETE FROM ${extractor.table} WHERE issue_id = ?`, [issueId]);
+  if (!records.length) return;
+  const columns = typeColumns(extractor);
+  const stmt = await db.prepare(
+    `INSERT INTO ${extractor.table} (issue_id, ${columns.map(([name]) => name).join(", ")})
+     VALUES (?, ${columns.map(() => "?").join(", ")})`
+  );
+  try {
+    for (const r of records) {
+      await stmt.run(
+        issueId,
+        ...columns.map(([name, type]) => (type === "JSON" ? JSON.stringify(r[name] ?? null) : r[name] ?? null))
+      );
+    }
+  } finally {
+    await stmt.finalize();
+  }
+}
+
+/**
+ * A stored notice of a generically stored type, JSON columns decoded, with
+ * its notice_id
+ */
+export function hydrateTypedNotice(extractor, row) {
+  if (!row) return row;
+  const { id, ...rest } = row;
+  for (const [name, type] of typeColumns(extractor)) if (type === "JSON") rest[name] = parseJSON(row[name]);
+  return { ...rest, notice_id: id };
+}
+
+// Parse an archived PDF and store the issue with its notices, then apply
+// amendments (helpers/amendments.js). signal can cancel until the store starts.
+async function extractAndStore(
+  hash,
+  storedPath,
+  { sourceFile, overrides = {}, ocr, thresholds, onProgress, signal } = {}
+) {
+  const { masthead, pages, records, notices, noticeCounts, amendments } = await parseGazetteIssue(storedPath, {
+    ocr,
+    ...overrides,
+    signal,
+    onPage: (p) => onProgress?.({ stage: "read", ...p }),
+  });
+  signal?.throwIfAborted();
+  onProgress?.({ stage: "store" });
+
+  let issueId;
+  const db = await initDB();
+  try {
+    await db.exec("BEGIN TRANSACTION;");
+    try {
+      await db.run(
+        `INSERT INTO gazette_issues
+           (content_hash, volume_no, date_published, page_count, notice_count, notice_counts, source_file,
+            stored_path, masthead, overrides, extracted_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+         ON CONFLICT(content_hash) DO UPDATE SET
+           volume_no = excluded.volume_no,
+           date_published = excluded.date_published,
+           page_count = excluded.page_count,
+           notice_count = excluded.notice_count,
+           notice_counts = excluded.notice_counts,
+           source_file = COALESCE(excluded.source_file, gazette_issues.source_file),
+           stored_path = excluded.stored_path,
+           masthead = excluded.masthead,
+           overrides = excluded.overrides,
+           extracted_at = datetime('now')`,
+        [
+          hash,
+          overrides.volumeNo || masthead.volumeNo || "",
+          overrides.datePublished || masthead.datePublished || "",
+          pages.length,
+          records.length,
+          JSON.stringify(noticeCounts),
+          sourceFile || null,
+          storedPath,
+          JSON.stringify(masthead),
+          JSON.stringify(overrides),
+        ]
+      );
+      ({ id: issueId } = await db.get(`SELECT id FROM gazette_issues WHERE content_hash = ?`, [hash]));
+      await replaceNotices(db, issueId, records);
+      for (const extractor of storedTypes()) {
+        await replaceTypedNotices(db, issueId, extractor, notices[extractor.type]);
+      }
+      await db.exec("COMMIT;");
+    } catch (err) {
+      await db.exec("ROLLBACK;");
+      throw err;
+    }
+  } finally {
+    await db.close();
+  }
+
+  // corrigenda it prints, and earlier ones aimed at its notices, change the
+  // stored rows: return those
+  onProgress?.({ stage: "amendments" });
+  const amended = await applyAmendments(issueId, amendments, thresholds);
+  const stored = await issueWithNotices(issueId);
+  return { ...stored, masthead, amendments: amended };
+}
+
+/**
+ * Ingest an uploaded gazette PDF. An issue already in the archive (same
+ * content hash) is not parsed again: its stored notices are returned, and
+ * volumeNo / datePublished overrides, if given, restamp them. force re-runs
+ * extraction anyway. Corrigenda and revocations in a newly extracted issue
+ * are applied to the notices they amend (see helpers/amendments.js).
+ *
+ * options: { sourceFile, ocr, volumeNo, datePublished, force,
+ *            thresholds ({ acceptThreshold, reviewThreshold } re-scored
+ *              matches are held to, see applyAmendments),
+ *            onProgress({ stage: read|store|amendments, page?, pageCount? }),
+ *            signal (AbortSignal; honoured until the issue is stored) }
+ * Returns { issue, masthead, records, unresolvedStations, reused, amendments }
+ * amendments ({ found, applied, unlinked }) is null for a reused issue.
+ */
+export async function ingestIssue(filePath, options = {}) {
+  const { sourceFile, ocr, force = false, thresholds, onProgress, signal } = options;
+  const overrides = {};
+  if (options.volumeNo) overrides.volumeNo = options.volumeNo;
+  if (options.datePublished) overrides.datePublished = options.datePublished;
+
+  const buffer = await fs.promises.readFile(filePath);
+  const hash = hashBuffer(buffer);
+
+  const existing = await findIssue(hash);
+  if (existing && !force && fs.existsSync(existing.stored_path || "")) {
+    if (overrides.volumeNo || overrides.datePublished) {
+      // duplicate clusters hold the matches' ids and order them by date
+      if (await restampIssue(existing.id, overrides)) await refreshDuplicateClusters();
+      // a new year can link amendments to the restamped notices
+      await applyAmendments(existing.id, [], thresholds);
+    }
+    const { issue, records } = await issueWithNotices(existing.id);
+    return {
+      issue,
+      masthead: issue.masthead,
+      records,
+      unresolvedStations: unresolvedStations(records),
+      reused: true,
+      amendments: null,
+    };
+  }
+
+  await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+  const storedPath = path.join(ARCHIVE_DIR, `${hash}.pdf`);
+  await fs.promises.writeFile(storedPath, buffer);
+
+  const { issue, masthead, records, amendments } = await extractAndStore(hash, storedPath, {
+    sourceFile,
+    ocr,
+    overrides: { ...existing?.overrides, ...overrides },
+    thresholds,
+    onProgress,
+    signal,
+  });
+  return { issue, masthead, records, unresolvedStations: unresolvedStations(records), reused: false, amendments };
+}
+
+// An archived issue whose stored PDF is still on disk
+async function archivedIssue(id) {
+  const existing = await getIssue(id);
+  if (!existing) throw notFound(id);
+  if (!existing.stored_path || !fs.existsSync(existing.stored_path)) {
+    const err = new Error(`Stored PDF for issue ${id} is missing`);
+    err.status = 409;
+    throw err;
+  }
+  return existing;
+}
+
+/**
+ * Re-run extraction on an archived issue (after parser changes), keeping the
+ * overrides it was uploaded with. Replaces its stored notices and applies
+ * their amendments again.
+ * Returns { issue, previousCount, records, unresolvedStations, amendments }
+ */
+export async function reextractIssue(id, { ocr } = {}) {
+  const existing = await archivedIssue(id);
+  const { issue, records, amendments } = await extractAndStore(existing.content_hash, existing.stored_path, {
+    ocr,
+    overrides: existing.overrides,
+  });
+  return {
+    issue,
+    previousCount: existing.notice_count,
+    records,
+    unresolvedStations: unresolvedStations(records),
+    amendments,
+  };
+}
+
+/**
+ * Dry-run extraction of an archived issue's stored PDF (see
+ * traceGazetteIssue in helpers/parse.js); nothing is stored.
+ * storedCount is the number of notices currently archived for the issue.
+ */
+export async function traceIssue(id, { ocr } = {}) {
+  const existing = await archivedIssue(id);
+  const trace = await traceGazetteIssue(existing.stored_path, { ocr, ...existing.overrides });
+  return { issue: existing, storedCount: existing.notice_count, ...trace };
+}
+
+// Set volume / date on an issue, its notices and the matches and review
+// queue items made from them. A match already stored under the new stamp
+// absorbs the restamped one; a queued candidate already there is left as is.
+// Returns the number of matches moved.
+async function restampIssue(id, { volumeNo, datePublished }) {
+  const db = await initDB();
+  try {
+    const issue = await db.get(`SELECT * FROM gazette_issues WHERE id = ?`, [id]);
+    const overrides = { ...parseJSON(issue.overrides, {}), volumeNo, datePublished };
+    for (const k of Object.keys(overrides)) if (!overrides[k]) delete overrides[k];
+    const stamp = [volumeNo || null, datePublished || null];
+    // rows made from this issue's notices: its old stamp and one of its cause numbers
+    const ofIssue = `volume_no IS ? AND date_published IS ? AND EXISTS (
+      SELECT 1 FROM gazette_notices n
+      WHERE n.issue_id = ? AND n.court_station = t.court_station AND n.cause_no = t.cause_no
+    )`;
+    const old = [issue.volume_no, issue.date_published, id];
+
+    await db.exec("BEGIN TRANSACTION;");
+    let moved = 0;
+    try {
+      await db.run(
+        `UPDATE gazette_issues SET volume_no = COALESCE(?, volume_no), date_published = COALESCE(?, date_published), overrides = ? WHERE id = ?`,
+        [...stamp, JSON.stringify(overrides), id]
+      );
+      for (const table of ["gazette_notices", ...storedTypes().map((e) => e.table)]) {
+        await db.run(
+          `UPDATE ${table} SET volume_no = COALESCE(?, volume_no), date_published = COALESCE(?, date_published) WHERE issue_id = ?`,
+          [...stamp, id]
+        );
+      }
+
+      ({ changes: moved } = await db.run(
+        `UPDATE OR IGNORE gazette_matches AS t
+         SET volume_no = COALESCE(?, volume_no), date_published = COALESCE(?, date_published),
+             updated_at = datetime('now')
+         WHERE ${ofIssue}`,
+        [...stamp, ...old]
+      ));
+      // the rest collide with a match under the new stamp: merge into it,
+      // and give the approvals resting on either the status both fall back to
+      const left = await db.all(`SELECT * FROM gazette_matches AS t WHERE ${ofIssue}`, old);
+      const fallback = async (match) => {
+        const held = await db.get(
+          `SELECT match_status_before FROM review_queue WHERE match_id = ? AND status = 'approved' LIMIT 1`,
+          [match.id]
+        );
+        return held ? held.match_status_before : match.status_at_gp;
+      };
+      for (const m of left) {
+        const into = await db.get(
+          `SELECT id, status_at_gp FROM gazette_matches
+           WHERE court_station = ? AND cause_no = ? AND name_norm = ? AND date_published IS ? AND volume_no IS ?`,
+          [m.court_station, m.cause_no, m.name_norm, datePublished || m.date_published, volumeNo || m.volume_no]
+        );
+        const before = [await fallback(m), await fallback(into)];
+        await db.run(
+          `UPDATE gazette_matches
+           SET score = MAX(score, ?), status_at_gp = CASE WHEN ? = 'Approved' THEN 'Approved' ELSE status_at_gp END
+           WHERE id = ?`,
+          [m.score, m.status_at_gp, into.id]
+        );
+        await db.run(`UPDATE review_queue SET match_id = ? WHERE match_id = ?`, [into.id, m.id]);
+        await db.run(`UPDATE review_queue SET match_status_before = ? WHERE match_id = ? AND status = 'approved'`, [
+          before.includes("Approved") ? "Approved" : (before[1] ?? before[0]),
+          into.id,
+        ]);
+        await db.run(`DELETE FROM gazette_matches WHERE id = ?`, [m.id]);
+        moved++;
+      }
+
+      await db.run(
+        `UPDATE OR IGNORE review_queue AS t
+         SET volume_no = COALESCE(?, volume_no), date_published = COALESCE(?, date_published),
+             gazette_record = CASE WHEN json_valid(gazette_record) THEN json_set(gazette_record,
+               '$.volume_no', COALESCE(?, volume_no), '$.date_published', COALESCE(?, date_published)
+             ) ELSE gazette_record END,
+             updated_at = datetime('now')
+         WHERE ${ofIssue}`,
+        [...stamp, ...stamp, ...old]
+      );
+      await db.exec("COMMIT;");
+    } catch (err) {
+      await db.exec("ROLLBACK;");
+      throw err;
+    }
+    return moved;
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Issue by content hash (null if never ingested)
+ */
+export async function findIssue(hash) {
+  const db = await initDB();
+  try {
+    return hydrateIssue(await db.get(`SELECT * FROM gazette_issues WHERE content_hash = ?`, [hash])) || null;
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Issue by id (null if missing)
+ */
+export async function getIssue(id) {
+  const db = await initDB();
+  try {
+    return hydrateIssue(await db.get(`SELECT * FROM gazette_issues WHERE id = ?`, [id])) || null;
+  } finally {
+    await db.close();
+  }
+}
+
+// An issue with all its notices, in extraction order
+async function issueWithNotices(id) {
+  const db = await initDB();
+  try {
+    const issue = await db.get(`SELECT * FROM gazette_issues WHERE id = ?`, [id]);
+    const rows = await db.all(`SELECT * FROM gazette_notices WHERE issue_id = ? ORDER BY id`, [id]);
+    return { issue: hydrateIssue(issue), records: rows.map(hydrateNotice) };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * List archived issues, newest first. filters: { limit, offset }
+ */
+export async function listIssues({ limit = 50, offset = 0 } = {}) {
+  const db = await initDB();
+  try {
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM gazette_issues`);
+    const rows = await db.all(
+      `SELECT * FROM gazette_issues ORDER BY date_published DESC, id DESC LIMIT ? OFFSET ?`,
+      [Math.min(Number(limit) || 50, 500), Number(offset) || 0]
+    );
+    return { total, rows: rows.map(hydrateIssue) };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Notices extracted from one issue. filters: { station, limit, offset }
+ * Returns null when the issue doesn't exist.
+ */
+export async function listIssueNotices(id, { station, limit = 200, offset = 0 } = {}) {
+  const db = await initDB();
+  try {
+    const issue = await db.get(`SELECT id FROM gazette_issues WHERE id = ?`, [id]);
+    if (!issue) return null;
+
+    const where = ["issue_id = ?"];
+    const params = [id];
+    if (station) {
+      where.push("court_station = ?");
+      params.push(station);
+    }
+    const whereSQL = `WHERE ${where.join(" AND ")}`;
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM gazette_notices ${whereSQL}`, params);
+    const rows = await db.all(
+      `SELECT * FROM gazette_notices ${whereSQL} ORDER BY id LIMIT ? OFFSET ?`,
+      [...params, Math.min(Number(limit) || 200, 2000), Number(offset) || 0]
+    );
+    return { total, rows: rows.map(hydrateNotice) };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Stored notices of one type across the archive, newest issue first.
+ * filters: { issue, q, from, to, limit, offset }
+ * q matches the type's search columns (substring); from / to are ISO
+ * publication dates. Succession notices come in the shape hydrateNotice gives.
+ * Throws 404 for an unknown type.
+ */
+export async function listTypedNotices(type, { issue, q, from, to, limit = 200, offset = 0 } = {}) {
+  const extractor = noticeExtractor(type);
+  if (!extractor) {
+    const err = new Error(`Unknown notice type: ${type}`);
+    err.status = 404;
+    throw err;
+  }
+
+  const where = [];
+  const params = [];
+  if (issue) {
+    where.push("issue_id = ?");
+    params.push(Number(issue));
+  }
+  if (q) {
+    where.push(`(${extractor.search.map((c) => `${c} LIKE ?`).join(" OR ")})`);
+    params.push(...extractor.search.map(() => `%${q}%`));
+  }
+  if (from) {
+    where.push("date_published >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("date_published <= ?");
+    params.push(to);
+  }
+  const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const db = await initDB();
+  try {
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM ${extractor.table} ${whereSQL}`, params);
+    const rows = await db.all(
+      `SELECT * FROM ${extractor.table} ${whereSQL}
+       ORDER BY IFNULL(date_published, '') DESC, id LIMIT ? OFFSET ?`,
+      [...params, Math.min(Number(limit) || 200, 2000), Number(offset) || 0]
+    );
+    const hydrate = extractor.storedSeparately ? hydrateNotice : (r) => hydrateTypedNotice(extractor, r);
+    return { total, rows: rows.map(hydrate) };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Every stored notice still in force, optionally limited to issues published
+ * in [from, to] (ISO dates) — the archive a registry is matched against
+ */
+export async function archivedNotices({ from, to } = {}) {
+  const db = await initDB();
+  try {
+    // revoked / re-published entries are superseded
+    const where = ["revoked = 0"];
+    const params = [];
+    if (from) {
+      where.push("date_published >= ?");
+      params.push(from);
+    }
+    if (to) {
+      where.push("date_published <= ?");
+      params.push(to);
+    }
+    const rows = await db.all(`SELECT * FROM gazette_notices WHERE ${where.join(" AND ")} ORDER BY id`, params);
+    return rows.map(hydrateNotice);
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Match registry rows against every archived notice, so rows added after
+ * their gazette issue came out are still found.
+ *
+ * options: { mode, minScore, acceptThreshold, weights, blocking, from, to }
+ * Returns { rows, summary, stats } with one entry per registry row:
+ *   { sheet, row, name, cause_no, court_station, status, score, breakdown,
+ *     gazettement, alternatives }
+ * status is "gazetted" (score >= acceptThreshold), "possible" (>= minScore)
+ * or "not_gazetted"; gazettement is the best-scoring notice with its issue
+ * (ties go to the most recent issue) and alternatives counts the other
+ * notices that scored.
+ */
+export async function matchRegistryToArchive(excelRows = [], options = {}) {
+  const {
+    mode = "tokens",
+    minScore = REVIEW_THRESHOLD,
+    acceptThreshold = ACCEPT_THRESHOLD,
+    weights,
+    blocking = true,
+    from,
+    to,
+  } = options;
+
+  const notices = await archivedNotices({ from, to });
+  // every notice a row scores against, not only each notice's best row
+  const { candidates, stats } = generateCandidates(notices, excelRows, mode, minScore, {
+    topK: Math.max(1, excelRows.length),
+    blocking,
+    weights,
+  });
+
+  const byRow = new Map();
+  for (const c of candidates) {
+    if (!byRow.has(c.ex)) byRow.set(c.ex, []);
+    byRow.get(c.ex).push(c);
+  }
+
+  const rows = excelRows.map((ex) => {
+    const found = (byRow.get(ex) || []).sort(
+      (a, b) => b.score - a.score || String(b.g.date_published).localeCompare(String(a.g.date_published))
+    );
+    const best = found[0];
+    return {
+      sheet: ex._sheet,
+      row: ex._row,
+      name: ex._name_raw,
+      cause_no: ex._cause_raw || null,
+      court_station: ex._station_raw || null,
+      status: !best ? "not_gazetted" : best.score >= acceptThreshold ? "gazetted" : "possible",
+      score: best?.score ?? 0,
+      breakdown: best?.breakdown ?? null,
+      gazettement: best
+        ? {
+            notice_id: best.g.notice_id,
+            issue_id: best.g.issue_id,
+            volume_no: best.g.volume_no,
+            date_published: best.g.date_published,
+            gazette_notice_no: best.g.gazette_notice_no,
+            court_station: best.g.court_station,
+            cause_no: best.g.cause_no,
+            name_of_deceased: best.g.name_of_deceased,
+            page: best.g.page,
+          }
+        : null,
+      alternatives: Math.max(0, found.length - 1),
+    };
+  });
+
+  const summary = { total: rows.length, gazetted: 0, possible: 0, not_gazetted: 0 };
+  for (const r of rows) summary[r.status]++;
+
+  const { topK, ...rest } = stats;
+  return { rows, summary, stats: { ...rest, noticeCount: notices.length } };
+}
@@ -0,0 +1,326 @@
+// helpers/jobs.js
+import fs from "fs";
+import { EventEmitter } from "events";
+import { initDB } from "./db.js";
+import { httpError, parseJSON } from "../utils/common.js";
+
+// queued -> running -> completed | failed | cancelled
+export const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+export const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+// Progress is written to the jobs table at most this often (stage changes always)
+const PROGRESS_SAVE_MS = 1000;
+
+// type -> async handler({ id, params, files }, { progress, signal }) => result
+const handlers = new Map();
+// Jobs run one at a time, in the order they were queued
+let active = null;
+let draining = false;
+// set when a job is queued while the queue is being worked through
+let wake = false;
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * jobs row -> API shape. Uploaded files are listed by name only; the result
+ * is left out unless asked for (it can be large).
+ */
+export function hydrateJob(row, { result = false } = {}) {
+  if (!row) return null;
+  const job = {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    params: parseJSON(row.params, {}),
+    files: parseJSON(row.files, []).map(({ field, originalname }) => ({ field, originalname })),
+    progress: active?.id === row.id ? active.progress : parseJSON(row.progress, {}),
+    error: row.error || null,
+    attempts: row.attempts,
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    updated_at: row.updated_at,
+  };
+  if (result) job.result = parseJSON(row.result);
+  return job;
+}
+
+/**
+ * Register the handler for a job type. The handler gets the job's params
+ * and uploaded files and returns the result to store; it reports progress
+ * through progress(patch) and should stop (throw) once signal is aborted.
+ */
+export function registerJobType(type, handler) {
+  handlers.set(type, handler);
+}
+
+async function withDB(fn) {
+  const db = await initDB();
+  try {
+    return await fn(db);
+  } finally {
+    await db.close();
+  }
+}
+
+const loadJob = (id) => withDB((db) => db.get(`SELECT * FROM jobs WHERE id = ?`, [id]));
+
+// Tell GET /jobs/:id/events listeners
+function publish(event, row) {
+  events.emit(`job:${row.id}`, { event, job: hydrateJob(row) });
+}
+
+const removeFiles = (files = []) =>
+  Promise.all(files.map((f) => fs.promises.unlink(f.path).catch(() => {})));
+
+/**
+ * Queue a job; it runs after the jobs queued before it.
+ *   files: multer files ({ fieldname, path, originalname }), kept on disk
+ *          until the job finishes
+ * Returns the job
+ */
+export async function enqueueJob(type, { params = {}, files = [] } = {}) {
+  if (!handlers.has(type)) throw httpError(400, `Unknown job type: ${type}`);
+  const stored = files.map((f) => ({ field: f.fieldname, path: f.path, originalname: f.originalname }));
+
+  const row = await withDB(async (db) => {
+    const { lastID } = await db.run(
+      `INSERT INTO jobs (type, status, params, files, progress) VALUES (?, 'queued', ?, ?, ?)`,
+      [type, JSON.stringify(params), JSON.stringify(stored), JSON.stringify({ stage: "queued", percent: 0 })]
+    );
+    return db.get(`SELECT * FROM jobs WHERE id = ?`, [lastID]);
+  });
+  publish("status", row);
+  setImmediate(drain);
+  return hydrateJob(row);
+}
+
+async function finishJob(id, status, { result = null, error = null } = {}) {
+  const progress = active?.id === id ? active.progress : {};
+  if (status === "completed") Object.assign(progress, { stage: "done", percent: 100 });
+  const row = await withDB(async (db) => {
+    await db.run(
+      `UPDATE jobs SET status = ?, result = ?, error = ?, progress = ?,
+         finished_at = datetime('now'), updated_at = datetime('now')
+       WHERE id = ?`,
+      [status, result === null ? null : JSON.stringify(result), error, JSON.stringify(progress), id]
+    );
+    return db.get(`SELECT * FROM jobs WHERE id = ?`, [id]);
+  });
+  publish("status", row);
+}
+
+// Share of the job done, from the file and page being read
+function percentOf({ fileIndex, fileCount, page, pageCount }) {
+  if (!fileCount) return undefined;
+  const within = pageCount ? Math.min(page || 0, pageCount) / pageCount : 0;
+  return Math.min(99, Math.floor((100 * ((fileIndex || 0) + within)) / fileCount));
+}
+
+// progress(patch) for the running job: merged, published, saved now and then
+function reporter(id) {
+  return (patch = {}) => {
+    if (active?.id !== id) return;
+    const previous = active.progress.stage;
+    Object.assign(active.progress, patch);
+    const percent = patch.percent ?? percentOf(active.progress);
+    if (percent !== undefined) active.progress.percent = percent;
+
+    events.emit(`job:${id}`, {
+      event: "progress",
+      job: { id, type: active.type, status: "running", progress: active.progress },
+    });
+
+    const now = Date.now();
+    const newStage = patch.stage !== undefined && patch.stage !== previous;
+    if (!newStage && now - active.savedAt < PROGRESS_SAVE_MS) return;
+    active.savedAt = now;
+    const progress = JSON.stringify(active.progress);
+    // not awaited: a save landing after the job finished must not overwrite its final progress
+    withDB((db) =>
+      db.run(`UPDATE jobs SET progress = ?, updated_at = datetime('now') WHERE id = ? AND status = 'running'`, [
+        progress,
+        id,
+      ])
+    ).catch((err) => console.error(`❌ Saving progress of job ${id}:`, err.message || err));
+  };
+}
+
+async function runJob(row) {
+  // claim it only if it is still queued: it may have been cancelled since
+  // drain() read it
+  const started = await withDB(async (db) => {
+    const { changes } = await db.run(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = datetime('now'),
+         updated_at = datetime('now')
+       WHERE id = ? AND status = 'queued'`,
+      [row.id]
+    );
+    return changes ? db.get(`SELECT * FROM jobs WHERE id = ?`, [row.id]) : null;
+  });
+  if (!started) return;
+
+  const files = parseJSON(row.files, []);
+  const controller = new AbortController();
+  active = { id: row.id, type: row.type, controller, progress: { stage: "starting", percent: 0 }, savedAt: 0 };
+  publish("status", started);
+
+  try {
+    const handler = handlers.get(row.type);
+    if (!handler) throw new Error(`Unknown job type: ${row.type}`);
+    const missing = files.filter((f) => !fs.existsSync(f.path));
+    if (missing.length) throw new Error(`Uploaded file missing: ${missing.map((f) => f.originalname).join(", ")}`);
+
+    const result = await handler(
+      { id: row.id, params: parseJSON(row.params, {}), files },
+      { progress: reporter(row.id), signal: controller.signal }
+    );
+    await finishJob(row.id, "completed", { result });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      await finishJob(row.id, "cancelled");
+    } else {
+      console.error(`❌ Job ${row.id} (${row.type}) failed:`, err.stack || err.message || err);
+      await finishJob(row.id, "failed", { error: err.message || String(err) });
+    }
+  } finally {
+    active = null;
+    await removeFiles(files);
+  }
+}
+
+// Run queued jobs until there are none left
+async function drain() {
+  if (draining) {
+    wake = true;
+    return;
+  }
+  draining = true;
+  try {
+    for (;;) {
+      wake = false;
+      const next = await withDB((db) => db.get(`SELECT * FROM jobs WHERE status = 'queued' ORDER BY id ASC LIMIT 1`));
+      if (!next && !wake) break;
+      if (next) await runJob(next);
+    }
+  } catch (err) {
+    console.error("❌ Job queue stopped:", err.message || err);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * On startup: jobs that were running when the server stopped are queued
+ * again (from the start), then the queue is worked through.
+ * Returns the number of jobs waiting to run.
+ */
+export async function resumeJobs() {
+  const waiting = await withDB(async (db) => {
+    await db.run(`UPDATE jobs SET status = 'queued', updated_at = datetime('now') WHERE status = 'running'`);
+    const { n } = await db.get(`SELECT COUNT(*) AS n FROM jobs WHERE status = 'queued'`);
+    return n;
+  });
+  setImmediate(drain);
+  return waiting;
+}
+
+/**
+ * Jobs, newest first, without their results
+ * ?status= &type= &limit= &offset=
+ */
+export async function listJobs({ status, type, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    if (!JOB_STATUSES.includes(status)) {
+      throw httpError(400, `Unknown status: ${status} (use ${JOB_STATUSES.join(", ")})`);
+    }
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (type) {
+    where.push("type = ?");
+    params.push(type);
+  }
+  const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  return withDB(async (db) => {
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM jobs ${whereSQL}`, params);
+    const rows = await db.all(
+      `SELECT id, type, status, params, files, progress, error, attempts, created_at, started_at, finished_at,
+              updated_at
+       FROM jobs ${whereSQL} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, Math.min(Number(limit) || 50, 500), Number(offset) || 0]
+    );
+    return { total, rows: rows.map((r) => hydrateJob(r)) };
+  });
+}
+
+/**
+ * One job; with its result when { result: true }. null when it doesn't exist.
+ */
+export async function getJob(id, { result = false } = {}) {
+  return hydrateJob(await loadJob(id), { result });
+}
+
+/**
+ * Cancel a job. A queued job is cancelled at once; a running one stops at
+ * its next page or stage (its status turns "cancelled" then). Throws 409 for
+ * a job that already finished; null when it doesn't exist.
+ */
+export async function cancelJob(id) {
+  const row = await loadJob(id);
+  if (!row) return null;
+  if (FINISHED_STATUSES.includes(row.status)) throw httpError(409, `Job ${id} already ${row.status}`);
+
+  if (active?.id === id) {
+    active.controller.abort();
+    return { ...hydrateJob(row), cancelRequested: true };
+  }
+
+  const cancelled = await withDB(async (db) => {
+    await db.run(
+      `UPDATE jobs SET status = 'cancelled', finished_at = datetime('now'), updated_at = datetime('now')
+       WHERE id = ? AND status IN ('queued', 'running')`,
+      [id]
+    );
+    return db.get(`SELECT * FROM jobs WHERE id = ?`, [id]);
+  });
+  await removeFiles(parseJSON(row.files, []));
+  publish("status", cancelled);
+  return hydrateJob(cancelled);
+}
+
+/**
+ * Follow a job: listener({ event: "status" | "progress", job }) on every
+ * change. Returns the function that stops listening.
+ */
+export function subscribeJob(id, listener) {
+  events.on(`job:${id}`, listener);
+  return () => events.off(`job:${id}`, listener);
+}
+
+/**
+ * Progress for a job that ingests its files one after another: each file's
+ * status ("pending", "running", "done", "reused") and the file / page /
+ * stage being worked on. For handlers run outside a job, progress is a no-op.
+ *   files: uploaded file names
+ * Returns { start(i), onProgress(event), done(i, status) } — onProgress takes
+ * helpers/issues.js ingestIssue events
+ */
+export function fileProgress(progress, names = []) {
+  const files = names.map((name) => ({ name, status: "pending" }));
+  return {
+    start(i) {
+      files[i].status = "running";
+      const file = files[i].name;
+      progress({ stage: "read", fileIndex: i, fileCount: files.length, file, page: 0, pageCount: 0, files });
+    },
+    onProgress: (event) => progress(event),
+    done(i, status = "done") {
+      files[i].status = status;
+      progress({ fileIndex: i + 1, page: 0, pageCount: 0, files });
+    },
+  };
+}
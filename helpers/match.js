@@ -1,71 +1,267 @@
-// Normalization & tokenization
-export const normalizeName = (name = "") =>
-  String(name)
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^a-z\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-// Canonical normalization that strips titles, estate phrases, and trailing locations
-export const normalizeCanonical = (name = "") => {
-  let s = normalizeName(name);
-  // remove common titles and fillers
-  s = s.replace(/\b(dr|mr|mrs|ms|miss|rev|prof|eng)\b/g, " ");
-  s = s.replace(
-    /\b(the\s+late|late|estate\s+of|of\s+the\s+estate\s+of)\b/g,
-    " "
+// helpers/match.js
+import { distance } from "fastest-levenshtein";
+import { normalizeNameDB, jaccard } from "../utils/normalize.js";
+import { nameKeys } from "../utils/names.js";
+import { parseCauseNo } from "../utils/cause.js";
+import { buildBlockingIndex, addPosting } from "./blocking.js";
+import {
+  parseWeights,
+  causeAgreement,
+  stationAgreement,
+  combineScores,
+  maxCombinedScore,
+} from "./scoring.js";
+import { httpError } from "../utils/common.js";
+
+export const MATCH_MODES = ["exact", "fuzzy", "tokens"];
+
+// Pairs scoring at least ACCEPT_THRESHOLD are saved as matches; those
+// scoring at least REVIEW_THRESHOLD go to the review queue
+export const ACCEPT_THRESHOLD = 0.8;
+export const REVIEW_THRESHOLD = 0.5;
+
+/**
+ * { acceptThreshold, reviewThreshold } from the threshold / reviewThreshold
+ * options (numbers or query strings). A missing review threshold is
+ * REVIEW_THRESHOLD, or the accept threshold when that is lower. Throws a
+ * 400 error unless 0 < reviewThreshold <= acceptThreshold <= 1.
+ */
+export function parseThresholds(threshold, reviewThreshold) {
+  const given = (v) => v !== undefined && v !== null && v !== "";
+  const accept = given(threshold) ? Number(threshold) : ACCEPT_THRESHOLD;
+  const review = given(reviewThreshold) ? Number(reviewThreshold) : Math.min(REVIEW_THRESHOLD, accept);
+  if (!(accept > 0 && accept <= 1) || !(review > 0 && review <= accept)) {
+    throw httpError(400, `Thresholds must satisfy 0 < reviewThreshold <= threshold <= 1 (got ${accept}, ${review})`);
+  }
+  return { acceptThreshold: accept, reviewThreshold: review };
+}
+
+// Levenshtein ratio in [0, 1] over canonical names
+function fuzzyScore(a, b) {
+  if (!a || !b) return 0;
+  const maxLen = Math.max(a.length, b.length) || 1;
+  return 1 - distance(a, b) / maxLen;
+}
+
+// Jaccard over canonical tokens (arrays)
+function tokenScore(a, b) {
+  return jaccard(a, b);
+}
+
+/**
+ * Comparable keys for every alias of a name (see utils/names.js):
+ * exact -> sorted token string, fuzzy -> token string in name order,
+ * tokens -> token array
+ */
+function aliasKeys(name, mode) {
+  const keys = nameKeys(name, mode);
+  if (mode === "exact") return keys.map((tokens) => [...tokens].sort().join(" "));
+  if (mode === "fuzzy") return keys.map((tokens) => tokens.join(" "));
+  return keys;
+}
+
+// Best score over all alias pairs
+function bestScore(gKeys, eKeys, mode) {
+  let best = 0;
+  for (const a of gKeys) {
+    for (const b of eKeys) {
+      const score = mode === "exact" ? (a === b ? 1 : 0) : mode === "fuzzy" ? fuzzyScore(a, b) : tokenScore(a, b);
+      if (score > best) best = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Score one gazette name against one registry name for the given mode.
+ * Names with aliases ("… alias …", "a.k.a.") score their best alias pair.
+ */
+export function scoreNames(gName, eName, mode = "tokens") {
+  if (!MATCH_MODES.includes(mode)) throw httpError(400, `Unknown mode: ${mode}`);
+  return bestScore(aliasKeys(gName, mode), aliasKeys(eName, mode), mode);
+}
+
+// Placeholder station of notices the parser could not place (helpers/parse.js)
+const UNKNOWN_STATION = "Unknown Court";
+
+// Combined score of a pair from its name score and both sides' parsed cause
+// number and station ({ cause, station })
+function combinePair(nameScore, mode, g, e, weights) {
+  return combineScores(
+    {
+      name: { score: nameScore, mode },
+      cause: {
+        score: causeAgreement(g.cause, e.cause),
+        gazette: g.cause?.key ?? null,
+        registry: e.cause?.key ?? null,
+      },
+      station: {
+        score: stationAgreement(g.station, e.station),
+        gazette: g.station || null,
+        registry: e.station || null,
+      },
+    },
+    weights
   );
-  // drop trailing "of <place>" patterns
-  s = s.replace(/\bof\s+[a-z][a-z\s-]*$/g, " ");
-  return s.replace(/\s+/g, " ").trim();
-};
-
-export const tokenizeName = (name = "") =>
-  normalizeCanonical(name).split(" ").filter(Boolean).sort().join(" ");
-
-export const tokensAsSet = (name = "") =>
-  new Set(tokenizeName(name).split(" ").filter(Boolean));
-
-// Flexible header normalization for Excel keys
-const normKey = (k = "") =>
-  String(k)
-    .toLowerCase()
-    .replace(/’/g, "'")
-    .replace(/[^a-z0-9]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-// Try best column for name in varying schemas
-export function bestExcelNameKey(row) {
-  if (!row || typeof row !== "object") return "";
-  const map = {};
-  for (const [k, v] of Object.entries(row)) map[normKey(k)] = v;
-
-  const candidates = [
-    "name of the deceased",
-    "name of deceased",
-    "name deceased",
-    "deceased name",
-    "deceased s name",
-    "name deceased s",
-    "name (deceased)",
-    "full name",
-    "fullname",
-    "deceased",
-    "name",
-  ];
-  for (const key of candidates) if (map[key]) return String(map[key]).trim();
-  for (const [k, v] of Object.entries(map))
-    if (k.includes("deceased") && v) return String(v).trim();
-  return "";
 }
 
-// Jaccard similarity for token sets
-export function jaccard(tokensA, tokensB) {
-  const setA = new Set(tokensA.filter(Boolean));
-  const setB = new Set(tokensB.filter(Boolean));
-  const inter = [...setA].filter((x) => setB.has(x)).length;
-  const union = new Set([...setA, ...setB]).size || 1;
+/**
+ * Score one gazette record against one registry row as generateCandidates
+ * does (no blocking, no minimum). Returns { score, breakdown }.
+ */
+export function scorePair(g, ex, mode = "tokens", weights) {
+  if (!MATCH_MODES.includes(mode)) throw httpError(400, `Unknown mode: ${mode}`);
+  const gCause = parseCauseNo(g.cause_no);
+  const eCause = parseCauseNo(ex._cause_raw);
+  const nameScore = bestScore(aliasKeys(g.name_of_deceased, mode), aliasKeys(ex._name_raw, mode), mode);
+  return combinePair(
+    nameScore,
+    mode,
+    { cause: gCause, station: g.court_station === UNKNOWN_STATION ? "" : g.court_station || "" },
+    { cause: eCause, station: ex._station_raw || eCause?.station || "" },
+    parseWeights(weights)
+  );
+}
+
+/**
+ * Pair gazette records with their best-scoring registry rows.
+ * Each pair's score combines name similarity with cause-number and
+ * court-station agreement (see helpers/scoring.js); every candidate carries
+ * the per-signal breakdown.
+ * Unless options.blocking is false, only pairs sharing a blocking key (see
+ * helpers/blocking.js) or the same cause number are scored.
+ *
+ * options: { topK = 1, blocking = true, maxPostings, weights }
+ * Returns { candidates: [{ g, ex, score, breakdown }], stats } where
+ * candidates holds up to topK rows per notice scoring at least minScore, and
+ * stats reports how many comparisons blocking skipped.
+ */
+export function generateCandidates(
+  gazetteRecords = [],
+  excelRows = [],
+  mode = "tokens",
+  minScore = REVIEW_THRESHOLD,
+  options = {}
+) {
+  if (!MATCH_MODES.includes(mode)) throw httpError(400, `Unknown mode: ${mode}`);
+
+  const topK = Math.max(1, Number(options.topK) || 1);
+  const useBlocking = options.blocking !== false;
+  const weights = parseWeights(options.weights);
+  const stats = {
+    mode,
+    blocking: useBlocking && mode !== "exact",
+    topK,
+    weights,
+    gazetteCount: gazetteRecords.length,
+    registryCount: excelRows.length,
+    totalPairs: gazetteRecords.length * excelRows.length,
+    compared: 0,
+    skipped: 0,
+  };
+  const candidates = [];
+
+  // Pre-normalise registry rows once
+  const prepared = excelRows.map((ex) => {
+    const cause = parseCauseNo(ex._cause_raw);
+    return {
+      ex,
+      keys: aliasKeys(ex._name_raw, mode),
+      cause,
+      station: ex._station_raw || cause?.station || "",
+    };
+  });
+
+  // Exact mode only needs a key lookup, one key per alias
+  let poolFor;
+  if (mode === "exact") {
+    const byKey = new Map();
+    prepared.forEach(({ keys }, idx) => keys.forEach((key) => addPosting(byKey, key, idx)));
+    poolFor = (g, gKeys) => new Set(gKeys.flatMap((key) => byKey.get(key) || []));
+  } else if (stats.blocking) {
+    const index = buildBlockingIndex(excelRows, { maxPostings: options.maxPostings });
+    // the same cause number is worth scoring however the names differ
+    const byCause = new Map();
+    prepared.forEach(({ cause }, idx) => {
+      if (cause?.year) addPosting(byCause, `${cause.number}/${cause.year}`, idx);
+    });
+    poolFor = (g, gKeys, gCause) => {
+      const pool = index.candidatesFor(g.name_of_deceased);
+      if (gCause?.year) for (const idx of byCause.get(`${gCause.number}/${gCause.year}`) || []) pool.add(idx);
+      return pool;
+    };
+  } else {
+    poolFor = () => prepared.keys();
+  }
+
+  for (const g of gazetteRecords) {
+    const gKeys = aliasKeys(g.name_of_deceased, mode);
+    if (!gKeys.length) continue;
+
+    const gCause = parseCauseNo(g.cause_no);
+    const gStation = g.court_station === UNKNOWN_STATION ? "" : g.court_station || "";
+    const scored = [];
+
+    for (const idx of poolFor(g, gKeys, gCause)) {
+      const row = prepared[idx];
+      if (!row.keys.length) continue;
+      stats.compared++;
+
+      const nameScore = bestScore(gKeys, row.keys, mode);
+      if (maxCombinedScore(nameScore, weights) < minScore) continue;
+
+      const { score, breakdown } = combinePair(nameScore, mode, { cause: gCause, station: gStation }, row, weights);
+      if (score >= minScore) scored.push({ ex: row.ex, score, breakdown, idx });
+    }
+
+    scored
+      .sort((a, b) => b.score - a.score || a.idx - b.idx)
+      .slice(0, topK)
+      .forEach(({ ex, score, breakdown }) => candidates.push({ g, ex, score, breakdown }));
+  }
+
+  stats.skipped = stats.totalPairs - stats.compared;
+  return { candidates, stats };
+}
+
+/**
+ * Candidates only — see generateCandidates()
+ */
+export function buildCandidates(
+  gazetteRecords = [],
+  excelRows = [],
+  mode = "tokens",
+  minScore = REVIEW_THRESHOLD,
+  options = {}
+) {
+  return generateCandidates(gazetteRecords, excelRows, mode, minScore, options).candidates;
+}
+
+/**
+ * gazette_matches row for a gazette record paired with a registry row
+ */
+export function toMatchRow(g, ex, { mode = null, score = 0, status = "Published", breakdown = null } = {}) {
+  return {
+    court_station: g.court_station,
+    court_level: g.court_level || null,
+    station_resolved: g.station_resolved !== false,
+    court_station_raw: g.court_station_raw || "",
+    cause_no: g.cause_no,
+    name_norm: normalizeNameDB(g.name_of_deceased),
+    name_of_deceased: g.name_of_deceased,
+    match_type: mode,
+    score,
+    status_at_gp: status,
+    volume_no: g.volume_no || "",
+    date_published: g.date_published || "",
+    excel_name: ex?._name_raw || null,
+    issue_id: g.issue_id ?? null,
+    gazette_notice_no: g.gazette_notice_no || "",
+    date_of_death: g.date_of_death || "",
+    last_residence: g.last_residence || "",
+    grant_type: g.grant_type || "",
+    registrar: g.registrar || "",
+    petitioners: g.petitioners || [],
+    score_breakdown: breakdown,
+  };
 }
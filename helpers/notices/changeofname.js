@@ -0,0 +1,77 @@
+// helpers/notices/changeofname.js
+import { toISODate, DATE_TEXT, DATED_RE, noticeFields, noticeText, signatureOf } from "./text.js";
+
+// Change of name by deed poll:
+//   "CHANGE OF NAME
+//    NOTICE is given that by a deed poll dated 12th May, 2025, duly executed
+//    and registered in the Registry of Documents at Nairobi as Presentation
+//    No. 1234, in Volume DI, Folio 45/678, File No. MMXXV, by our client,
+//    Jane Wanjiku Kamau, of P.O. Box 123–00100, Nairobi in the Republic of
+//    Kenya, formerly known as Jane Wanjiku, formally and absolutely renounced
+//    and abandoned the use of her former name Jane Wanjiku and in lieu
+//    thereof assumed and adopted the name Jane Wanjiku Kamau …"
+const HEADING_RE = /^CHANGE\s+OF\s+NAMES?\.?$/i;
+const DEED_POLL_RE = /\bby\s+(?:a\s+)?deed\s+poll\b/i;
+
+const DEED_DATE_RE = new RegExp(`\\bdeed\\s+poll\\s+dated\\s+(?:the\\s+)?${DATE_TEXT}`, "i");
+const REGISTRY_RE = /\bregistered\s+in\s+the\s+(Registry\s+of\s+Documents\s+at\s+[A-Za-z\s]+?)(?:,|\s+as\b)/i;
+const PRESENTATION_RE = /\bPresentation\s+No\.?\s*([\w/-]+)/i;
+const NEW_NAME_RE = /\bassumed\s+and\s+adopted\s+the\s+names?\s+(.+?)(?:,|\s+for\s+all\s+purposes\b|\.\s)/i;
+const FORMER_NAME_RE =
+  /\b(?:use\s+of\s+(?:his|her|their|its)\s+former\s+names?|formerly\s+known\s+as)\s+(.+?)(?:,|\s+and\s+in\s+lieu\b|\s+formally\b|\.\s)/i;
+const ADDRESS_RE = /,\s+of\s+(.+?)(?:,?\s+in\s+the\s+Republic\s+of\s+Kenya|\s+in\s+Kenya)?,\s+formerly\s+known\b/i;
+
+const tidyName = (s = "") => s.replace(/["“”]/g, "").replace(/\s+/g, " ").trim();
+
+/**
+ * One record per deed poll notice:
+ *   { new_name, former_name, address, deed_poll_date, registry,
+ *     presentation_no, advocates, date_signed }
+ * null when the notice names no adopted name
+ */
+function extractDeedPoll(notice, options) {
+  const text = noticeText(notice);
+  const adopted = text.match(NEW_NAME_RE);
+  if (!adopted) return null;
+
+  const former = text.match(FORMER_NAME_RE);
+  const address = text.match(ADDRESS_RE);
+  const deedDate = text.match(DEED_DATE_RE);
+  const registry = text.match(REGISTRY_RE);
+  const presentation = text.match(PRESENTATION_RE);
+  const signature = signatureOf(notice, /^Advocates?\s+for\b/i);
+  const dated = text.match(DATED_RE);
+
+  return {
+    ...noticeFields(notice, options),
+    new_name: tidyName(adopted[1]),
+    former_name: former ? tidyName(former[1]) : "",
+    address: address ? address[1].trim() : "",
+    deed_poll_date: deedDate ? toISODate(deedDate[1], deedDate[2], deedDate[3]) : "",
+    registry: registry ? registry[1].trim() : "",
+    presentation_no: presentation ? presentation[1] : "",
+    advocates: signature.name,
+    date_signed: dated ? toISODate(dated[1], dated[2], dated[3]) : "",
+  };
+}
+
+export default {
+  type: "change_of_name",
+  label: "Change of name by deed poll",
+  triggers: [HEADING_RE, DEED_POLL_RE],
+  table: "change_of_name_notices",
+  columns: {
+    new_name: "TEXT",
+    former_name: "TEXT",
+    address: "TEXT",
+    deed_poll_date: "TEXT",
+    registry: "TEXT", // "Registry of Documents at Nairobi"
+    presentation_no: "TEXT",
+    advocates: "TEXT",
+    date_signed: "TEXT",
+  },
+  search: ["new_name", "former_name"],
+  extract: (notices, options) => ({
+    records: notices.map((n) => extractDeedPoll(n, options)).filter(Boolean),
+  }),
+};
@@ -0,0 +1,40 @@
+// helpers/notices/index.js
+import succession from "./succession.js";
+import landTitle from "./landtitle.js";
+import changeOfName from "./changeofname.js";
+
+/**
+ * Notice extractors, run over every gazette issue by helpers/parse.js. Each
+ * one is a plugin:
+ *   {
+ *     type,         // "succession", "land_title", …
+ *     label,
+ *     triggers,     // [RegExp]: a notice with a line matching one is handed
+ *                   // to extract (a notice can go to more than one type)
+ *     table,        // where its records are stored, one row per record
+ *     columns,      // its output schema: { field: SQL type or "JSON" }
+ *     search,       // columns ?q= searches (GET /notices/:type)
+ *     storedSeparately?, // table created / written elsewhere (succession)
+ *     extract(notices, { volumeNo, datePublished, trace }) -> { records, amendments? }
+ *   }
+ * notices are [{ notice_no, lines: [{ text, page, source, confidence, line, … }] }]
+ * in reading order. Records of the generically stored types carry
+ * text.js noticeFields() besides their own columns.
+ */
+export const NOTICE_EXTRACTORS = [succession, landTitle, changeOfName];
+
+export const NOTICE_TYPES = NOTICE_EXTRACTORS.map((e) => e.type);
+
+export const noticeExtractor = (type) => NOTICE_EXTRACTORS.find((e) => e.type === type) || null;
+
+// Columns every generically stored notice row has (text.js noticeFields)
+export const NOTICE_FIELDS = {
+  gazette_notice_no: "TEXT",
+  volume_no: "TEXT",
+  date_published: "TEXT",
+  page: "INTEGER",
+  text_source: "TEXT",
+  ocr_confidence: "REAL",
+  regions: "JSON", // [{ page, column, bbox }]
+  text: "TEXT", // the notice as printed
+};
@@ -0,0 +1,88 @@
+// helpers/notices/landtitle.js
+import { toISODate, DATED_RE, splitNames, noticeFields, noticeText, signatureOf } from "./text.js";
+
+// Land Registration Act notices of a new title for a lost one:
+//   "ISSUE OF A NEW LAND TITLE DEED
+//    WHEREAS John Kamau Mwangi, of P.O. Box 123–00100, Nairobi in the
+//    Republic of Kenya, is registered as proprietor … of that piece of land
+//    containing 0.05 hectare or thereabouts, situate in the district of
+//    Kiambu, registered under title No. Kiambu/Municipality/Block 1/234, and
+//    whereas sufficient evidence has been adduced to show that the land title
+//    deed issued thereof has been lost, notice is given that after the
+//    expiration of sixty (60) days …"
+const DOCUMENT_TEXT = "land\\s+title\\s+deeds?|certificates?\\s+of\\s+(?:title|lease)|green\\s+cards?";
+const HEADING_RE = new RegExp(`\\bISSUE\\s+OF\\s+(?:A\\s+)?NEW\\s+(${DOCUMENT_TEXT})\\b`, "i");
+const LOST_RE = new RegExp(`\\b(${DOCUMENT_TEXT})\\b[^.]*?\\b(?:has|have)\\s+been\\s+lost\\b`, "i");
+
+// one parcel per "WHEREAS …" (not the "and whereas sufficient evidence …" inside it)
+const PARCEL_SPLIT_RE = /(?<!\band\s)\bWHEREAS\b/i;
+const OWNER_RE =
+  /^\s*(.+?),?\s+(?:(?:both|all)\s+)?of\s+(.+?),?\s+(?:is|are)\s+(?:the\s+)?registered\s+(?:as\s+)?(?:the\s+)?(?:proprietors?|owners?|lessees?)/i;
+const AREA_RE = /\bcontaining\s+(?:an\s+area\s+of\s+)?(?:approximately\s+)?([\d.,]+\s*(?:hectares?|ha|acres?))/i;
+const LOCATION_RE = /\bsituate\s+in\s+(?:the\s+)?(.+?)(?:,|\s+(?:registered|held|known)\b)/i;
+const TITLE_NO_RE =
+  /\b(?:title|land\s+reference|L\.\s*R\.|parcel)\s+(?:No\.?|number)\s*(.+?)(?:,|\s+and\s+whereas\b|\.\s|\.?$)/i;
+const DAYS_RE = /\bexpiration\s+of\s+(?:[a-z]+\s+)?\((\d+)\)\s+days\b/i;
+
+// "P.O. Box 123–00100, Nairobi in the Republic of Kenya" -> "P.O. Box 123–00100, Nairobi"
+const tidyAddress = (s = "") => s.replace(/,?\s+in\s+(?:the\s+Republic\s+of\s+)?Kenya$/i, "").trim();
+
+/**
+ * One record per parcel in a lost-title notice:
+ *   { title_no, document, proprietors: [name], address, area, location,
+ *     objection_days, registrar, registry, date_signed }
+ */
+function extractParcels(notice, options) {
+  const text = noticeText(notice);
+  const heading = text.match(HEADING_RE) || text.match(LOST_RE);
+  const document = heading ? heading[1].toLowerCase().replace(/\s+/g, " ").replace(/s$/, "") : "";
+  const signature = signatureOf(notice, /\bLand\s+Registrar\b/i);
+  const dated = text.match(DATED_RE);
+  const days = text.match(DAYS_RE);
+
+  return text
+    .split(PARCEL_SPLIT_RE)
+    .slice(1)
+    .map((parcel) => {
+      const titleNo = parcel.match(TITLE_NO_RE);
+      if (!titleNo) return null;
+      const owner = parcel.match(OWNER_RE);
+      const area = parcel.match(AREA_RE);
+      const location = parcel.match(LOCATION_RE);
+      return {
+        ...noticeFields(notice, options),
+        title_no: titleNo[1].replace(/\s*\/\s*/g, "/").trim(),
+        document,
+        proprietors: owner ? splitNames(owner[1]) : [],
+        address: owner ? tidyAddress(owner[2]) : "",
+        area: area ? area[1].trim() : "",
+        location: location ? location[1].trim() : "",
+        objection_days: days ? Number(days[1]) : null,
+        registrar: signature.name,
+        registry: signature.title.replace(/^Land\s+Registrar,?\s*/i, ""),
+        date_signed: dated ? toISODate(dated[1], dated[2], dated[3]) : "",
+      };
+    })
+    .filter(Boolean);
+}
+
+export default {
+  type: "land_title",
+  label: "New land title for a lost one (Land Registration Act)",
+  triggers: [HEADING_RE, LOST_RE],
+  table: "land_title_notices",
+  columns: {
+    title_no: "TEXT",
+    document: "TEXT", // "land title deed" | "certificate of lease" | "certificate of title" | "green card"
+    proprietors: "JSON", // [name]
+    address: "TEXT",
+    area: "TEXT",
+    location: "TEXT",
+    objection_days: "INTEGER",
+    registrar: "TEXT",
+    registry: "TEXT",
+    date_signed: "TEXT",
+  },
+  search: ["title_no", "proprietors"],
+  extract: (notices, options) => ({ records: notices.flatMap((n) => extractParcels(n, options)) }),
+};
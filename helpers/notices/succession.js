@@ -0,0 +1,373 @@
+// helpers/notices/succession.js
+import { resolveStation } from "../../utils/stations.js";
+import { toTitle, toISODate, DATE_TEXT, CORRIGENDA_RE, splitNames, regionsOf } from "./text.js";
+
+// Succession causes ("CAUSE NO … ESTATE OF …") and the corrigenda /
+// revocations of earlier ones
+const STATION_RE =
+  /IN THE\s+(HIGH COURT|MAGISTRATES? COURT|(?:CHIEF|(?:SENIOR\s+)?PRINCIPAL|(?:SENIOR\s+)?RESIDENT)\s+MAGISTRATE[’']?S COURT|(?:CHIEF\s+)?KADHI[’']?S COURT)\s+(?:OF KENYA\s+)?AT\s+([A-Z][A-Za-z\s'’-]+)/i;
+const CAUSE_RE =
+  /\bCAUSE\s+NO\.?\s*([A-Za-z-]*\s*\d+(?:\s*OF\s*)?\s*\d{4}|[A-Za-z0-9]+\/\d{4}|[A-Za-z0-9-]+)/i;
+
+// Lines after a CAUSE NO searched for "ESTATE OF", and read for the estate's
+// name and details (both stop at the next CAUSE NO)
+const ESTATE_LOOKAHEAD = 5;
+const CAUSE_BLOCK_LINES = 7;
+
+const NOTICE_RE = /GAZETTE\s+NOTICE\s+NO\.?\s*(\d+)/i;
+// Signature title under the signing officer's name: "Deputy Registrar, Nairobi."
+const SIGNATORY_RE =
+  /^(?:(?:Senior|Deputy|District|Principal|Chief|Resident)\s+)*(?:Registrar|Magistrate|Kadhi)\b/i;
+// End of the cause list in a succession notice
+const NOTICE_END_RE = /^The Court will proceed|^Dated the\b/i;
+
+// Corrections of earlier notices: a CORRIGENDA section, or a footnote under
+// the notice that re-publishes causes ("*In Gazette Notice No. 9802 of 2025,
+// Cause Nos. E88 of 2025 … are revoked.")
+const AMENDMENT_START_RE = /^\*?\s*(?:IN\s+)?GAZETTE\s+NOTICE\s+NO\.?\s*\d+\s+OF\s+\d{4}/i;
+const AMENDMENT_TARGET_RE = /GAZETTE\s+NOTICE\s+NO\.?\s*(\d+)\s+OF\s+(\d{4})/i;
+// a statement ends on a full stop that isn't "No." / "Nos."
+const STATEMENT_END_RE = /(?<!\bNos?)\.["”’']?$/i;
+const REVOKED_RE = /\b(?:is|are)\s+(?:hereby\s+)?(?:revoked|cancelled|withdrawn)\b/i;
+const CORRECTION_RE =
+  /^[,\s]*(?:(?:amend|delete)\s+)?(?:the\s+)?(.*?)\s*(?:(?:printed|appearing)\s+as\s+["“'‘]?(.+?)["”'’]?,?\s+)?(?:(?:and\s+)?(?:to|should)\s+read|and\s+(?:substitute|insert)(?:\s+therefor)?)\s+["“'‘]?(.+?)["”'’]?\.?$/i;
+
+// Notice fields a corrigendum can correct, by how it names them
+const AMENDED_FIELDS = [
+  [/cause|number/i, "cause_no"],
+  [/station|court/i, "court_station"],
+  [/name|deceased/i, "name_of_deceased"],
+];
+
+// "Cause No. E12 of 2025" -> "E12 of 2025"
+const stripCauseLabel = (s = "") => s.replace(/^(?:Succession\s+)?Cause\s+No\.?\s*/i, "").trim();
+
+/**
+ * Parse one correction statement:
+ *   "In Gazette Notice No. 8840 of 2025, Cause No. E45 of 2025, amend the
+ *    deceased's name printed as "John Kamau" to read "John Kamau Mwangi"."
+ *   "*In Gazette Notice No. 9802 of 2025, Cause Nos. E88 of 2025 and E97 of
+ *    2025 are revoked."
+ * Returns null when the text names no earlier notice, else
+ *   { type, target_notice_no, target_year, cause_nos, field, old_value, new_value, text }
+ * type is "corrigendum", "revocation" or "republication" (a starred footnote:
+ * the causes are revoked in the earlier notice and re-published in this one);
+ * cause_nos is empty when the whole notice is meant. field is the corrected
+ * notice field ("name_of_deceased" | "cause_no" | "court_station"), guessed
+ * from the printed value when the corrigendum only says "the expression".
+ */
+export function parseAmendment(text = "") {
+  const clean = String(text).replace(/\s+/g, " ").trim();
+  const target = clean.match(AMENDMENT_TARGET_RE);
+  if (!target) return null;
+
+  const rest = clean.slice(target.index + target[0].length);
+  const causes = rest.match(/^,?\s*Cause\s+Nos?\.?\s*(.+?)(?=,\s*(?:amend|delete|the)\b|\s+(?:is|are)\s|,?\s*$)/i);
+  const cause_nos = causes
+    ? causes[1]
+        .split(/,|\band\b/i)
+        .map((c) => c.trim())
+        .filter((c) => /\d/.test(c))
+    : [];
+
+  const base = {
+    target_notice_no: target[1],
+    target_year: target[2],
+    cause_nos,
+    field: null,
+    old_value: null,
+    new_value: null,
+    text: clean,
+  };
+
+  if (REVOKED_RE.test(rest)) {
+    const republished = clean.startsWith("*") || /\bre-?published\b/i.test(clean);
+    return { ...base, type: republished ? "republication" : "revocation" };
+  }
+
+  const fix = (causes ? rest.slice(causes[0].length) : rest).match(CORRECTION_RE);
+  if (!fix) return null;
+  const [, label, printed, reads] = fix;
+  const named = AMENDED_FIELDS.find(([re]) => re.test(label));
+  const looksLikeCause = /^(?:Cause\b|[A-Z]{0,3}\s*\d+\s*(?:OF|\/)\s*\d{4}$)/i.test(printed || reads);
+  const field = named ? named[1] : looksLikeCause ? "cause_no" : "name_of_deceased";
+  const value = (s) => (s ? (field === "cause_no" ? stripCauseLabel(s) : s.trim()) : null);
+
+  return { ...base, type: "corrigendum", field, old_value: value(printed), new_value: value(reads) };
+}
+
+// Grant types, most specific first
+const GRANT_TYPES = [
+  [/ad\s+colligenda/i, "Ad Colligenda"],
+  [/reseal/i, "Resealing"],
+  [/will\s+annexed/i, "Letters of Administration (will annexed)"],
+  [/probate/i, "Probate"],
+  [/letters\s+of\s+administration/i, "Letters of Administration"],
+];
+
+/**
+ * Structured fields of one succession cause, from the text between its
+ * CAUSE NO line and the next:
+ *   { date_of_death, last_residence, petitioners: [{ name, relationship }], grant_type }
+ * date_of_death is ISO ("YYYY" alone when the notice only gives a year).
+ */
+export function parseSuccessionDetails(block = "") {
+  const text = String(block).replace(/\s+/g, " ").replace(/’/g, "'");
+
+  const died = text.match(new RegExp(`who\\s+died\\b.*?\\bon\\s+${DATE_TEXT}`, "i"));
+  // some notices only give the year: "who died at Kitui in 2005"
+  const diedYear = died ? null : text.match(/who\s+died\b[^.]*?\bin\s+(\d{4})\b/i);
+  const residence = text.match(/\blate\s+of\s+(.+?)(?:,|\s+who\s+died\b|\.\s)/i);
+  const grant = GRANT_TYPES.find(([re]) => re.test(text));
+
+  // Petitioners: "By (1) X and (2) Y, both of …, the deceased's widow and son, respectively"
+  const by = text.match(/\bBy\s+(.+?)(?:,\s*(?:both\s+|all\s+)?of\b|,\s*the\b|,\s*through\b|\s+for\s+(?:a\s+)?grant\b)/i);
+  const names = by ? splitNames(by[1]) : [];
+
+  let relations = [];
+  const role = text.match(/\bthe\s+(executors?|executrix|executrices|administrators?|administratrix)\b/i);
+  const rel = text.match(/\bthe\s+deceased'?s?\s+([a-z\s,-]+?)(?:,\s*respectively|,|\s+for\s)/i);
+  if (role) relations = [role[1].toLowerCase()];
+  else if (rel) relations = splitNames(rel[1]).map((r) => r.toLowerCase());
+
+  const petitioners = names.map((name, idx) => ({
+    name,
+    relationship:
+      relations.length === names.length ? relations[idx] : relations.length === 1 ? relations[0] : null,
+  }));
+
+  return {
+    date_of_death: died ? toISODate(died[1], died[2], died[3]) : diedYear ? diedYear[1] : "",
+    last_residence: residence ? residence[1].trim() : "",
+    petitioners,
+    grant_type: grant ? grant[1] : "",
+  };
+}
+
+// Outcomes of a CAUSE NO line in an extraction trace
+export const TRACE_RULES = ["extracted", "no_estate_of", "empty_name", "amendment"];
+
+/**
+ * Succession extraction over tagged lines in reading order:
+ *   [{ text, page, source, confidence, line?, column?, bbox? }]
+ * options.trace, an array, receives one entry per CAUSE NO line (see
+ * traceExtraction in helpers/parse.js)
+ */
+function extractSuccession(tagged, { volumeNo = "", datePublished = "", trace = null } = {}) {
+  const lines = tagged.map((l) => l.text);
+  const records = [];
+  const amendments = [];
+  let currentStation = null;
+  let currentNotice = "";
+  let noticeRecords = []; // records awaiting the notice's signature
+
+  // Trace entry for the CAUSE NO on line k; span is the lines it was judged on
+  const traceEntry = (k, cause, from, to, rule, reason, extra = {}) => ({
+    line: tagged[k].line ?? k + 1,
+    page: tagged[k].page ?? null,
+    text: lines[k],
+    cause_no: cause[1].replace(/\s+/g, " ").trim(),
+    rule,
+    reason,
+    span: {
+      from: from + 1,
+      to: to + 1,
+      pages: [...new Set(tagged.slice(from, to + 1).map((l) => l.page ?? null))],
+      lines: lines.slice(from, to + 1),
+    },
+    notice: currentNotice,
+    station: currentStation && { ...currentStation },
+    ...extra,
+  });
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // corrigenda aren't part of any notice
+    if (CORRIGENDA_RE.test(line)) {
+      currentNotice = "";
+      noticeRecords = [];
+      continue;
+    }
+
+    // "In Gazette Notice No. 9802 of 2025, …" — runs on to the full stop;
+    // checked first so the earlier notice's number isn't taken for a new notice
+    if (AMENDMENT_START_RE.test(`${line} ${lines[i + 1] || ""}`)) {
+      let end = i;
+      while (end + 1 < lines.length && end - i < 8 && !STATEMENT_END_RE.test(lines[end])) end++;
+      const amendment = parseAmendment(lines.slice(i, end + 1).join(" "));
+      if (amendment) {
+        amendments.push({ ...amendment, gazette_notice_no: currentNotice, page: tagged[i].page ?? null });
+        for (let k = i; trace && k <= end; k++) {
+          const c = lines[k].match(CAUSE_RE);
+          if (c) trace.push(traceEntry(k, c, i, end, "amendment", `part of a ${amendment.type} of an earlier notice`));
+        }
+        i = end;
+        continue;
+      }
+    }
+
+    const notice = line.match(NOTICE_RE);
+    if (notice) {
+      currentNotice = notice[1];
+      noticeRecords = [];
+      continue;
+    }
+
+    // "A. S. LESOOTIA," followed by "Deputy Registrar, Nairobi."
+    if (SIGNATORY_RE.test(line) && i > 0 && noticeRecords.length) {
+      const registrar = lines[i - 1].replace(/,\s*$/, "").trim();
+      for (const r of noticeRecords) if (!r.registrar) r.registrar = registrar;
+      noticeRecords = [];
+      continue;
+    }
+
+    // Stations resolve against the gazetteer (utils/stations.js); ones it
+    // doesn't know keep the notice's own spelling and are flagged
+    // the heading is often broken before "AT <station>"
+    let st = line.match(STATION_RE);
+    if (!st && /COURT(?:\s+OF\s+KENYA)?$/i.test(line) && /^AT\s/i.test(lines[i + 1] || "")) {
+      st = `${line} ${lines[i + 1]}`.match(STATION_RE);
+      if (st) i++;
+    }
+    if (st) {
+      const loc = toTitle(st[2].replace(/’/g, "'").replace(/[^A-Za-z\s'-]/g, " "));
+      const found = resolveStation(`${st[1]} AT ${loc}`);
+      currentStation = {
+        court_station: found.name || `${loc} ${found.level || toTitle(st[1])}`,
+        court_level: found.level,
+        station_resolved: found.resolved,
+        court_station_raw: st[0].replace(/\s+/g, " ").trim(),
+      };
+      continue;
+    }
+
+    const cause = line.match(CAUSE_RE);
+    if (!cause) continue;
+
+    // Look ahead ESTATE_LOOKAHEAD lines for "ESTATE OF"; the phrase is often
+    // split across a line break, so search the joined text.
+    const window = [line];
+    for (let j = 1; j <= CAUSE_BLOCK_LINES && i + j < lines.length; j++) {
+      if (CAUSE_RE.test(lines[i + j])) break;
+      window.push(lines[i + j]);
+    }
+    const lookAhead = window.slice(0, ESTATE_LOOKAHEAD + 1).join(" ");
+    const at = lookAhead.search(/ESTATE\s+OF/i);
+    if (at < 0) {
+      if (trace) {
+        const nextCause = window.length <= CAUSE_BLOCK_LINES && CAUSE_RE.test(lines[i + window.length] || "");
+        const stop = nextCause ? " (next CAUSE NO reached)" : "";
+        const to = i + Math.min(window.length, ESTATE_LOOKAHEAD + 1) - 1;
+        const reason = `no "ESTATE OF" within ${ESTATE_LOOKAHEAD} lines${stop}`;
+        trace.push(traceEntry(i, cause, i, to, "no_estate_of", reason));
+      }
+      continue;
+    }
+
+    const estateBlock = window.join(" ").slice(at);
+
+    // each cleanup step, for traces
+    const steps = [];
+    let name = estateBlock
+      .replace(/.*?ESTATE\s+OF\s*/i, "")
+      .replace(/\(?\s*DECEASED\s*\)?/gi, "")
+      .replace(/\b(THE|LATE)\b/gi, "")
+      .trim();
+    steps.push({ step: 'strip "ESTATE OF", "DECEASED", "THE", "LATE"', name });
+
+    name = name.split(/who\s+died/i)[0];
+    steps.push({ step: 'cut at "who died"', name });
+    name = name.split(",")[0];
+    steps.push({ step: "cut at the first comma", name });
+    name = name.replace(/\bof\s+[A-Z][A-Za-z\s]+$/i, "").replace(/\s+/g, " ").trim();
+    steps.push({ step: 'drop a trailing "of <place>"', name });
+
+    if (!name) {
+      if (trace) {
+        const emptied = steps.find((st) => !st.name.trim());
+        trace.push(
+          traceEntry(i, cause, i, i + window.length - 1, "empty_name", `name empty after: ${emptied.step}`, {
+            name: { before: estateBlock, steps, after: "" },
+          })
+        );
+      }
+      continue;
+    }
+
+    // Whole cause entry, up to the next cause or the end of the list
+    const entry = [];
+    let end = i;
+    for (let j = 1; j <= 15 && i + j < lines.length; j++) {
+      const ln = lines[i + j];
+      if (CAUSE_RE.test(ln) || NOTICE_RE.test(ln) || NOTICE_END_RE.test(ln)) break;
+      entry.push(ln);
+      end = i + j;
+    }
+
+    const record = {
+      court_station: currentStation?.court_station || "Unknown Court",
+      court_level: currentStation?.court_level || null,
+      station_resolved: currentStation?.station_resolved ?? false,
+      court_station_raw: currentStation?.court_station_raw || "",
+      cause_no: cause[1].replace(/\s+/g, " ").trim(),
+      name_of_deceased: name,
+      status_at_gp: "Published",
+      volume_no: volumeNo || "",
+      date_published: datePublished || "",
+      page: tagged[i].page ?? null,
+      text_source: tagged[i].source || "text",
+      ocr_confidence: tagged[i].confidence ?? null,
+      gazette_notice_no: currentNotice,
+      ...parseSuccessionDetails(entry.join(" ")),
+      registrar: "",
+      regions: regionsOf(tagged.slice(i, end + 1)),
+    };
+
+    records.push(record);
+    noticeRecords.push(record);
+
+    if (trace) {
+      const warnings = [];
+      if (!currentStation) warnings.push("no court heading before this cause: station unknown");
+      else if (!currentStation.station_resolved) warnings.push("court station not in the gazetteer");
+      if (!currentNotice) warnings.push("no GAZETTE NOTICE NO. before this cause");
+      trace.push(
+        traceEntry(i, cause, i, end, "extracted", 'name found after "ESTATE OF"', {
+          name: { before: estateBlock, steps, after: name },
+          record: records.length - 1,
+          warnings,
+        })
+      );
+    }
+  }
+
+  return { records, amendments };
+}
+
+export default {
+  type: "succession",
+  label: "Succession cause (probate and administration)",
+  // notices with a cause list, and corrections of earlier ones
+  triggers: [CAUSE_RE, AMENDMENT_START_RE, CORRIGENDA_RE],
+  // created in helpers/db.js and written by helpers/issues.js: matching and
+  // amendments work on these rows
+  table: "gazette_notices",
+  storedSeparately: true,
+  columns: {
+    court_station: "TEXT",
+    court_level: "TEXT",
+    station_resolved: "INTEGER",
+    court_station_raw: "TEXT",
+    cause_no: "TEXT",
+    name_of_deceased: "TEXT",
+    date_of_death: "TEXT",
+    last_residence: "TEXT",
+    grant_type: "TEXT",
+    registrar: "TEXT",
+    petitioners: "JSON",
+  },
+  search: ["name_of_deceased", "cause_no"],
+  // the cause list scan keeps its court station from one notice to the next
+  extract: (notices, options) => extractSuccession(notices.flatMap((n) => n.lines), options),
+};
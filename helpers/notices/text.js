@@ -0,0 +1,99 @@
+// helpers/notices/text.js
+// Text helpers shared by the notice extractors (helpers/notices/)
+
+export const toTitle = (s = "") =>
+  String(s)
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/(^|[\s-])([a-z])/g, (_m, sep, c) => sep + c.toUpperCase());
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+];
+
+// "14th February, 2025" / "14 Feb 2025" -> "2025-02-14" ("" when unparseable)
+export function toISODate(day, month, year) {
+  const m = MONTHS.findIndex((name) => name.startsWith(String(month).toLowerCase().slice(0, 3)));
+  const d = Number(day);
+  const y = Number(year);
+  if (m < 0 || !d || d > 31 || !y) return "";
+  return `${y}-${String(m + 1).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+export const DATE_TEXT = "(\\d{1,2})(?:st|nd|rd|th)?\\s+([A-Za-z]+),?\\s+(\\d{4})";
+// "Dated the 5th July, 2025." under a notice (not "a deed poll dated …")
+export const DATED_RE = new RegExp(`\\bDated\\s+(?:the\\s+|this\\s+)?${DATE_TEXT}`);
+
+// A notice's own heading, and the CORRIGENDA section that isn't part of any notice
+export const NOTICE_HEADING_RE = /^GAZETTE\s+NOTICE\s+NO\.?\s*(\d+)\s*$/i;
+export const CORRIGENDA_RE = /^CORRIGEND(?:A|UM)\.?$/i;
+
+// "(1) A and (2) B" / "A and B" -> ["A", "B"]
+export const splitNames = (s = "") =>
+  String(s)
+    .split(/\(\d+\)|,|\band\b/i)
+    .map((n) => n.replace(/\s+/g, " ").trim())
+    .filter((n) => n && !/^(both|all)$/i.test(n));
+
+// Union of line boxes per page + column: where a notice sits on the page(s)
+export function regionsOf(lines) {
+  const byKey = new Map();
+  for (const l of lines) {
+    if (!l.bbox) continue;
+    const key = `${l.page}:${l.column || "full"}`;
+    const r = byKey.get(key);
+    if (!r) byKey.set(key, { page: l.page, column: l.column || "full", bbox: [...l.bbox] });
+    else {
+      r.bbox[0] = Math.min(r.bbox[0], l.bbox[0]);
+      r.bbox[1] = Math.min(r.bbox[1], l.bbox[1]);
+      r.bbox[2] = Math.max(r.bbox[2], l.bbox[2]);
+      r.bbox[3] = Math.max(r.bbox[3], l.bbox[3]);
+    }
+  }
+  return [...byKey.values()];
+}
+
+// Notice text on one line, whitespace collapsed
+export const noticeText = (notice) =>
+  notice.lines
+    .map((l) => l.text)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Payment reference printed beside the signature: "MR/7782276"
+const MR_RE = /^MR\/\d+\s*/i;
+
+/**
+ * Signature block of a notice: the line whose title matches titleRe
+ * ("Land Registrar, Kiambu." / "Advocates for …") and the name above it.
+ * Returns { name, title } ("" when there is none)
+ */
+export function signatureOf(notice, titleRe) {
+  const lines = notice.lines.map((l) => l.text.replace(MR_RE, "").trim());
+  const at = lines.findIndex((l, i) => i > 0 && titleRe.test(l));
+  if (at < 0) return { name: "", title: "" };
+  const tidy = (s) => s.replace(/[,.]\s*$/, "").trim();
+  return { name: tidy(lines[at - 1]), title: tidy(lines[at]) };
+}
+
+/**
+ * Fields every stored notice carries, from its notice and the issue:
+ *   { gazette_notice_no, volume_no, date_published, page, text_source,
+ *     ocr_confidence, regions, text }
+ */
+export function noticeFields(notice, { volumeNo = "", datePublished = "" } = {}) {
+  const first = notice.lines[0] || {};
+  return {
+    gazette_notice_no: notice.notice_no,
+    volume_no: volumeNo || "",
+    date_published: datePublished || "",
+    page: first.page ?? null,
+    text_source: first.source || "text",
+    ocr_confidence: first.confidence ?? null,
+    regions: regionsOf(notice.lines),
+    text: noticeText(notice),
+  };
+}
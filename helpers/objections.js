@@ -0,0 +1,96 @@
+// helpers/objections.js
+import { initDB, hydrateMatch, DEADLINE_SQL } from "./db.js";
+import { todayISO, addDays } from "../utils/lifecycle.js";
+import { ISO_DATE_RE, httpError } from "../utils/common.js";
+
+/**
+ * Estates whose objection period closes within the next `days` days
+ * (today included) and that have no objection on record, grouped by court
+ * station so registries can plan confirmation hearings.
+ *   options: { days = 14, station }
+ * Returns { today, until, total, stations: [{ station, count, estates }] }
+ * with stations and estates ordered by deadline.
+ */
+export async function closingWindows({ days = 14, station } = {}) {
+  const n = Number(days);
+  if (!Number.isInteger(n) || n < 0 || n > 366) throw httpError(400, `Invalid days: ${days}`);
+
+  const today = todayISO();
+  const until = addDays(today, n);
+  const where = ["m.objection_lodged_at IS NULL", `${DEADLINE_SQL} BETWEEN ? AND ?`];
+  const params = [today, until];
+  if (station) {
+    where.push("m.court_station = ?");
+    params.push(station);
+  }
+
+  const db = await initDB();
+  let rows;
+  try {
+    rows = await db.all(
+      `SELECT m.* FROM gazette_matches m WHERE ${where.join(" AND ")}
+       ORDER BY ${DEADLINE_SQL} ASC, m.court_station ASC, m.id ASC`,
+      params
+    );
+  } finally {
+    await db.close();
+  }
+
+  const byStation = new Map();
+  for (const row of rows.map(hydrateMatch)) {
+    if (!byStation.has(row.court_station)) byStation.set(row.court_station, []);
+    byStation.get(row.court_station).push({
+      id: row.id,
+      name_of_deceased: row.name_of_deceased,
+      cause_no: row.cause_no,
+      gazette_notice_no: row.gazette_notice_no,
+      volume_no: row.volume_no,
+      date_published: row.date_published,
+      objection_deadline: row.objection_deadline,
+      days_remaining: row.days_remaining,
+    });
+  }
+
+  return {
+    today,
+    until,
+    total: rows.length,
+    stations: [...byStation].map(([name, estates]) => ({ station: name, count: estates.length, estates })),
+  };
+}
+
+/**
+ * Record an objection against a gazetted estate (gazette_matches id); the
+ * estate stays "objection lodged" until it is withdrawn.
+ *   { lodgedAt = today, lodgedBy, note }
+ * Returns the updated match, or throws 404 / 400.
+ */
+export async function lodgeObjection(id, { lodgedAt, lodgedBy = null, note = null } = {}) {
+  const date = lodgedAt || todayISO();
+  if (!ISO_DATE_RE.test(date)) throw httpError(400, `Invalid lodgedAt: ${lodgedAt} (use YYYY-MM-DD)`);
+  return setObjection(id, [date, lodgedBy || null, note || null]);
+}
+
+/**
+ * Withdraw / dismiss an objection; the estate goes back to the state its
+ * deadline gives it. Returns the updated match, or throws 404.
+ */
+export async function withdrawObjection(id) {
+  return setObjection(id, [null, null, null]);
+}
+
+async function setObjection(id, values) {
+  const db = await initDB();
+  try {
+    const result = await db.run(
+      `UPDATE gazette_matches
+       SET objection_lodged_at = ?, objection_lodged_by = ?, objection_note = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [...values, id]
+    );
+    if (!result.changes) throw httpError(404, `Match ${id} not found`);
+    return hydrateMatch(await db.get(`SELECT * FROM gazette_matches WHERE id = ?`, [id]));
+  } finally {
+    await db.close();
+  }
+}
@@ -0,0 +1,120 @@
+// helpers/ocr.js
+import { createWorker } from "tesseract.js";
+import { loadPdf, pageLayout, renderPageToPng } from "./pdf.js";
+
+// Pages with fewer non-space characters than this are treated as scanned
+export const MIN_TEXT_CHARS = Number(process.env.OCR_MIN_TEXT_CHARS || 200);
+
+const textLength = (s = "") => String(s).replace(/\s+/g, "").length;
+
+/**
+ * createWorker() never settles when loading language data fails (e.g. no
+ * network to fetch traineddata); the failure only reaches errorHandler, so
+ * route it into the promise. Without a handler tesseract rethrows on its
+ * worker thread and takes the process down.
+ */
+function startWorker(lang) {
+  return new Promise((resolve, reject) => {
+    createWorker(lang, 1, { errorHandler: reject }).then(resolve, reject);
+  });
+}
+
+// tesseract line boxes (pixels, origin top-left) -> layout lines in PDF points
+function ocrLines(data, page, scale, height) {
+  const lines = [];
+  for (const block of data.blocks || []) {
+    for (const para of block.paragraphs || []) {
+      for (const line of para.lines || []) {
+        const text = String(line.text || "").replace(/\s+/g, " ").trim();
+        if (!text) continue;
+        const { x0, y0, x1, y1 } = line.bbox;
+        lines.push({
+          text,
+          page,
+          column: "full",
+          bbox: [x0 / scale, height - y1 / scale, x1 / scale, height - y0 / scale],
+        });
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Read every page of a gazette PDF. Pages with a usable text layer are read
+ * directly; image-only pages are rendered and OCR'd.
+ *
+ * Returns [{ page, text, lines, source: "text" | "ocr", confidence }]
+ * lines are in reading order with bounding boxes (see pageLayout); confidence
+ * is tesseract's 0–100 page score, null for text-layer pages.
+ *   options: { ocr, minTextChars, lang, scale,
+ *              onPage({ page, pageCount, source }) after each page,
+ *              signal (AbortSignal, checked before each page) }
+ */
+export async function readGazettePages(buffer, options = {}) {
+  const {
+    ocr = true,
+    minTextChars = MIN_TEXT_CHARS,
+    lang = process.env.OCR_LANG || "eng",
+    scale = 2,
+    onPage,
+    signal,
+  } = options;
+
+  const doc = await loadPdf(buffer);
+  const pages = [];
+  let worker = null;
+  let ocrError = null;
+
+  const readPage = async (n) => {
+    const page = await doc.getPage(n);
+    try {
+      const layout = await pageLayout(page);
+      const { text, lines } = layout;
+      const textPage = { page: n, text, lines, source: "text", confidence: null };
+      if (!ocr || textLength(text) >= minTextChars) return textPage;
+
+      if (!worker && !ocrError) {
+        try {
+          worker = await startWorker(lang);
+        } catch (err) {
+          ocrError = err;
+          console.error("❌ OCR unavailable:", err.message || err);
+        }
+      }
+      // keep whatever text layer there was rather than failing the upload
+      if (!worker) return textPage;
+
+      try {
+        const png = await renderPageToPng(page, scale);
+        const { data } = await worker.recognize(png, {}, { text: true, blocks: true });
+        return {
+          page: n,
+          text: data.text || "",
+          lines: ocrLines(data, n, scale, layout.height),
+          source: "ocr",
+          confidence: Number.isFinite(data.confidence) ? data.confidence : null,
+        };
+      } catch (err) {
+        console.error(`❌ OCR failed on page ${n}:`, err.message || err);
+        return textPage;
+      }
+    } finally {
+      page.cleanup();
+    }
+  };
+
+  try {
+    for (let n = 1; n <= doc.numPages; n++) {
+      signal?.throwIfAborted();
+      const entry = await readPage(n);
+      pages.push(entry);
+      onPage?.({ page: n, pageCount: doc.numPages, source: entry.source });
+    }
+  } finally {
+    if (worker) await worker.terminate();
+    await doc.destroy();
+  }
+
+  return pages;
+}
@@ -1,60 +1,287 @@
-// Gazette parsing helpers
-let currentStation = "";
+// helpers/parse.js
+import fs from "fs";
+import { readGazettePages } from "./ocr.js";
+import { resolveStation } from "../utils/stations.js";
+import { NOTICE_EXTRACTORS } from "./notices/index.js";
+import { toISODate, NOTICE_HEADING_RE, CORRIGENDA_RE } from "./notices/text.js";
 
+export { toISODate };
+export { parseAmendment, parseSuccessionDetails, TRACE_RULES } from "./notices/succession.js";
 
-for (let i = 0; i < lines.length; i++) {
-const line = lines[i];
+const ROMAN = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
 
+// "CXXVII" -> 127 (0 when not a roman numeral)
+export function romanToInt(s = "") {
+  const str = String(s).toUpperCase().trim();
+  if (!/^[IVXLCDM]+$/.test(str)) return 0;
+  let total = 0;
+  for (let i = 0; i < str.length; i++) {
+    const cur = ROMAN[str[i]];
+    const next = ROMAN[str[i + 1]] || 0;
+    total += cur < next ? -cur : cur;
+  }
+  return total;
+}
+
+const VOLUME_RE = /Vol\.?\s*([IVXLCDM]+)\s*[—–-]+\s*No\.?\s*(\d+)/i;
+const MAST_DATE_RE = /NAIROBI,?\s+(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]+),?\s+(\d{4})/i;
+// Running page header: "THE KENYA GAZETTE 1st August, 2025"
+const HEADER_DATE_RE = /KENYA GAZETTE\s+(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]+),?\s+(\d{4})/i;
+
+/**
+ * Parse the masthead of a gazette issue (first page text):
+ *   "Vol. CXXVII—No. 146  NAIROBI, 14th February, 2025"
+ * Returns { volume, volumeNumber, issueNo, volumeNo, datePublished,
+ *           specialIssue, supplement }
+ * volumeNo is the canonical "Vol. CXXVII—No. 146"; datePublished is ISO.
+ */
+export function parseMasthead(text = "") {
+  const head = String(text).replace(/\s+/g, " ");
+  const result = {
+    volume: "",
+    volumeNumber: 0,
+    issueNo: null,
+    volumeNo: "",
+    datePublished: "",
+    specialIssue: /\bSPECIAL\s+ISSUE\b/i.test(head),
+    supplement: /\bSUPPLEMENT\b/i.test(head),
+  };
 
-const st = line.match(/IN THE\s+(HIGH COURT|MAGISTRATES? COURT|CHIEF MAGISTRATE[’']?S COURT)\s+(?:OF KENYA\s+)?AT\s+([A-Z][A-Za-z\s-]+)/i);
-if (st) {
-const typeRaw = st[1].toUpperCase();
-const type = typeRaw.includes("HIGH") ? "High Court" : "Magistrates Court";
-const loc = toTitle(st[2].replace(/[^A-Za-z\s-]/g, " "));
-currentStation = `${loc} ${type}`;
-continue;
+  const vol = head.match(VOLUME_RE);
+  if (vol) {
+    result.volume = vol[1].toUpperCase();
+    result.volumeNumber = romanToInt(result.volume);
+    result.issueNo = Number(vol[2]);
+    result.volumeNo = `Vol. ${result.volume}—No. ${result.issueNo}`;
+  }
+
+  const date = head.match(MAST_DATE_RE) || head.match(HEADER_DATE_RE);
+  if (date) result.datePublished = toISODate(date[1], date[2], date[3]);
+
+  return result;
 }
 
+// Split page text into trimmed, non-empty lines tagged with their origin
+const toLines = (text = "", meta = {}) =>
+  String(text)
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map((l) => ({ text: l, ...meta }));
 
-const cause = line.match(/\bCAUSE\s+NO\.?\s*([A-Za-z-]*\s*\d+(?:\s*OF\s*)?\s*\d{4}|[A-Za-z0-9]+\/\d{4}|[A-Za-z0-9-]+)/i);
-if (!cause) continue;
+// Split tagged lines into the issue's notices at their "GAZETTE NOTICE NO. n"
+// headings (and a CORRIGENDA section); lines before the first heading are a
+// notice with no number. Lines get their 1-based position in the issue.
+function splitNotices(tagged) {
+  const notices = [];
+  let current = { notice_no: "", lines: [] };
+  tagged.forEach((l, idx) => {
+    const heading = l.text.match(NOTICE_HEADING_RE);
+    if ((heading || CORRIGENDA_RE.test(l.text)) && current.lines.length) {
+      notices.push(current);
+      current = { notice_no: heading ? heading[1] : "", lines: [] };
+    } else if (heading) current.notice_no = heading[1];
+    current.lines.push({ ...l, line: idx + 1 });
+  });
+  if (current.lines.length) notices.push(current);
+  return notices;
+}
+
+// A trigger can be split over a line break: try each line alone and joined to the next
+const claims = ({ triggers }, { lines }) =>
+  lines.some((l, i) => {
+    const joined = `${l.text} ${lines[i + 1]?.text || ""}`;
+    return triggers.some((re) => re.test(l.text) || re.test(joined));
+  });
+
+/**
+ * Run every notice extractor (helpers/notices/) over tagged lines in reading
+ * order: [{ text, page, source, confidence, column?, bbox? }]
+ * Returns { records (succession), notices: { [type]: records }, amendments,
+ *           unclaimed: [{ gazette_notice_no, page, heading }] }
+ * unclaimed lists the numbered notices no extractor took.
+ */
+function extractNotices(tagged, options = {}) {
+  const notices = splitNotices(tagged);
+  const claimed = new Set();
+  const byType = {};
+  const amendments = [];
+
+  for (const extractor of NOTICE_EXTRACTORS) {
+    const mine = notices.filter((n) => claims(extractor, n));
+    mine.forEach((n) => claimed.add(n));
+    const result = extractor.extract(mine, options);
+    byType[extractor.type] = result.records;
+    amendments.push(...(result.amendments || []));
+  }
+
+  const unclaimed = notices
+    .filter((n) => n.notice_no && !claimed.has(n))
+    .map((n) => ({ gazette_notice_no: n.notice_no, page: n.lines[0].page ?? null, heading: n.lines[1]?.text || "" }));
+  return { records: byType.succession, notices: byType, amendments, unclaimed };
+}
 
+// Records per notice type, and the notices no type took
+const noticeCounts = ({ notices, unclaimed }) => ({
+  ...Object.fromEntries(Object.entries(notices).map(([type, records]) => [type, records.length])),
+  unclaimed: unclaimed.length,
+});
 
-let estateBlock = "";
-for (let j = 0; j <= 5; j++) {
-const ln = lines[i + j] || "";
-if (/(ESTATE\s+OF)/i.test(ln)) {
-estateBlock = [lines[i + j], lines[i + j + 1], lines[i + j + 2]].filter(Boolean).join(" ");
-break;
+/**
+ * Extract succession notices ("CAUSE NO … ESTATE OF …") from gazette text.
+ * volumeNo / datePublished are stamped on every record.
+ */
+export function extractGazetteRecords(text = "", options = {}) {
+  return extractNotices(toLines(text), options).records;
 }
+
+/**
+ * Corrigenda, revocations and re-publications of earlier notices in gazette
+ * text — see parseAmendment(). Each also carries the gazette_notice_no it was
+ * printed under ("" in a CORRIGENDA section) and its page.
+ */
+export function extractAmendments(text = "") {
+  return extractNotices(toLines(text)).amendments;
 }
-if (!estateBlock) continue;
 
+/**
+ * Records of every notice type in gazette text: { [type]: records } — see
+ * helpers/notices/index.js
+ */
+export function extractNoticesFromText(text = "", options = {}) {
+  return extractNotices(toLines(text), options).notices;
+}
 
-let name = estateBlock
-.replace(/.*ESTATE\s+OF\s*/i, "")
-.replace(/\(?\s*DECEASED\s*\)?/gi, "")
-.replace(/\b(THE|LATE)\b/gi, "")
-.trim();
+// Tagged lines of every page, in reading order
+const pageLines = (pages = []) =>
+  pages.flatMap((p) => {
+    const meta = { page: p.page, source: p.source, confidence: p.confidence };
+    return p.lines?.length
+      ? p.lines.map((l) => ({ ...l, ...meta }))
+      : toLines(p.text, meta);
+  });
 
+/**
+ * Same as extractGazetteRecords, over pages from readGazettePages(). Uses the
+ * layout-aware lines (true two-column reading order) when a page has them.
+ * Each record is tagged with its page, text source, OCR confidence and the
+ * regions ({ page, column, bbox }) its entry covers.
+ */
+export function extractGazetteRecordsFromPages(pages = [], options = {}) {
+  return extractNotices(pageLines(pages), options).records;
+}
 
-name = name.split(/who\s+died/i)[0];
-name = name.split(",")[0];
-name = name.replace(/\bof\s+[A-Z][A-Za-z\s]+$/i, "").trim();
+/**
+ * Dry run of the extraction over pages from readGazettePages(), explaining
+ * every CAUSE NO line found:
+ *   traces: [{ line, page, text, cause_no, rule (TRACE_RULES), reason,
+ *              span: { from, to, pages, lines }, notice, station,
+ *              name?: { before, steps: [{ step, name }], after },
+ *              record? (index into records), warnings? }]
+ *   pages:  [{ page, source, detected, extracted, rejected: { rule: n } }]
+ *   totals: { detected, extracted, rejected: { rule: n } }
+ * plus the records and amendments the extraction produces, the record count
+ * per notice type and the notices no type took (see extractNotices).
+ */
+export function traceExtraction(pages = [], options = {}) {
+  const traces = [];
+  const extracted = extractNotices(pageLines(pages), { ...options, trace: traces });
+  const { records, amendments, unclaimed } = extracted;
 
+  const tally = () => ({ detected: 0, extracted: 0, rejected: {} });
+  const totals = tally();
+  const byPage = new Map(pages.map((p) => [p.page, { page: p.page, source: p.source, ...tally() }]));
+  for (const t of traces) {
+    if (!byPage.has(t.page)) byPage.set(t.page, { page: t.page, source: null, ...tally() });
+    for (const counts of [totals, byPage.get(t.page)]) {
+      counts.detected++;
+      if (t.rule === "extracted") counts.extracted++;
+      else counts.rejected[t.rule] = (counts.rejected[t.rule] || 0) + 1;
+    }
+  }
 
-if (!name) continue;
+  return {
+    records,
+    amendments,
+    traces,
+    pages: [...byPage.values()],
+    totals,
+    noticeCounts: noticeCounts(extracted),
+    unclaimed,
+  };
+}
 
+/**
+ * traceExtraction() over a gazette PDF, with its masthead; nothing is stored.
+ * options: as parseGazetteIssue
+ */
+export async function traceGazetteIssue(filePath, options = {}) {
+  const buffer = await fs.promises.readFile(filePath);
+  const pages = await readGazettePages(buffer, options);
+  const masthead = parseMasthead(pages[0]?.text || "");
+  const trace = traceExtraction(pages, {
+    volumeNo: options.volumeNo || masthead.volumeNo,
+    datePublished: options.datePublished || masthead.datePublished,
+  });
+  return { masthead, ...trace };
+}
 
-records.push({
-court_station: currentStation || "Unknown Court",
-cause_no: cause[1].replace(/\s+/g, " ").trim(),
-name_of_deceased: name,
-status_at_gp: "Published",
-volume_no: volumeNo || "",
-date_published: datePublished || ""
-});
+/**
+ * Court stations in the records the gazetteer could not resolve:
+ *   [{ station, count, suggestion }] (station as printed in the notice)
+ */
+export function unresolvedStations(records = []) {
+  const byRaw = new Map();
+  for (const r of records) {
+    if (r.station_resolved || !r.court_station_raw) continue;
+    const entry = byRaw.get(r.court_station_raw);
+    if (entry) entry.count++;
+    else {
+      byRaw.set(r.court_station_raw, {
+        station: r.court_station_raw,
+        count: 1,
+        suggestion: resolveStation(r.court_station_raw).suggestion,
+      });
+    }
+  }
+  return [...byRaw.values()];
 }
 
+/**
+ * Read a gazette PDF from disk (OCR'ing scanned pages), parse its masthead and
+ * extract its notices of every type and its corrections of earlier notices.
+ * volumeNo / datePublished in options override the masthead values.
+ * Returns { masthead, pages, records, notices, noticeCounts, unclaimed,
+ *           amendments, unresolvedStations }
+ * records are the succession notices; notices holds every type's records.
+ */
+export async function parseGazetteIssue(filePath, options = {}) {
+  const buffer = await fs.promises.readFile(filePath);
+  const pages = await readGazettePages(buffer, options);
+  const masthead = parseMasthead(pages[0]?.text || "");
+
+  const extracted = extractNotices(pageLines(pages), {
+    volumeNo: options.volumeNo || masthead.volumeNo,
+    datePublished: options.datePublished || masthead.datePublished,
+  });
+  const { records, notices, amendments, unclaimed } = extracted;
 
-return records;
+  return {
+    masthead,
+    pages,
+    records,
+    notices,
+    noticeCounts: noticeCounts(extracted),
+    unclaimed,
+    amendments,
+    unresolvedStations: unresolvedStations(records),
+  };
+}
+
+/**
+ * Records only — see parseGazetteIssue()
+ */
+export async function parseGazette(filePath, options = {}) {
+  const { records } = await parseGazetteIssue(filePath, options);
+  return records;
+}
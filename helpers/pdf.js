@@ -0,0 +1,233 @@
+// helpers/pdf.js
+import * as pdfjs from "pdfjs-dist/legacy/build/pdf.mjs";
+
+// node-canvas is native and only needed for rendering (OCR), so load it lazily
+let createCanvas = null;
+async function loadCanvas() {
+  if (!createCanvas) ({ createCanvas } = await import("canvas"));
+  return createCanvas;
+}
+
+/**
+ * pdfjs canvas factory backed by node-canvas, so page renders and the
+ * scratch canvases pdfjs creates internally come from the same library.
+ */
+class NodeCanvasFactory {
+  create(width, height) {
+    if (width <= 0 || height <= 0) throw new Error("Invalid canvas size");
+    const canvas = createCanvas(Math.ceil(width), Math.ceil(height));
+    return { canvas, context: canvas.getContext("2d") };
+  }
+
+  reset(canvasAndContext, width, height) {
+    if (!canvasAndContext.canvas) throw new Error("Canvas is not specified");
+    canvasAndContext.canvas.width = Math.ceil(width);
+    canvasAndContext.canvas.height = Math.ceil(height);
+  }
+
+  destroy(canvasAndContext) {
+    if (!canvasAndContext.canvas) return;
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * Open a PDF from a Buffer / Uint8Array
+ */
+export async function loadPdf(buffer) {
+  return pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    CanvasFactory: NodeCanvasFactory,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+}
+
+// Text items as boxes in PDF user space (origin bottom-left)
+function toBoxes(items) {
+  return items
+    .filter((it) => it.str && it.str.trim())
+    .map((it) => {
+      const [a, b, c, d, x, y] = it.transform;
+      const size = it.height || Math.hypot(c, d) || Math.hypot(a, b) || 1;
+      return { str: it.str, x0: x, x1: x + (it.width || 0), y0: y, y1: y + size, size };
+    });
+}
+
+// Group boxes whose baselines are within half a glyph of each other
+function groupRows(boxes) {
+  const sorted = [...boxes].sort((p, q) => q.y0 - p.y0 || p.x0 - q.x0);
+  const rows = [];
+  for (const b of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y0 - b.y0) <= Math.min(row.size, b.size) * 0.5) row.items.push(b);
+    else rows.push({ y0: b.y0, size: b.size, items: [b] });
+  }
+  return rows;
+}
+
+/**
+ * Find the gutter of a two-column page: the least-crossed vertical strip
+ * near the middle of the text. Gazette columns are equal width, so only a
+ * narrow window around the centre is searched; gaps between table columns
+ * (schedules) elsewhere are ignored. Full-width rows such as the masthead,
+ * running header and schedules may cross the gutter, up to half the rows.
+ * Returns the gutter's x, or null for single-column pages.
+ */
+function findGutter(rows) {
+  if (rows.length < 10) return null;
+  const minX = Math.min(...rows.flatMap((r) => r.items.map((b) => b.x0)));
+  const maxX = Math.max(...rows.flatMap((r) => r.items.map((b) => b.x1)));
+  const mid = (minX + maxX) / 2;
+  const lo = Math.floor(mid - (maxX - minX) * 0.05);
+  const hi = Math.ceil(mid + (maxX - minX) * 0.05);
+  const cover = new Array(hi - lo).fill(0);
+
+  for (const row of rows) {
+    const hit = new Set();
+    for (const b of row.items) {
+      for (let x = Math.max(lo, Math.floor(b.x0)); x < Math.min(hi, Math.ceil(b.x1)); x++) hit.add(x);
+    }
+    for (const x of hit) cover[x - lo]++;
+  }
+
+  const minCover = Math.min(...cover);
+  if (minCover > rows.length * 0.5) return null;
+
+  const slack = minCover + Math.max(2, rows.length * 0.1);
+  let best = null;
+  let start = null;
+  for (let i = 0; i <= cover.length; i++) {
+    if (i < cover.length && cover[i] <= slack) {
+      if (start === null) start = i;
+    } else if (start !== null) {
+      if (!best || i - start > best.end - best.start) best = { start, end: i };
+      start = null;
+    }
+  }
+
+  if (!best || best.end - best.start < 6) return null;
+  return lo + (best.start + best.end) / 2;
+}
+
+// Join the boxes of one line left-to-right, inserting spaces at visible gaps
+function joinLine(boxes, page, column) {
+  const items = [...boxes].sort((p, q) => p.x0 - q.x0);
+  let text = "";
+  let prev = null;
+  for (const b of items) {
+    if (prev && b.x0 - prev.x1 > Math.min(prev.size, b.size) * 0.2 && !/\s$/.test(text) && !/^\s/.test(b.str)) {
+      text += " ";
+    }
+    text += b.str;
+    prev = b;
+  }
+  return {
+    text: text.replace(/\s+/g, " ").trim(),
+    page,
+    column,
+    bbox: [
+      Math.min(...items.map((b) => b.x0)),
+      Math.min(...items.map((b) => b.y0)),
+      Math.max(...items.map((b) => b.x1)),
+      Math.max(...items.map((b) => b.y1)),
+    ].map((v) => Math.round(v * 100) / 100),
+  };
+}
+
+/**
+ * Lines of one page in reading order, rebuilt from text item positions.
+ * On two-column pages each band between full-width rows is read left column
+ * first, then right column.
+ *
+ * Returns { width, height, columns, lines: [{ text, page, column, bbox }], text }
+ * where column is "left" | "right" | "full" and bbox is [x0, y0, x1, y1] in
+ * PDF points (origin bottom-left).
+ */
+export async function pageLayout(page) {
+  const [, , width, height] = page.view;
+  const content = await page.getTextContent();
+  const boxes = toBoxes(content.items);
+  const gutter = findGutter(groupRows(boxes));
+  const n = page.pageNumber;
+
+  const lines = [];
+  if (gutter === null) {
+    for (const row of groupRows(boxes)) lines.push(joinLine(row.items, n, "full"));
+  } else {
+    // Rows are grouped per column: baselines of the two columns don't line up
+    const crossing = boxes.filter((b) => b.x0 < gutter && b.x1 > gutter);
+    const fullRows = groupRows(crossing);
+    const sameRow = (row, b) => Math.abs(row.y0 - b.y0) <= Math.min(row.size, b.size) * 0.5;
+
+    const side = { left: [], right: [] };
+    for (const b of boxes) {
+      if (b.x0 < gutter && b.x1 > gutter) continue;
+      const full = fullRows.find((row) => sameRow(row, b));
+      if (full) full.items.push(b);
+      else side[b.x1 <= gutter ? "left" : "right"].push(b);
+    }
+    const leftRows = groupRows(side.left);
+    const rightRows = groupRows(side.right);
+
+    // Each band above a full-width row: left column first, then right
+    const bands = [...fullRows, { y0: -Infinity, items: [] }];
+    for (const full of bands) {
+      const above = (row) => row.y0 > full.y0;
+      const left = [];
+      const right = [];
+      while (leftRows.length && above(leftRows[0])) left.push(leftRows.shift());
+      while (rightRows.length && above(rightRows[0])) right.push(rightRows.shift());
+
+      // Balanced columns end level before a full-width section; a block set
+      // off by a gap in the left column below the end of the right column
+      // (typically that section's heading, "GAZETTE NOTICE NO. …") is read
+      // after the right column.
+      let trailing = [];
+      if (full.items.length && right.length) {
+        const bottom = right[right.length - 1];
+        const cut = left.findIndex(
+          (row, idx) =>
+            idx > 0 &&
+            row.y0 < bottom.y0 - bottom.size &&
+            left[idx - 1].y0 - row.y0 > row.size * 2.5
+        );
+        if (cut >= 0) trailing = left.splice(cut);
+      }
+
+      for (const row of left) lines.push(joinLine(row.items, n, "left"));
+      for (const row of right) lines.push(joinLine(row.items, n, "right"));
+      for (const row of trailing) lines.push(joinLine(row.items, n, "left"));
+      if (full.items.length) lines.push(joinLine(full.items, n, "full"));
+    }
+  }
+
+  const kept = lines.filter((l) => l.text);
+  return {
+    width,
+    height,
+    columns: gutter === null ? 1 : 2,
+    lines: kept,
+    text: kept.map((l) => l.text).join("\n"),
+  };
+}
+
+/**
+ * Render one page to a PNG buffer (scale 2 ≈ 144 dpi, enough for OCR)
+ */
+export async function renderPageToPng(page, scale = 2) {
+  await loadCanvas();
+  const viewport = page.getViewport({ scale });
+  const factory = new NodeCanvasFactory();
+  const target = factory.create(viewport.width, viewport.height);
+
+  try {
+    await page.render({ canvasContext: target.context, viewport }).promise;
+    return target.canvas.toBuffer("image/png");
+  } finally {
+    factory.destroy(target);
+  }
+}
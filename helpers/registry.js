@@ -0,0 +1,446 @@
+// helpers/registry.js
+import crypto from "crypto";
+import path from "path";
+import xlsx from "xlsx";
+import { initDB } from "./db.js";
+import { normalizeNameDB, normKey } from "../utils/normalize.js";
+import { httpError } from "../utils/common.js";
+
+// Registry columns the importer maps. Exact (normalised) header labels are
+// tried first, then any header containing one of `contains` (and none of `not`)
+export const REGISTRY_FIELDS = {
+  name: {
+    labels: [
+      "name of the deceased", "name of deceased", "names of the deceased", "deceased name",
+      "deceased s name", "deceased persons name", "name deceased", "full name", "deceased", "name",
+    ],
+    contains: ["deceased"],
+    not: ["date", "death", "petitioner"],
+  },
+  cause: {
+    labels: [
+      "cause no", "cause number", "succession cause no", "succ cause no", "p a no", "p a cause no",
+      "case no", "case number", "file no", "cause",
+    ],
+    contains: ["cause"],
+    not: ["date", "reason"],
+  },
+  station: {
+    labels: ["court station", "station", "court", "court name", "registry", "law courts"],
+    contains: ["station", "court"],
+    not: ["date", "reason", "returned"],
+  },
+  filingDate: {
+    labels: [
+      "date filed", "filing date", "date of filing", "date lodged", "date received", "date of receipt",
+      "receipt date", "date on e citizen receipt", "e citizen receipt date",
+    ],
+    contains: ["filed", "filing", "lodged", "receipt"],
+    not: [],
+  },
+};
+
+// Rows searched for the header (registries put titles above it)
+const HEADER_SCAN_ROWS = 15;
+// Longer cells are notes, not column labels, for the `contains` fallback
+const MAX_LABEL_LENGTH = 40;
+// Rows shown for a sheet whose header wasn't found
+const PREVIEW_ROWS = 5;
+// Skipped rows listed one by one in the report; the rest are only counted
+const MAX_SKIPPED_LISTED = 1000;
+
+const COLUMN_LETTER_RE = /^[A-Z]{1,3}$/;
+const CSV_EXT_RE = /\.(csv|tsv|txt)$/i;
+
+const isBlank = (v) => v === null || v === undefined || String(v).trim() === "";
+
+/**
+ * Fingerprint of a header row (its labels, in any order), so a saved
+ * template is picked up again for exports with the same layout
+ */
+export const headerSignature = (header = []) =>
+  crypto
+    .createHash("sha1")
+    .update([...new Set(header.map(normKey).filter(Boolean))].sort().join("|"))
+    .digest("hex")
+    .slice(0, 16);
+
+/**
+ * Column index of each registry field in a header row.
+ *   columns: template overrides { name, cause, station, filingDate }, each a
+ *            header label or a column letter ("F")
+ *   firstCol: sheet column of header[0], for column letters
+ * Returns { name?, cause?, station?, filingDate? }
+ */
+export function mapColumns(header = [], columns = {}, firstCol = 0) {
+  const keys = header.map(normKey);
+  const mapping = {};
+  const used = new Set();
+  const free = (i) => i >= 0 && i < keys.length && !used.has(i);
+
+  for (const [field, spec] of Object.entries(REGISTRY_FIELDS)) {
+    let idx = -1;
+    const wanted = columns?.[field];
+    if (wanted) {
+      idx = COLUMN_LETTER_RE.test(wanted) ? xlsx.utils.decode_col(wanted) - firstCol : keys.indexOf(normKey(wanted));
+    } else {
+      idx = spec.labels.map((l) => keys.indexOf(l)).find(free) ?? -1;
+      if (idx < 0) {
+        idx = keys.findIndex(
+          (k, i) =>
+            free(i) &&
+            k.length <= MAX_LABEL_LENGTH &&
+            spec.contains.some((c) => k.includes(c)) &&
+            !spec.not.some((n) => k.includes(n))
+        );
+      }
+    }
+    if (free(idx)) {
+      mapping[field] = idx;
+      used.add(idx);
+    }
+  }
+  return mapping;
+}
+
+// Copy each merged range's value into all of its cells
+function fillMerges(aoa, merges = [], origin) {
+  for (const { s, e } of merges) {
+    const value = aoa[s.r - origin.r]?.[s.c - origin.c];
+    if (isBlank(value)) continue;
+    for (let r = s.r; r <= e.r; r++) {
+      const row = aoa[r - origin.r];
+      if (!row) continue;
+      for (let c = s.c; c <= e.c; c++) if (isBlank(row[c - origin.c])) row[c - origin.c] = value;
+    }
+  }
+}
+
+// Header row (index into aoa) with the most registry fields; needs a name column
+function findHeader(aoa, columns, firstCol, headerRow) {
+  if (headerRow !== undefined && headerRow !== null) {
+    const mapping = mapColumns(aoa[headerRow] || [], columns, firstCol);
+    return mapping.name !== undefined ? { index: headerRow, mapping } : null;
+  }
+  let best = null;
+  for (let i = 0; i < Math.min(aoa.length, HEADER_SCAN_ROWS); i++) {
+    const mapping = mapColumns(aoa[i], columns, firstCol);
+    if (mapping.name === undefined) continue;
+    const score = Object.keys(mapping).length;
+    if (!best || score > best.score) best = { index: i, mapping, score };
+  }
+  return best;
+}
+
+// Filing date as ISO: Date cells, Excel serials and day-first text ("03/07/2025")
+function toISODate(value) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    // cellDates gives midnight local time; round to the nearest day
+    return new Date(value.getTime() - value.getTimezoneOffset() * 60000 + 43200000).toISOString().slice(0, 10);
+  }
+  if (typeof value === "number" && value > 20000 && value < 80000) {
+    const d = xlsx.SSF.parse_date_code(value);
+    return `${d.y}-${String(d.m).padStart(2, "0")}-${String(d.d).padStart(2, "0")}`;
+  }
+  const s = String(value ?? "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m && Number(m[2]) <= 12) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return null;
+}
+
+// Unique keys for a header row, like sheet_to_json ("Column 1", "Column 1_1", "__EMPTY")
+function headerKeys(header) {
+  const seen = new Map();
+  return header.map((label) => {
+    const base = isBlank(label) ? "__EMPTY" : String(label).trim();
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    return n ? `${base}_${n}` : base;
+  });
+}
+
+const parseColumns = (t) => (typeof t.columns === "string" ? JSON.parse(t.columns) : t.columns || {});
+const rowIndex = (t, origin) => (t.header_row ? t.header_row - 1 - origin.r : undefined);
+
+// First rows with content, so a sheet with no recognisable header can be mapped by hand
+const preview = (aoa, origin) =>
+  aoa
+    .map((cells, i) => ({ row: origin.r + i + 1, cells: cells.map(cellText) }))
+    .filter(({ cells }) => cells.some(Boolean))
+    .slice(0, PREVIEW_ROWS);
+
+// Saved template whose header signature matches one of the sheet's first rows
+function templateBySignature(aoa, templates) {
+  const saved = templates.filter((t) => t.header_signature);
+  if (!saved.length) return null;
+  for (let i = 0; i < Math.min(aoa.length, HEADER_SCAN_ROWS); i++) {
+    if (aoa[i].every(isBlank)) continue;
+    const signature = headerSignature(aoa[i]);
+    const template = saved.find((t) => t.header_signature === signature);
+    if (template) return { template, index: i };
+  }
+  return null;
+}
+
+const cellText = (v) => (v instanceof Date ? toISODate(v) : isBlank(v) ? "" : String(v).trim());
+
+// Excel reads a cause number typed as "8/2019" as 1 Aug 2019; give the text back
+const causeText = (v) =>
+  v instanceof Date && !Number.isNaN(v.getTime()) && toISODate(v).endsWith("-01")
+    ? `${Number(toISODate(v).slice(5, 7))}/${toISODate(v).slice(0, 4)}`
+    : cellText(v);
+
+// Why a data row isn't imported, or null
+function skipReason(row, header, mapping) {
+  if (row.every((v, i) => isBlank(v) || normKey(v) === normKey(header[i]))) {
+    return row.every(isBlank) ? "blank" : "repeated header row";
+  }
+  const name = cellText(row[mapping.name]);
+  if (!name) return "no deceased name";
+  if (!/\p{L}{2}/u.test(name)) return "deceased name is not text";
+  return null;
+}
+
+/**
+ * Import every sheet of a registry workbook: finds each sheet's header row
+ * (titles above it, merged cells and repeated headers are handled), maps the
+ * name, cause number, station and filing date columns and keeps every row
+ * with a deceased name.
+ *   options: { template, templates }
+ *     template  — { id, name, columns, header_row } used for every sheet
+ *     templates — saved templates, picked per sheet by header signature
+ * Returns { rows, sheets, skipped, skippedByReason } where rows keep their
+ * columns (keyed by header label) plus:
+ *   _sheet, _row (1-based sheet row), _name_raw, _name_norm, _cause_raw,
+ *   _station_raw, _filing_date (ISO or null)
+ * sheets reports, per sheet, the header row, the columns used, the template
+ * and signature, and the rows imported / skipped (or, when no header was
+ * found, why and a preview of its first rows); skipped lists the skipped
+ * rows (blank ones are only counted) as { sheet, row, reason }.
+ */
+export function readRegistry(workbook, { template = null, templates = [] } = {}) {
+  const rows = [];
+  const sheets = [];
+  const skipped = [];
+  const skippedByReason = {};
+  const skip = (sheet, row, reason) => {
+    skippedByReason[reason] = (skippedByReason[reason] || 0) + 1;
+    if (reason !== "blank" && skipped.length < MAX_SKIPPED_LISTED) skipped.push({ sheet, row, reason });
+  };
+
+  for (const sheetName of workbook.SheetNames) {
+    const ws = workbook.Sheets[sheetName];
+    const report = {
+      sheet: sheetName,
+      headerRow: null,
+      columns: {},
+      template: null,
+      signature: null,
+      rows: 0,
+      skipped: 0,
+    };
+    sheets.push(report);
+    if (!ws["!ref"]) {
+      report.reason = "empty sheet";
+      continue;
+    }
+
+    const origin = xlsx.utils.decode_range(ws["!ref"]).s;
+    const aoa = xlsx.utils.sheet_to_json(ws, { header: 1, defval: "", blankrows: true, raw: true });
+    fillMerges(aoa, ws["!merges"], origin);
+
+    // an explicit template wins; else a saved one whose header matches
+    let used = template;
+    let found = null;
+    if (used) {
+      found = findHeader(aoa, parseColumns(used), origin.c, rowIndex(used, origin));
+    } else {
+      const saved = templateBySignature(aoa, templates);
+      used = saved?.template || null;
+      found = saved
+        ? findHeader(aoa, parseColumns(used), origin.c, saved.index)
+        : findHeader(aoa, {}, origin.c);
+    }
+    if (!found) {
+      report.reason = used
+        ? `no deceased-name column for template "${used.name}"`
+        : "no header row with a deceased-name column";
+      report.preview = preview(aoa, origin);
+      continue;
+    }
+
+    const header = aoa[found.index];
+    const keys = headerKeys(header);
+    const { mapping } = found;
+    Object.assign(report, {
+      headerRow: origin.r + found.index + 1,
+      columns: Object.fromEntries(
+        Object.entries(mapping).map(([field, i]) => [field, cellText(header[i]) || xlsx.utils.encode_col(origin.c + i)])
+      ),
+      template: used ? { id: used.id, name: used.name } : null,
+      signature: headerSignature(header),
+    });
+
+    for (let i = found.index + 1; i < aoa.length; i++) {
+      const row = aoa[i];
+      const sheetRow = origin.r + i + 1;
+      const reason = skipReason(row, header, mapping);
+      if (reason) {
+        skip(sheetName, sheetRow, reason);
+        if (reason !== "blank") report.skipped++;
+        continue;
+      }
+
+      const record = {};
+      keys.forEach((key, c) => {
+        record[key] = row[c];
+      });
+      const name = cellText(row[mapping.name]);
+      rows.push({
+        ...record,
+        _sheet: sheetName,
+        _row: sheetRow,
+        _name_raw: name,
+        _name_norm: normalizeNameDB(name),
+        _cause_raw: mapping.cause !== undefined ? causeText(row[mapping.cause]) : "",
+        _station_raw: mapping.station !== undefined ? cellText(row[mapping.station]) : "",
+        _filing_date: mapping.filingDate !== undefined ? toISODate(row[mapping.filingDate]) : null,
+      });
+      report.rows++;
+    }
+  }
+
+  return { rows, sheets, skipped, skippedByReason };
+}
+
+/**
+ * Read a registry file from disk (xlsx / xls / ods / csv). CSV cells are kept
+ * as text (no US-style date guessing); the delimiter is detected.
+ */
+export const readRegistryFile = (filePath, name = filePath) =>
+  xlsx.readFile(filePath, CSV_EXT_RE.test(path.extname(name)) ? { raw: true } : { cellDates: true });
+
+/**
+ * Import a registry file with the saved column-mapping templates:
+ *   options: { templateId, source, name (original file name, for the type),
+ *              workbook (already read with readRegistryFile) }
+ * templateId, or else the template saved for `source`, applies to every
+ * sheet; otherwise each sheet uses the template saved for its header
+ * layout, if any, or the detected columns. Throws 400 for an unknown
+ * templateId.
+ * Returns readRegistry()'s result.
+ */
+export async function importRegistry(filePath, { templateId, source, name, workbook } = {}) {
+  const templates = await listRegistryTemplates();
+  let template = null;
+  if (templateId !== undefined && templateId !== null && templateId !== "") {
+    template = templates.find((t) => t.id === Number(templateId));
+    if (!template) throw httpError(400, `Unknown registry template: ${templateId}`);
+  } else if (source) {
+    template = templates.find((t) => t.source === source) || null;
+  }
+
+  const result = readRegistry(workbook || readRegistryFile(filePath, name), { template, templates });
+
+  const used = [...new Set(result.sheets.map((s) => s.template?.id).filter(Boolean))];
+  if (used.length) {
+    const db = await initDB();
+    try {
+      await db.run(
+        `UPDATE registry_templates SET use_count = use_count + 1, last_used_at = datetime('now')
+         WHERE id IN (${used.map(() => "?").join(",")})`,
+        used
+      );
+      // a template picked by id / source learns the header it was used on, so
+      // the next upload with that layout gets it without asking
+      const first = result.sheets.find((s) => s.template && s.signature);
+      if (template && first && !template.header_signature) {
+        await db.run(`UPDATE registry_templates SET header_signature = ? WHERE id = ?`, [first.signature, template.id]);
+      }
+    } finally {
+      await db.close();
+    }
+  }
+  return result;
+}
+
+/**
+ * Import report without the rows, for API responses
+ */
+export const importSummary = ({ rows, sheets, skipped, skippedByReason }) => ({
+  rowCount: rows.length,
+  sheets,
+  skippedByReason,
+  skipped,
+});
+
+const hydrateTemplate = (row) => row && { ...row, columns: parseColumns(row) };
+
+/**
+ * Saved column-mapping templates, most used first
+ */
+export async function listRegistryTemplates() {
+  const db = await initDB();
+  try {
+    const rows = await db.all(`SELECT * FROM registry_templates ORDER BY use_count DESC, id ASC`);
+    return rows.map(hydrateTemplate);
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Save (or replace, by name) a column-mapping template:
+ *   { name, source, signature, headerRow, columns: { name, cause, station, filingDate } }
+ * columns values are header labels or column letters; name is required.
+ * source ties the template to a registry (?source= on import); signature
+ * (from an import report's sheets) makes it apply automatically to workbooks
+ * with that header. Throws 400 on bad input.
+ */
+export async function saveRegistryTemplate({ name, source = null, signature = null, headerRow = null, columns } = {}) {
+  if (!name || typeof name !== "string") throw httpError(400, "Template name is required");
+  if (!columns || typeof columns !== "object") throw httpError(400, "columns is required");
+  const unknown = Object.keys(columns).filter((f) => !(f in REGISTRY_FIELDS));
+  if (unknown.length) {
+    const fields = Object.keys(REGISTRY_FIELDS).join(", ");
+    throw httpError(400, `Unknown column field: ${unknown.join(", ")} (use ${fields})`);
+  }
+  if (!columns.name) throw httpError(400, "columns.name (the deceased-name column) is required");
+  const row = headerRow === null || headerRow === undefined || headerRow === "" ? null : Number(headerRow);
+  if (row !== null && !(Number.isInteger(row) && row > 0)) {
+    throw httpError(400, `Invalid headerRow: ${headerRow}`);
+  }
+
+  const db = await initDB();
+  try {
+    await db.run(
+      `INSERT INTO registry_templates (name, source, header_signature, header_row, columns)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         source = excluded.source,
+         header_signature = excluded.header_signature,
+         header_row = excluded.header_row,
+         columns = excluded.columns,
+         updated_at = datetime('now')`,
+      [name, source || null, signature || null, row, JSON.stringify(columns)]
+    );
+    return hydrateTemplate(await db.get(`SELECT * FROM registry_templates WHERE name = ?`, [name]));
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Delete a template; false when it didn't exist
+ */
+export async function deleteRegistryTemplate(id) {
+  const db = await initDB();
+  try {
+    const result = await db.run(`DELETE FROM registry_templates WHERE id = ?`, [id]);
+    return result.changes > 0;
+  } finally {
+    await db.close();
+  }
+}
@@ -0,0 +1,337 @@
+// helpers/reports.js
+import xlsx from "xlsx";
+import PDFDocument from "pdfkit";
+import { initDB, matchFilterSQL, listMatches } from "./db.js";
+
+// Filters the report can be built with (same as GET /matches)
+export const REPORT_FILTERS = [
+  "station",
+  "from",
+  "to",
+  "volume",
+  "status",
+  "matchType",
+  "minScore",
+  "duplicate",
+  "lifecycle",
+  "q",
+];
+
+const dateRange = (first, last) => (!first ? "N/A" : first === last ? first : `${first} – ${last}`);
+
+const splitList = (s) => (s ? [...new Set(s.split("\u001f").filter(Boolean))].sort() : []);
+
+/**
+ * Per-station report over gazette_matches, the review queue and the
+ * extracted notices (gazette_notices).
+ *   filters: see REPORT_FILTERS
+ * Match counts honour every filter. Pending-review and notice counts honour
+ * the ones those tables have: station, from / to and volume (plus matchType
+ * and minScore for the review queue).
+ * Returns { generatedAt, filters, totals, courts: [{ court, notices, matched,
+ *   approved, published, pendingReview, firstDate, lastDate, dateRange, volumes }] }
+ */
+export async function buildCourtReport(filters = {}) {
+  const applied = Object.fromEntries(
+    REPORT_FILTERS.filter((k) => filters[k] !== undefined && filters[k] !== "").map((k) => [k, filters[k]])
+  );
+  const { source, where, params } = matchFilterSQL(applied);
+  const { station, from, to, volume, matchType, minScore } = applied;
+
+  // review_queue / gazette_notices filters
+  const sideWhere = (withMatchFilters) => {
+    const clauses = [];
+    const values = [];
+    const add = (clause, value) => {
+      clauses.push(clause);
+      values.push(value);
+    };
+    if (station) add("court_station = ?", station);
+    if (from) add("date_published >= ?", from);
+    if (to) add("date_published <= ?", to);
+    if (volume) add("volume_no = ?", volume);
+    if (withMatchFilters && matchType) add("match_type = ?", matchType);
+    if (withMatchFilters && minScore !== undefined) add("score >= ?", Number(minScore));
+    return { clauses, values };
+  };
+
+  const db = await initDB();
+  let matched, pending, notices;
+  try {
+    const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    matched = await db.all(
+      `SELECT m.court_station AS court,
+              COUNT(*) AS matched,
+              SUM(m.status_at_gp = 'Approved') AS approved,
+              SUM(m.status_at_gp = 'Published') AS published,
+              MIN(NULLIF(m.date_published, '')) AS firstDate,
+              MAX(NULLIF(m.date_published, '')) AS lastDate,
+              GROUP_CONCAT(NULLIF(m.volume_no, ''), char(31)) AS volumes
+       FROM ${source} ${whereSQL}
+       GROUP BY m.court_station`,
+      params
+    );
+
+    const review = sideWhere(true);
+    pending = await db.all(
+      `SELECT court_station AS court, COUNT(*) AS pendingReview,
+              MIN(NULLIF(date_published, '')) AS firstDate,
+              MAX(NULLIF(date_published, '')) AS lastDate,
+              GROUP_CONCAT(NULLIF(volume_no, ''), char(31)) AS volumes
+       FROM review_queue
+       WHERE ${["status = 'pending'", ...review.clauses].join(" AND ")}
+       GROUP BY court_station`,
+      review.values
+    );
+
+    const extracted = sideWhere(false);
+    notices = await db.all(
+      `SELECT court_station AS court, COUNT(*) AS notices,
+              MIN(NULLIF(date_published, '')) AS firstDate,
+              MAX(NULLIF(date_published, '')) AS lastDate,
+              GROUP_CONCAT(NULLIF(volume_no, ''), char(31)) AS volumes
+       FROM gazette_notices ${extracted.clauses.length ? `WHERE ${extracted.clauses.join(" AND ")}` : ""}
+       GROUP BY court_station`,
+      extracted.values
+    );
+  } finally {
+    await db.close();
+  }
+
+  const courts = new Map();
+  const courtOf = (court) => {
+    if (!courts.has(court)) {
+      courts.set(court, {
+        court,
+        notices: 0,
+        matched: 0,
+        approved: 0,
+        published: 0,
+        pendingReview: 0,
+        firstDate: null,
+        lastDate: null,
+        volumes: new Set(),
+      });
+    }
+    return courts.get(court);
+  };
+  const addDates = (c, row) => {
+    if (row.firstDate && (!c.firstDate || row.firstDate < c.firstDate)) c.firstDate = row.firstDate;
+    if (row.lastDate && (!c.lastDate || row.lastDate > c.lastDate)) c.lastDate = row.lastDate;
+    splitList(row.volumes).forEach((v) => c.volumes.add(v));
+  };
+
+  for (const row of matched) {
+    const c = courtOf(row.court);
+    c.matched = row.matched;
+    c.approved = row.approved;
+    c.published = row.published;
+    addDates(c, row);
+  }
+  // stations with only review or notice counts are listed unless the report
+  // is narrowed to matches (status / duplicate / lifecycle / name search)
+  const matchesOnly = Boolean(applied.status || applied.duplicate !== undefined || applied.lifecycle || applied.q);
+  for (const row of pending) {
+    if (matchesOnly && !courts.has(row.court)) continue;
+    const c = courtOf(row.court);
+    c.pendingReview = row.pendingReview;
+    addDates(c, row);
+  }
+  for (const row of notices) {
+    if (matchesOnly && !courts.has(row.court)) continue;
+    const c = courtOf(row.court);
+    c.notices = row.notices;
+    addDates(c, row);
+  }
+
+  const rows = [...courts.values()]
+    .sort((a, b) => a.court.localeCompare(b.court))
+    .map((c) => ({ ...c, dateRange: dateRange(c.firstDate, c.lastDate), volumes: [...c.volumes].sort() }));
+
+  const totals = { courts: rows.length, notices: 0, matched: 0, approved: 0, published: 0, pendingReview: 0 };
+  for (const r of rows) for (const k of ["notices", "matched", "approved", "published", "pendingReview"]) totals[k] += r[k];
+  const firsts = rows.map((r) => r.firstDate).filter(Boolean).sort();
+  const lasts = rows.map((r) => r.lastDate).filter(Boolean).sort();
+  totals.dateRange = dateRange(firsts[0], lasts[lasts.length - 1]);
+
+  return { generatedAt: new Date().toISOString(), filters: applied, totals, courts: rows };
+}
+
+/**
+ * Every gazette_matches row passing the report filters, newest first
+ */
+export async function reportMatches(filters = {}) {
+  const rows = [];
+  let cursor = null;
+  do {
+    const page = await listMatches({ ...filters, sort: "date_published", order: "desc", limit: 1000, cursor });
+    rows.push(...page.rows);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return rows;
+}
+
+const filterText = (filters) =>
+  Object.keys(filters).length
+    ? Object.entries(filters)
+        .map(([k, v]) => `${k}=${v}`)
+        .join(", ")
+    : "none";
+
+/**
+ * Report workbook: "Summary" (per station) and "Matches" sheets
+ */
+export function reportWorkbook(report, matches = []) {
+  const summary = report.courts.map((c) => ({
+    "Court Station": c.court,
+    "Notices Extracted": c.notices,
+    Matched: c.matched,
+    Approved: c.approved,
+    Published: c.published,
+    "Pending Review": c.pendingReview,
+    "Date Range": c.dateRange,
+    Volumes: c.volumes.join(", "),
+  }));
+  summary.push({
+    "Court Station": "TOTAL",
+    "Notices Extracted": report.totals.notices,
+    Matched: report.totals.matched,
+    Approved: report.totals.approved,
+    Published: report.totals.published,
+    "Pending Review": report.totals.pendingReview,
+    "Date Range": report.totals.dateRange,
+    Volumes: "",
+  });
+
+  const summarySheet = xlsx.utils.json_to_sheet(summary);
+  xlsx.utils.sheet_add_aoa(
+    summarySheet,
+    [[], [`Generated ${report.generatedAt}`], [`Filters: ${filterText(report.filters)}`]],
+    { origin: -1 }
+  );
+  summarySheet["!cols"] = [{ wch: 42 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 14 }, { wch: 26 }, { wch: 60 }];
+
+  const matchSheet = xlsx.utils.json_to_sheet(
+    matches.map((m) => ({
+      "Court Station": m.court_station,
+      "Cause No.": m.cause_no,
+      "Name of Deceased": m.name_of_deceased,
+      "Registry Name": m.excel_name || "",
+      "Match Type": m.match_type || "",
+      Score: m.score,
+      Status: m.status_at_gp,
+      Duplicate: m.duplicate ? "Yes" : "No",
+      "Gazette Notice No.": m.gazette_notice_no || "",
+      Volume: m.volume_no || "",
+      "Date Published": m.date_published || "",
+    }))
+  );
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, summarySheet, "Summary");
+  xlsx.utils.book_append_sheet(workbook, matchSheet, "Matches");
+  return workbook;
+}
+
+// A4 landscape, summary table columns (widths add up to the printable width)
+const PAGE = { size: "A4", layout: "landscape", margins: { top: 70, bottom: 50, left: 40, right: 40 } };
+const COLUMNS = [
+  { key: "court", label: "Court Station", width: 190 },
+  { key: "notices", label: "Notices", width: 55, align: "right" },
+  { key: "matched", label: "Matched", width: 55, align: "right" },
+  { key: "approved", label: "Approved", width: 60, align: "right" },
+  { key: "published", label: "Published", width: 60, align: "right" },
+  { key: "pendingReview", label: "Pending", width: 55, align: "right" },
+  { key: "dateRange", label: "Date Range", width: 130 },
+  { key: "volumes", label: "Volumes", width: 157 },
+];
+const PAD = 4;
+
+function rowHeight(doc, cells, bold) {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+  return (
+    Math.max(...COLUMNS.map((col, i) => doc.heightOfString(String(cells[i]), { width: col.width - 2 * PAD }))) +
+    2 * PAD
+  );
+}
+
+function tableRow(doc, cells, y, { bold = false, fill = null } = {}) {
+  const height = rowHeight(doc, cells, bold);
+
+  let x = doc.page.margins.left;
+  if (fill) doc.rect(x, y, COLUMNS.reduce((w, c) => w + c.width, 0), height).fill(fill);
+  doc.fillColor("black");
+  COLUMNS.forEach((col, i) => {
+    doc.text(String(cells[i]), x + PAD, y + PAD, { width: col.width - 2 * PAD, align: col.align || "left" });
+    x += col.width;
+  });
+  doc
+    .moveTo(doc.page.margins.left, y + height)
+    .lineTo(x, y + height)
+    .lineWidth(0.5)
+    .strokeColor("#999999")
+    .stroke();
+  return height;
+}
+
+/**
+ * Render the report as a PDF into a writable stream (e.g. the response):
+ * totals, then the per-station table, with a header and a "generated … /
+ * page n of m" footer on every page
+ */
+export function writeReportPdf(report, stream) {
+  const doc = new PDFDocument({ ...PAGE, bufferPages: true });
+  doc.pipe(stream);
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  doc.font("Helvetica-Bold").fontSize(12).text("Summary");
+  doc.font("Helvetica").fontSize(9).moveDown(0.3);
+  const t = report.totals;
+  doc.text(`Filters: ${filterText(report.filters)}`);
+  doc.text(`Date range: ${t.dateRange}    Court stations: ${t.courts}`);
+  doc.text(
+    `Notices extracted: ${t.notices}    Matched: ${t.matched}    Approved: ${t.approved}    ` +
+      `Published: ${t.published}    Pending review: ${t.pendingReview}`
+  );
+  doc.moveDown();
+
+  const header = COLUMNS.map((c) => c.label);
+  let y = doc.y;
+  y += tableRow(doc, header, y, { bold: true, fill: "#dddddd" });
+
+  const body = report.courts.map((c) => COLUMNS.map((col) => (col.key === "volumes" ? c.volumes.join(", ") : c[col.key])));
+  body.push(["TOTAL", t.notices, t.matched, t.approved, t.published, t.pendingReview, t.dateRange, ""]);
+
+  body.forEach((cells, i) => {
+    const isTotal = i === body.length - 1;
+    if (y + rowHeight(doc, cells, isTotal) > bottom()) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      y += tableRow(doc, header, y, { bold: true, fill: "#dddddd" });
+    }
+    y += tableRow(doc, cells, y, { bold: isTotal, fill: isTotal ? "#eeeeee" : i % 2 ? "#f7f7f7" : null });
+  });
+  if (body.length === 1) doc.text("No matches for these filters.", doc.page.margins.left, y + 10);
+
+  // header and footer on every page, drawn inside the margins
+  const { start, count } = doc.bufferedPageRange();
+  const generated = new Date(report.generatedAt).toLocaleString("en-KE", { timeZone: "Africa/Nairobi" });
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const { left, right, bottom: marginBottom } = doc.page.margins;
+    const width = doc.page.width - left - right;
+    doc.page.margins.bottom = 0;
+
+    doc.font("Helvetica-Bold").fontSize(14).fillColor("black").text("Kenya Gazette Succession Notices — Court Report", left, 30, { width });
+    doc.moveTo(left, 52).lineTo(left + width, 52).lineWidth(1).strokeColor("black").stroke();
+
+    const footerY = doc.page.height - 35;
+    doc.font("Helvetica").fontSize(8).fillColor("#555555");
+    doc.text(`Generated ${generated} (EAT)`, left, footerY, { width, align: "left" });
+    doc.text(`Page ${i - start + 1} of ${count}`, left, footerY, { width, align: "right" });
+
+    doc.page.margins.bottom = marginBottom;
+  }
+
+  doc.end();
+}
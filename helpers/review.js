@@ -0,0 +1,314 @@
+// helpers/review.js
+import { initDB, saveMatchesToDB } from "./db.js";
+import { toMatchRow } from "./match.js";
+import { refreshDuplicateClusters } from "./duplicates.js";
+import { normalizeNameDB } from "../utils/normalize.js";
+import { parseJSON } from "../utils/common.js";
+
+export const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// Strip the bulky / derived parts of a record before storing it as JSON
+const stripRecord = (r = {}) => {
+  const { regions, ...rest } = r;
+  return rest;
+};
+
+/**
+ * Decode a review_queue row for API responses
+ */
+export function hydrateReviewItem(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    gazette_record: parseJSON(row.gazette_record),
+    registry_record: parseJSON(row.registry_record),
+    score_breakdown: parseJSON(row.score_breakdown),
+  };
+}
+
+/**
+ * Queue review candidates [{ g, ex, score, mode, breakdown }].
+ * Re-queuing the same pair keeps its decision and the best score seen.
+ * Returns the number of rows inserted or updated.
+ */
+export async function saveReviewItems(items = []) {
+  if (!Array.isArray(items) || items.length === 0) return 0;
+
+  const db = await initDB();
+  let changed = 0;
+
+  const stmt = await db.prepare(`
+    INSERT INTO review_queue
+      (court_station, cause_no, name_norm, name_of_deceased, excel_name, match_type, score,
+       volume_no, date_published, gazette_record, registry_record, score_breakdown, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(court_station, cause_no, name_norm, date_published, volume_no, excel_name)
+    DO UPDATE SET
+      score_breakdown = CASE
+        WHEN excluded.score >= review_queue.score THEN excluded.score_breakdown
+        ELSE review_queue.score_breakdown
+      END,
+      score = MAX(review_queue.score, excluded.score),
+      match_type = COALESCE(excluded.match_type, review_queue.match_type),
+      gazette_record = excluded.gazette_record,
+      registry_record = excluded.registry_record,
+      updated_at = datetime('now')
+  `);
+
+  try {
+    await db.exec("BEGIN TRANSACTION;");
+    for (const { g, ex, score, mode, breakdown } of items) {
+      if (!g || !ex) continue;
+      const result = await stmt.run(
+        g.court_station || "",
+        g.cause_no || "",
+        normalizeNameDB(g.name_of_deceased || ""),
+        g.name_of_deceased || "",
+        ex._name_raw || "",
+        mode || null,
+        Number(score ?? 0),
+        g.volume_no || "",
+        g.date_published || "",
+        JSON.stringify(stripRecord(g)),
+        JSON.stringify(ex),
+        breakdown ? JSON.stringify(breakdown) : null
+      );
+      changed += result.changes || 0;
+    }
+    await db.exec("COMMIT;");
+  } catch (err) {
+    console.error("❌ Review queue insert failed:", err);
+    await db.exec("ROLLBACK;");
+    throw err;
+  } finally {
+    await stmt.finalize();
+    await db.close();
+  }
+
+  return changed;
+}
+
+/**
+ * List queue items. filters: { status, station, minScore, limit, offset }
+ */
+export async function listReviewQueue({ status = "pending", station, minScore, limit = 100, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+
+  if (status && status !== "all") {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (station) {
+    where.push("court_station = ?");
+    params.push(station);
+  }
+  if (minScore !== undefined && minScore !== "") {
+    where.push("score >= ?");
+    params.push(Number(minScore));
+  }
+
+  const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const db = await initDB();
+  try {
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM review_queue ${whereSQL}`, params);
+    const rows = await db.all(
+      `SELECT * FROM review_queue ${whereSQL} ORDER BY score DESC, id ASC LIMIT ? OFFSET ?`,
+      [...params, Math.min(Number(limit) || 100, 1000), Number(offset) || 0]
+    );
+    return { total, rows: rows.map(hydrateReviewItem) };
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Decision history of one item, oldest first
+ */
+export async function reviewHistory(id) {
+  const db = await initDB();
+  try {
+    return await db.all(
+      `SELECT * FROM review_decisions WHERE review_id = ? ORDER BY decided_at ASC, id ASC`,
+      [id]
+    );
+  } finally {
+    await db.close();
+  }
+}
+
+// Status a match goes back to when the approval of an item queued before
+// match_id was recorded is undone (what processMatches gives review rows)
+const UNAPPROVED_STATUS = "Published";
+
+// The gazette_matches row with a toMatchRow row's unique key
+const findMatch = (db, m, columns = "id") =>
+  db.get(
+    `SELECT ${columns} FROM gazette_matches
+     WHERE court_station = ? AND cause_no = ? AND name_norm = ? AND date_published IS ? AND volume_no IS ?`,
+    [m.court_station, m.cause_no, m.name_norm, m.date_published, m.volume_no]
+  );
+
+// The gazette_matches row approving a queue item writes
+function approvedMatchRow(row) {
+  const item = hydrateReviewItem(row);
+  const g = { ...item.gazette_record, ...row };
+  return toMatchRow(g, item.registry_record || { _name_raw: row.excel_name }, {
+    mode: row.match_type,
+    score: row.score,
+    status: "Approved",
+    breakdown: item.score_breakdown,
+  });
+}
+
+// Status a match falls back to once an approval about to be saved is undone:
+// that of the approved items already resting on it, else its status now
+// (null: the approval creates it)
+async function fallbackStatus(db, m) {
+  const existing = await findMatch(db, m, "id, status_at_gp");
+  if (!existing) return null;
+  const held = await db.get(
+    `SELECT match_status_before FROM review_queue WHERE match_id = ? AND status = 'approved' LIMIT 1`,
+    [existing.id]
+  );
+  return held ? held.match_status_before : existing.status_at_gp;
+}
+
+/**
+ * Apply a decision to queue items.
+ *   decision: "approve" | "reject" | "reopen"
+ * Approving escalates the match through saveMatchesToDB (status "Approved")
+ * and remembers the match and the status it falls back to. Rejecting or
+ * re-opening an approved item undoes that in the same transaction as the
+ * decision, once no other approved item rests on the match: a match the
+ * approvals created is deleted, one that existed gets its status back.
+ * Items already in the decided status are left alone (unchanged).
+ * Returns { updated: [ids], unchanged: [ids], missing: [ids], approved: n,
+ *   reverted: [{ reviewId, matchId, action: "deleted" | "restored" | "kept", status? }] }
+ */
+export async function decideReviewItems(ids = [], decision, { reviewer, note = null } = {}) {
+  const status = { approve: "approved", reject: "rejected", reopen: "pending" }[decision];
+  if (!status) {
+    const err = new Error(`Unknown decision: ${decision}`);
+    err.status = 400;
+    throw err;
+  }
+  if (!reviewer) {
+    const err = new Error("Reviewer is required");
+    err.status = 400;
+    throw err;
+  }
+
+  const wanted = [...new Set(ids.map(Number).filter(Number.isInteger))];
+  if (wanted.length === 0) return { updated: [], unchanged: [], missing: [], approved: 0, reverted: [] };
+
+  let db = await initDB();
+  let found;
+  let rows;
+  // review id -> { match: match row to save, before: the status it falls back to }
+  const approving = new Map();
+  try {
+    found = await db.all(
+      `SELECT * FROM review_queue WHERE id IN (${wanted.map(() => "?").join(",")})`,
+      wanted
+    );
+    rows = found.filter((r) => r.status !== status);
+    if (status === "approved") {
+      for (const row of rows) {
+        const match = approvedMatchRow(row);
+        approving.set(row.id, { match, before: await fallbackStatus(db, match) });
+      }
+    }
+  } finally {
+    await db.close();
+  }
+
+  // saveMatchesToDB runs its own transactions, so approvals are written
+  // before the decision (a failure leaves the items undecided)
+  const matches = [...approving.values()].map((a) => a.match);
+  const approved = (await saveMatchesToDB(matches, { fromReview: true })).length;
+
+  const reverted = [];
+  db = await initDB();
+  try {
+    await db.exec("BEGIN TRANSACTION;");
+    try {
+      for (const row of rows) {
+        let matchId = row.match_id;
+        let before = row.match_status_before;
+
+        if (approving.has(row.id)) {
+          const { match, before: previous } = approving.get(row.id);
+          const saved = await findMatch(db, match);
+          matchId = saved ? saved.id : null;
+          before = previous;
+        } else if (row.status === "approved" && status !== "approved") {
+          const undo = await revertApproval(db, row);
+          if (undo) reverted.push({ reviewId: row.id, ...undo });
+          matchId = null;
+          before = null;
+        }
+
+        await db.run(
+          `UPDATE review_queue
+             SET status = ?, reviewer = ?, decided_at = CASE WHEN ? = 'pending' THEN NULL ELSE datetime('now') END,
+                 match_id = ?, match_status_before = ?, updated_at = datetime('now')
+           WHERE id = ?`,
+          [status, reviewer, status, matchId, before, row.id]
+        );
+        await db.run(
+          `INSERT INTO review_decisions (review_id, decision, reviewer, note) VALUES (?, ?, ?, ?)`,
+          [row.id, decision === "reopen" ? "reopened" : status, reviewer, note]
+        );
+      }
+      await db.exec("COMMIT;");
+    } catch (err) {
+      await db.exec("ROLLBACK;");
+      throw err;
+    }
+  } finally {
+    await db.close();
+  }
+
+  if (approved || reverted.length) await refreshDuplicateClusters();
+
+  const seen = new Set(found.map((r) => r.id));
+  return {
+    updated: rows.map((r) => r.id),
+    unchanged: found.filter((r) => r.status === status).map((r) => r.id),
+    missing: wanted.filter((id) => !seen.has(id)),
+    approved,
+    reverted,
+  };
+}
+
+// Undo what approving a queue item did to gazette_matches (inside the
+// caller's transaction). A match another approved item rests on is kept.
+// Items approved before match_id was recorded are found by their match key
+// and set back to UNAPPROVED_STATUS.
+async function revertApproval(db, row) {
+  let matchId = row.match_id;
+  let before = row.match_status_before;
+  if (!matchId) {
+    const legacy = await findMatch(db, approvedMatchRow(row));
+    if (!legacy) return null;
+    matchId = legacy.id;
+    before = UNAPPROVED_STATUS;
+  }
+
+  const held = await db.get(
+    `SELECT 1 FROM review_queue WHERE match_id = ? AND status = 'approved' AND id != ?`,
+    [matchId, row.id]
+  );
+  if (held) return { matchId, action: "kept" };
+
+  if (before === null) {
+    const { changes } = await db.run(`DELETE FROM gazette_matches WHERE id = ?`, [matchId]);
+    return changes ? { matchId, action: "deleted" } : null;
+  }
+  const { changes } = await db.run(
+    `UPDATE gazette_matches SET status_at_gp = ?, updated_at = datetime('now') WHERE id = ?`,
+    [before, matchId]
+  );
+  return changes ? { matchId, action: "restored", status: before } : null;
+}
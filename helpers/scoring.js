@@ -0,0 +1,126 @@
+// helpers/scoring.js
+import { distance } from "fastest-levenshtein";
+import { resolveStation, splitStation, courtTier } from "../utils/stations.js";
+
+// Relative weight of each signal; signals a pair has no data for are left
+// out and the remaining weights rescaled
+export const DEFAULT_WEIGHTS = { name: 0.6, cause: 0.25, station: 0.15 };
+
+const round4 = (n) => Number(n.toFixed(4));
+
+/**
+ * Weights from an object or a query string ("name:0.7,cause:0.2,station:0.1"),
+ * over DEFAULT_WEIGHTS. Throws a 400 error on unknown signals or bad numbers.
+ */
+export function parseWeights(input) {
+  if (input === undefined || input === null || input === "") return { ...DEFAULT_WEIGHTS };
+
+  const entries =
+    typeof input === "string"
+      ? input.split(",").map((pair) => pair.split(":").map((s) => s.trim()))
+      : Object.entries(input);
+
+  const weights = { ...DEFAULT_WEIGHTS };
+  for (const [signal, value] of entries) {
+    const n = Number(value);
+    if (!(signal in DEFAULT_WEIGHTS) || value === "" || !Number.isFinite(n) || n < 0) {
+      const err = new Error(`Invalid weight: ${signal}:${value}`);
+      err.status = 400;
+      throw err;
+    }
+    weights[signal] = n;
+  }
+  if (!weights.name && !weights.cause && !weights.station) {
+    const err = new Error("At least one weight must be positive");
+    err.status = 400;
+    throw err;
+  }
+  return weights;
+}
+
+// One parsed cause number against another (see utils/cause.js)
+function compareCause(a, b) {
+  if (a.number !== b.number) return 0;
+  if (a.type && b.type && a.type !== b.type) return 0;
+  // a missing year can't confirm or rule out the match
+  let score = a.year && b.year ? (a.year === b.year ? 1 : 0) : 0.5;
+  // "E123" and "123" are different series, but the prefix is often dropped
+  if (a.prefix !== b.prefix) score *= 0.75;
+  return score;
+}
+
+/**
+ * Cause-number agreement in [0, 1], or null when either side has none.
+ * A cause transferred from another court also agrees on its former number.
+ */
+export function causeAgreement(g, e) {
+  if (!g || !e) return null;
+  const pairs = [[g, e]];
+  if (e.formerly) pairs.push([g, e.formerly]);
+  if (g.formerly) pairs.push([g.formerly, e]);
+  return Math.max(...pairs.map(([a, b]) => compareCause(a, b)));
+}
+
+const samePlace = (a, b) => {
+  const x = a.toLowerCase().replace(/[^a-z]/g, "");
+  const y = b.toLowerCase().replace(/[^a-z]/g, "");
+  return x === y || 1 - distance(x, y) / (Math.max(x.length, y.length) || 1) >= 0.85;
+};
+
+/**
+ * Court-station agreement in [0, 1], or null when either side has none:
+ * 1 for the same station and court tier, 0.5 for the same station at another
+ * tier, 0 otherwise. Stations are compared as resolved by the gazetteer
+ * (utils/stations.js), so "Milimani H.C Family Division" agrees with
+ * "Nairobi High Court"; unresolved ones fall back to comparing place names.
+ */
+export function stationAgreement(gStation, eStation) {
+  const g = resolveStation(gStation || "");
+  const e = resolveStation(eStation || "");
+
+  let same;
+  if (g.resolved && e.resolved) same = g.station === e.station;
+  else {
+    const gPlace = splitStation(gStation || "").place;
+    const ePlace = splitStation(eStation || "").place;
+    if (!gPlace || !ePlace) return null;
+    same = samePlace(gPlace, ePlace);
+  }
+
+  if (!same) return 0;
+  return !g.level || !e.level || courtTier(g.level) === courtTier(e.level) ? 1 : 0.5;
+}
+
+/**
+ * Weighted mean of the available signals.
+ *   signals: { name: { score, ... }, cause: { score, ... }, ... } (score null = no data)
+ * Returns { score, breakdown } where breakdown repeats each signal with the
+ * weight it was given.
+ */
+export function combineScores(signals, weights = DEFAULT_WEIGHTS) {
+  const breakdown = {};
+  let total = 0;
+  let used = 0;
+
+  for (const [signal, value] of Object.entries(signals)) {
+    const weight = weights[signal] ?? 0;
+    const score = value.score === null ? null : round4(value.score);
+    breakdown[signal] = { ...value, score, weight };
+    if (score === null || !weight) continue;
+    total += weight * score;
+    used += weight;
+  }
+
+  return { score: used ? round4(total / used) : 0, breakdown };
+}
+
+/**
+ * Best combined score reachable with this name score, if cause and station
+ * both agree; lets callers skip pairs that can't reach a threshold
+ */
+export function maxCombinedScore(nameScore, weights = DEFAULT_WEIGHTS) {
+  const w = weights.name || 0;
+  const rest = (weights.cause || 0) + (weights.station || 0);
+  if (!w) return 1;
+  return Math.max(nameScore, (w * nameScore + rest) / (w + rest));
+}
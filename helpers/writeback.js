@@ -0,0 +1,214 @@
+// helpers/writeback.js
+import xlsx from "xlsx";
+
+// Output formats and their MIME types
+export const WRITEBACK_FORMATS = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ods: "application/vnd.oasis.opendocument.spreadsheet",
+  csv: "text/csv; charset=utf-8",
+};
+
+// Columns added to every sheet, in order. The "Gazette" prefix keeps them
+// apart from the registry's own columns ("Date Published", ...), so exporting
+// an exported workbook again refills them instead of adding more.
+const RESULT_COLUMNS = [
+  ["Gazette Status", (r) => STATUS_LABELS[r.status]],
+  ["Gazette Volume", (r) => r.gazettement?.volume_no || ""],
+  ["Gazette Date Published", (r) => r.gazettement?.date_published || ""],
+  ["Gazette Cause No.", (r) => r.gazettement?.cause_no || ""],
+  ["Gazette Match Score", (r) => (r.gazettement ? r.score : "")],
+  ["Gazette Match Type", (r, meta) => (r.gazettement ? meta.mode || "" : "")],
+];
+
+const STATUS_LABELS = { gazetted: "Gazetted", possible: "Needs review", not_gazetted: "Not gazetted" };
+
+// Review highlight (light amber)
+const REVIEW_FILL = "FFFFEB9C";
+
+// Added by writeResults; replaced, not matched, when an export is re-uploaded
+export const SUMMARY_SHEET = "Match Summary";
+
+/**
+ * Write archive match results (helpers/issues.js matchRegistryToArchive rows,
+ * keyed by sheet and 1-based row) into the registry workbook itself: every
+ * sheet, column and row stays where it was, result columns are appended to
+ * the right of each sheet and a summary sheet is added.
+ *   meta: { mode, acceptThreshold, minScore } for the summary sheet,
+ *         headerRows: Map(sheet -> 0-based header row) where the result
+ *         column labels go (the sheet's first row otherwise)
+ * Returns { workbook, reviewRows: Map(sheet -> Set(0-based row)) }
+ */
+export function writeResults(workbook, results = [], meta = {}) {
+  const bySheet = new Map();
+  for (const r of results) {
+    if (!bySheet.has(r.sheet)) bySheet.set(r.sheet, new Map());
+    bySheet.get(r.sheet).set(r.row - 1, r);
+  }
+
+  const reviewRows = new Map();
+  const summary = [];
+
+  for (const name of workbook.SheetNames) {
+    if (name === SUMMARY_SHEET) continue;
+    const ws = workbook.Sheets[name];
+    const rows = bySheet.get(name) || new Map();
+    const counts = { gazetted: 0, possible: 0, not_gazetted: 0 };
+    if (!ws["!ref"]) {
+      summary.push([name, 0, 0, 0, 0]);
+      continue;
+    }
+
+    const range = xlsx.utils.decode_range(ws["!ref"]);
+    const headerRow = meta.headerRows?.get(name) ?? range.s.r;
+    let next = range.e.c + 1;
+    const columns = RESULT_COLUMNS.map(([label, value]) => {
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        if (ws[xlsx.utils.encode_cell({ r: headerRow, c })]?.v === label) return { c, value };
+      }
+      ws[xlsx.utils.encode_cell({ r: headerRow, c: next })] = { t: "s", v: label };
+      return { c: next++, value };
+    });
+
+    const review = new Set();
+    for (const [r, result] of rows) {
+      counts[result.status]++;
+      if (result.status === "possible") review.add(r);
+      for (const { c, value } of columns) {
+        const v = value(result, meta);
+        ws[xlsx.utils.encode_cell({ r, c })] = typeof v === "number" ? { t: "n", v } : { t: "s", v: String(v) };
+      }
+    }
+    reviewRows.set(name, review);
+
+    range.e.c = Math.max(range.e.c, next - 1);
+    ws["!ref"] = xlsx.utils.encode_range(range);
+    if (ws["!cols"]) for (const { c } of columns) ws["!cols"][c] = ws["!cols"][c] || { wch: 18 };
+
+    summary.push([name, rows.size, counts.gazetted, counts.possible, counts.not_gazetted]);
+  }
+
+  const total = summary.reduce((t, s) => t.map((n, i) => (i ? n + s[i] : n)), ["TOTAL", 0, 0, 0, 0]);
+  const sheet = xlsx.utils.aoa_to_sheet([
+    ["Sheet", "Registry Rows", "Gazetted", "Needs Review", "Not Gazetted"],
+    ...summary,
+    total,
+    [],
+    ["Generated", new Date().toISOString()],
+    ["Match mode", meta.mode || ""],
+    ["Accept threshold", meta.acceptThreshold ?? ""],
+    ["Review threshold", meta.minScore ?? ""],
+  ]);
+  sheet["!cols"] = [{ wch: 28 }, { wch: 14 }, { wch: 12 }, { wch: 14 }, { wch: 14 }];
+
+  if (workbook.SheetNames.includes(SUMMARY_SHEET)) workbook.Sheets[SUMMARY_SHEET] = sheet;
+  else xlsx.utils.book_append_sheet(workbook, sheet, SUMMARY_SHEET);
+
+  return { workbook, reviewRows };
+}
+
+// SheetJS community builds don't write cell fills, so review rows are
+// highlighted by editing the generated package: a fill plus a filled copy of
+// every cell format (xlsx), or a filled copy of each cell style (ods)
+const zipFile = (cfb, file) => Buffer.from(xlsx.CFB.find(cfb, `/${file}`).content).toString("utf8");
+const setZipFile = (cfb, file, text) => {
+  xlsx.CFB.find(cfb, `/${file}`).content = Buffer.from(text, "utf8");
+};
+
+function highlightXlsx(buffer, sheetNames, reviewRows) {
+  const cfb = xlsx.CFB.read(buffer, { type: "buffer" });
+
+  let styles = zipFile(cfb, "xl/styles.xml");
+  const fillCount = Number(styles.match(/<fills count="(\d+)"/)[1]);
+  styles = styles
+    .replace(/<fills count="\d+">/, `<fills count="${fillCount + 1}">`)
+    .replace(
+      "</fills>",
+      `<fill><patternFill patternType="solid"><fgColor rgb="${REVIEW_FILL}"/><bgColor indexed="64"/></patternFill></fill></fills>`
+    );
+  const xfs = styles.match(/<cellXfs count="\d+">(.*?)<\/cellXfs>/)[1].match(/<xf [^>]*?\/>/g);
+  const filled = xfs.map((xf) => xf.replace(/fillId="\d+"/, `fillId="${fillCount}"`).replace("/>", ' applyFill="1"/>'));
+  styles = styles.replace(
+    /<cellXfs count="\d+">(.*?)<\/cellXfs>/,
+    `<cellXfs count="${xfs.length * 2}">${xfs.join("")}${filled.join("")}</cellXfs>`
+  );
+  setZipFile(cfb, "xl/styles.xml", styles);
+
+  // style index n -> its filled copy at xfs.length + n
+  sheetNames.forEach((name, i) => {
+    const rows = reviewRows.get(name);
+    if (!rows?.size) return;
+    const file = `xl/worksheets/sheet${i + 1}.xml`;
+    const xml = zipFile(cfb, file).replace(/<row r="(\d+)"([^>/]*)>(.*?)<\/row>/g, (row, r, attrs, cells) => {
+      if (!rows.has(Number(r) - 1)) return row;
+      const styled = cells.replace(/<c r="([A-Z]+\d+)"( s="(\d+)")?/g, (_, ref, __, s) => `<c r="${ref}" s="${xfs.length + Number(s || 0)}"`);
+      return `<row r="${r}"${attrs.replace(/ s="\d+"| customFormat="\d"/g, "")} s="${xfs.length}" customFormat="1">${styled}</row>`;
+    });
+    setZipFile(cfb, file, xml);
+  });
+
+  return Buffer.from(xlsx.CFB.write(cfb, { type: "buffer", fileType: "zip", compression: true }));
+}
+
+function highlightOds(buffer, sheetNames, reviewRows) {
+  const cfb = xlsx.CFB.read(buffer, { type: "buffer" });
+  let content = zipFile(cfb, "content.xml");
+
+  // filled copies of the cell styles SheetJS writes (none, "ce1" for dates)
+  const fill = `<style:table-cell-properties fo:background-color="#${REVIEW_FILL.slice(2).toLowerCase()}"/>`;
+  content = content.replace(
+    "</office:automatic-styles>",
+    `<style:style style:name="ceReview" style:family="table-cell" style:parent-style-name="Default">${fill}</style:style>` +
+      `<style:style style:name="ce1Review" style:family="table-cell" style:parent-style-name="Default" style:data-style-name="N37">${fill}</style:style>` +
+      "</office:automatic-styles>"
+  );
+
+  let table = -1;
+  let row = -1;
+  content = content
+    .split("\n")
+    .map((line) => {
+      if (line.includes("<table:table ")) {
+        table++;
+        row = -1;
+      } else if (line.includes("<table:table-row")) row++;
+      else if (line.includes("<table:table-cell") && reviewRows.get(sheetNames[table])?.has(row)) {
+        return line.includes('table:style-name="ce1"')
+          ? line.replace('table:style-name="ce1"', 'table:style-name="ce1Review"')
+          : line.replace("<table:table-cell", '<table:table-cell table:style-name="ceReview"');
+      }
+      return line;
+    })
+    .join("\n");
+  setZipFile(cfb, "content.xml", content);
+
+  return Buffer.from(xlsx.CFB.write(cfb, { type: "buffer", fileType: "zip", compression: true }));
+}
+
+/**
+ * Serialise the workbook: xlsx and ods highlight the review rows; csv holds
+ * one sheet (options.sheet, default the first) and marks review rows only
+ * through the "Gazette Status" column.
+ * Returns a Buffer.
+ */
+export function workbookBuffer(workbook, format = "xlsx", { reviewRows = new Map(), sheet } = {}) {
+  if (!(format in WRITEBACK_FORMATS)) {
+    const err = new Error(`Unknown format: ${format} (use ${Object.keys(WRITEBACK_FORMATS).join(", ")})`);
+    err.status = 400;
+    throw err;
+  }
+
+  if (format === "csv") {
+    const name = sheet || workbook.SheetNames[0];
+    if (!workbook.Sheets[name]) {
+      const err = new Error(`No sheet named "${name}"`);
+      err.status = 400;
+      throw err;
+    }
+    return Buffer.from(xlsx.utils.sheet_to_csv(workbook.Sheets[name]), "utf8");
+  }
+
+  const buffer = xlsx.write(workbook, { type: "buffer", bookType: format, cellDates: true });
+  return format === "xlsx"
+    ? highlightXlsx(buffer, workbook.SheetNames, reviewRows)
+    : highlightOds(buffer, workbook.SheetNames, reviewRows);
+}
@@ -4,6 +4,19 @@ import morgan from "morgan";
 import path from "path";
 import { fileURLToPath } from "url";
 import extractionRouter from "./routes/extraction.js";
+import reviewRouter from "./routes/review.js";
+import issuesRouter from "./routes/issues.js";
+import reportsRouter from "./routes/reports.js";
+import objectionsRouter from "./routes/objections.js";
+import duplicatesRouter from "./routes/duplicates.js";
+import registryRouter from "./routes/registry.js";
+import jobsRouter from "./routes/jobs.js";
+import calibrationRouter from "./routes/calibration.js";
+import noticesRouter from "./routes/notices.js";
+import authRouter from "./routes/auth.js";
+import auditRouter from "./routes/audit.js";
+import { resumeJobs } from "./helpers/jobs.js";
+import { authenticate, seedAdmin } from "./helpers/auth.js";
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -13,10 +26,26 @@ const __dirname = path.dirname(__filename);
 const app = express();
 app.use(cors({ origin: "https://kenyagazettescanner.vercel.app", credentials: true }));
 app.use(express.json({ limit: "25mb" }));
+// request lines are logged without stream tickets (or tokens a client put in the URL)
+morgan.token("url", (req) => (req.originalUrl || req.url).replace(/([?&](?:ticket|access_token)=)[^&]*/g, "$1…"));
 app.use(morgan("dev"));
 
 
+// every /api route needs a signed-in user (API key or POST /api/auth/login
+// session) except the login itself; routes check roles (helpers/auth.js ROLES)
+app.use("/api", authenticate);
+app.use("/api/auth", authRouter);
+app.use("/api/audit", auditRouter);
 app.use("/api", extractionRouter);
+app.use("/api/review", reviewRouter);
+app.use("/api/issues", issuesRouter);
+app.use("/api/reports", reportsRouter);
+app.use("/api/objections", objectionsRouter);
+app.use("/api/duplicates", duplicatesRouter);
+app.use("/api/registry", registryRouter);
+app.use("/api/jobs", jobsRouter);
+app.use("/api/calibration", calibrationRouter);
+app.use("/api/notices", noticesRouter);
 
 
 app.get("/health", (_req, res) => res.json({ ok: true }));
@@ -30,4 +59,14 @@ res.status(err.status || 500).json({ success: false, message: err.message || "In
 
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`✅ API listening on http://localhost:${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => console.log(`✅ API listening on http://localhost:${PORT}`));
+
+// with no accounts yet, ADMIN_USERNAME / ADMIN_PASSWORD become the first admin
+seedAdmin()
+  .then((user) => user && console.log(`👤 Created admin ${user.username}`))
+  .catch((err) => console.error("❌ Creating admin:", err.message || err));
+
+// uploads queued before a restart carry on (routes register the job types)
+resumeJobs()
+  .then((n) => n && console.log(`⏳ ${n} background job(s) queued`))
+  .catch((err) => console.error("❌ Resuming jobs:", err.message || err));
\ No newline at end of file
@@ -0,0 +1,30 @@
+// routes/audit.js
+import express from "express";
+import { listAudit } from "../helpers/audit.js";
+import { requireRole } from "../helpers/auth.js";
+import { ISO_DATE_RE } from "../utils/common.js";
+
+const router = express.Router();
+
+/**
+ * GET /audit — the audit log, newest first (admin)
+ * ?user= (username) &action= ("review.approve", or a prefix like "review.")
+ * &targetType= &targetId= &from= &to= (YYYY-MM-DD) &limit= &offset=
+ */
+router.get("/", requireRole("admin"), async (req, res, next) => {
+  try {
+    const { user, action, targetType, targetId, from, to, limit, offset } = req.query;
+    // a repeated parameter (?action=a&action=b) arrives as an array
+    const repeated = Object.entries(req.query).find(([, v]) => typeof v !== "string");
+    if (repeated) return res.status(400).json({ error: `${repeated[0]} must be given once` });
+    for (const d of [from, to]) {
+      if (d && !ISO_DATE_RE.test(d)) return res.status(400).json({ error: `Invalid date: ${d} (use YYYY-MM-DD)` });
+    }
+    const { total, rows } = await listAudit({ user, action, targetType, targetId, from, to, limit, offset });
+    res.json({ success: true, total, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
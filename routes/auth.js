@@ -0,0 +1,159 @@
+// routes/auth.js
+import express from "express";
+import {
+  ROLES,
+  login,
+  logout,
+  listUsers,
+  createUser,
+  updateUser,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  requireRole,
+} from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+
+const router = express.Router();
+
+/**
+ * POST /auth/login — { username, password } -> { token, expiresAt, user }
+ * Send the token as "Authorization: Bearer <token>" afterwards.
+ */
+router.post("/login", async (req, res, next) => {
+  const { username, password } = req.body || {};
+  try {
+    const session = await login(username, password);
+    req.user = session.user;
+    await recordAudit(req, "auth.login", { targetType: "user", targetId: session.user.id });
+    res.json({ success: true, ...session });
+  } catch (err) {
+    if (err.status === 401) {
+      await recordAudit(req, "auth.login_failed", { details: { username: String(username || "") } }).catch(() => {});
+    }
+    next(err);
+  }
+});
+
+/**
+ * POST /auth/logout — ends the session (or revokes the key) used for this request
+ */
+router.post("/logout", async (req, res, next) => {
+  try {
+    await logout(req.token);
+    await recordAudit(req, "auth.logout", { targetType: "user", targetId: req.user.id });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /auth/me — the signed-in user and the roles there are
+ */
+router.get("/me", (req, res) => {
+  res.json({ success: true, user: req.user, roles: ROLES });
+});
+
+/**
+ * GET /auth/users — every account (admin)
+ */
+router.get("/users", requireRole("admin"), async (_req, res, next) => {
+  try {
+    res.json({ success: true, users: await listUsers() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /auth/users — { username, password?, role?, displayName? } (admin)
+ */
+router.post("/users", requireRole("admin"), async (req, res, next) => {
+  try {
+    const { username, password, role, displayName } = req.body || {};
+    const user = await createUser({ username, password, role, displayName });
+    await recordAudit(req, "user.create", {
+      targetType: "user",
+      targetId: user.id,
+      details: { username: user.username, role: user.role },
+    });
+    res.status(201).json({ success: true, user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /auth/users/:id — { role?, password?, displayName?, active? } (admin)
+ */
+router.patch("/users/:id", requireRole("admin"), async (req, res, next) => {
+  try {
+    const { role, password, displayName, active } = req.body || {};
+    const user = await updateUser(Number(req.params.id), { role, password, displayName, active });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    await recordAudit(req, "user.update", {
+      targetType: "user",
+      targetId: user.id,
+      details: {
+        username: user.username,
+        ...(role !== undefined && { role }),
+        ...(active !== undefined && { active: Boolean(active) }),
+        ...(displayName !== undefined && { displayName }),
+        ...(password !== undefined && { password: "changed" }),
+      },
+    });
+    res.json({ success: true, user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /auth/keys — your API keys (an admin may pass ?user=<id>, or ?user=all)
+ */
+router.get("/keys", async (req, res, next) => {
+  try {
+    const { user } = req.query;
+    if (user && req.user.role !== "admin") return res.status(403).json({ error: "Only an admin can list others' keys" });
+    const userId = user === "all" ? null : user ? Number(user) : req.user.id;
+    res.json({ success: true, keys: await listApiKeys(userId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /auth/keys — { name?, userId? } -> { token, key }. The token is shown
+ * only this once. An admin may create keys for another user (userId).
+ */
+router.post("/keys", async (req, res, next) => {
+  try {
+    const { name, userId } = req.body || {};
+    const owner = userId ? Number(userId) : req.user.id;
+    if (owner !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({ error: "Only an admin can create keys for others" });
+    }
+    const { token, key } = await createApiKey(owner, { name });
+    await recordAudit(req, "key.create", { targetType: "api_key", targetId: key.id, details: { userId: owner, name } });
+    res.status(201).json({ success: true, token, key });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /auth/keys/:id — revoke one of your keys (an admin: anyone's)
+ */
+router.delete("/keys/:id", async (req, res, next) => {
+  try {
+    const key = await revokeApiKey(Number(req.params.id), req.user);
+    if (!key) return res.status(404).json({ error: "API key not found" });
+    await recordAudit(req, "key.revoke", { targetType: "api_key", targetId: key.id, details: { userId: key.user_id } });
+    res.json({ success: true, key });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
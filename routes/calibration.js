@@ -0,0 +1,116 @@
+// routes/calibration.js
+import express from "express";
+import {
+  evaluateThresholds,
+  reviewDecisionPairs,
+  listProfiles,
+  saveProfile,
+  deleteProfile,
+} from "../helpers/calibration.js";
+import { requireRole, roleAtLeast } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+
+const router = express.Router();
+
+/**
+ * POST /calibration/evaluate — precision / recall / F1 and review-queue size
+ * per match mode over a sweep of thresholds, with recommended thresholds
+ * body: {
+ *   pairs: [{ gazette, registry, match }] or GET /review items,
+ *   source: "review" (use the reviewers' decisions instead of pairs),
+ *   modes?, weights?, sweep?: { from, to, step }, reviewThreshold?,
+ *   targetPrecision?, targetRecall?,
+ *   saveAs?: profile name for the recommendation, description?
+ * }
+ * (clerk; a reviewer to saveAs)
+ */
+router.post("/evaluate", requireRole("clerk"), async (req, res, next) => {
+  try {
+    const { pairs, source, modes, saveAs, description, ...options } = req.body || {};
+    if (saveAs && !roleAtLeast(req.user.role, "reviewer")) {
+      return res.status(403).json({ error: "Saving a profile needs the reviewer role" });
+    }
+    let input = pairs;
+    if (source === "review") input = await reviewDecisionPairs();
+    else if (source) return res.status(400).json({ error: `Unknown source: ${source} (use review)` });
+    if (!Array.isArray(input) || input.length === 0) {
+      return res.status(400).json({ error: "pairs must be a non-empty array (or source: review)" });
+    }
+
+    const evaluation = evaluateThresholds(input, {
+      ...options,
+      modes: typeof modes === "string" ? modes.split(",").map((m) => m.trim()) : modes,
+    });
+
+    let profile = null;
+    if (saveAs) {
+      const { recommended, pairs: pairCount, positives, negatives } = evaluation;
+      profile = await saveProfile({
+        name: saveAs,
+        mode: recommended.mode,
+        acceptThreshold: recommended.acceptThreshold,
+        reviewThreshold: recommended.reviewThreshold,
+        weights: recommended.weights,
+        description,
+        evaluation: { ...recommended, pairs: pairCount, positives, negatives, source: source || "pairs" },
+      });
+      await recordAudit(req, "profile.save", {
+        targetType: "profile",
+        targetId: profile.name,
+        details: { mode: profile.mode, acceptThreshold: profile.accept_threshold, from: "evaluate" },
+      });
+    }
+    res.json({ success: true, ...evaluation, profile });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /calibration/profiles — saved matching profiles
+ */
+router.get("/profiles", async (_req, res, next) => {
+  try {
+    const rows = await listProfiles();
+    res.json({ success: true, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /calibration/profiles — save a matching profile (replaces one with
+ * the same name); use it with ?profile= on /match and /issues/match
+ * body: { name, mode, acceptThreshold, reviewThreshold, weights?, description? }
+ * (reviewer)
+ */
+router.post("/profiles", requireRole("reviewer"), async (req, res, next) => {
+  try {
+    // evaluation metrics are only recorded by /calibration/evaluate
+    const profile = await saveProfile({ ...req.body, evaluation: null });
+    await recordAudit(req, "profile.save", {
+      targetType: "profile",
+      targetId: profile.name,
+      details: { mode: profile.mode, acceptThreshold: profile.accept_threshold },
+    });
+    res.json({ success: true, profile });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /calibration/profiles/:name (reviewer)
+ */
+router.delete("/profiles/:name", requireRole("reviewer"), async (req, res, next) => {
+  try {
+    const deleted = await deleteProfile(req.params.name);
+    if (!deleted) return res.status(404).json({ error: "Profile not found" });
+    await recordAudit(req, "profile.delete", { targetType: "profile", targetId: req.params.name });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
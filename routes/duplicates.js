@@ -0,0 +1,97 @@
+// routes/duplicates.js
+import express from "express";
+import {
+  listDuplicateClusters,
+  getDuplicateCluster,
+  refreshDuplicateClusters,
+  resolveDuplicateCluster,
+} from "../helpers/duplicates.js";
+import { requireRole } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+
+const router = express.Router();
+
+// Clusters are resolved in the signed-in user's name
+const resolvedBy = (req) => req.user?.username || null;
+
+/**
+ * GET /duplicates — duplicate clusters with their matches, largest first
+ * ?type=registry_duplicate|republication|namesake &resolved=true|false
+ * &station= &limit= &offset=
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { type, resolved, station, limit, offset } = req.query;
+    const { total, rows } = await listDuplicateClusters({ type, resolved, station, limit, offset });
+    res.json({ success: true, total, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /duplicates/rebuild — recluster every stored match (reviewer)
+ */
+router.post("/rebuild", requireRole("reviewer"), async (req, res, next) => {
+  try {
+    const result = await refreshDuplicateClusters();
+    await recordAudit(req, "duplicates.rebuild", { targetType: "duplicate_cluster", details: result });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /duplicates/:id — one cluster, its matches and how each pair relates
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const cluster = await getDuplicateCluster(Number(req.params.id));
+    if (!cluster) return res.status(404).json({ error: "Cluster not found" });
+    res.json({ success: true, cluster });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /duplicates/:id/resolve — keep one match of the cluster (reviewer)
+ * body: { canonicalId, note? }
+ */
+router.post("/:id/resolve", requireRole("reviewer"), async (req, res, next) => {
+  try {
+    const { canonicalId, note } = req.body || {};
+    if (!Number.isInteger(Number(canonicalId)) || canonicalId === null || canonicalId === "") {
+      return res.status(400).json({ error: "canonicalId must be a match id" });
+    }
+    const cluster = await resolveDuplicateCluster(Number(req.params.id), {
+      canonicalId,
+      resolvedBy: resolvedBy(req),
+      note,
+    });
+    await recordAudit(req, "duplicates.resolve", {
+      targetType: "duplicate_cluster",
+      targetId: cluster.id,
+      details: { canonicalId: Number(canonicalId), ...(note && { note }) },
+    });
+    res.json({ success: true, cluster });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /duplicates/:id/resolve — re-open a resolved cluster (reviewer)
+ */
+router.delete("/:id/resolve", requireRole("reviewer"), async (req, res, next) => {
+  try {
+    const cluster = await resolveDuplicateCluster(Number(req.params.id), { canonicalId: null });
+    await recordAudit(req, "duplicates.reopen", { targetType: "duplicate_cluster", targetId: cluster.id });
+    res.json({ success: true, cluster });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
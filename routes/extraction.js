@@ -1,13 +1,23 @@
 import express from "express";
 import multer from "multer";
+import fs from "fs";
 import {
-  initDB,
   saveMatchesToDB,
   clearMatches,
+  listMatches,
 } from "../helpers/db.js";
+import { ingestIssue } from "../helpers/issues.js";
+import { importRegistry, importSummary } from "../helpers/registry.js";
+import { MATCH_MODES, parseThresholds, generateCandidates, toMatchRow } from "../helpers/match.js";
+import { saveReviewItems } from "../helpers/review.js";
+import { refreshDuplicateClusters } from "../helpers/duplicates.js";
+import { parseWeights } from "../helpers/scoring.js";
+import { registerJobType, enqueueJob, fileProgress } from "../helpers/jobs.js";
+import { withProfile } from "../helpers/calibration.js";
+import { requireRole } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+import { ISO_DATE_RE, httpError } from "../utils/common.js";
 // import { buildReport } from "../utils/report.js"; // optional if you have it
-// import { parseGazette } from "../helpers/parseGazette.js";
-// import { parseRegistry } from "../helpers/parseRegistry.js";
 
 const upload = multer({ dest: "uploads/" });
 const router = express.Router();
@@ -22,35 +32,36 @@ async function processMatches({
   excelRows = [],
   totalGazette = 0,
   totalExcel = 0,
-  acceptThreshold = 0.8,
-  reviewThreshold = 0.5,
+  acceptThreshold: threshold,
+  reviewThreshold: minReview,
 }) {
-  if (!mode) throw new Error("Mode is required");
-  if (!["exact", "fuzzy", "tokens"].includes(mode)) {
-    throw new Error(`Unknown mode: ${mode}`);
+  if (!mode) throw httpError(400, "Mode is required");
+  if (!MATCH_MODES.includes(mode)) {
+    throw httpError(400, `Unknown mode: ${mode}`);
   }
 
   if (!Array.isArray(candidates)) {
-    throw new Error("Candidates must be an array");
+    throw httpError(400, "Candidates must be an array");
   }
+  const { acceptThreshold, reviewThreshold } = parseThresholds(threshold, minReview);
 
   const accepted = [];
   const review = [];
+  // kept with each row, so a correction re-scoring it later holds it to them
+  const thresholds = { acceptThreshold, reviewThreshold };
 
-  for (const { g, ex, score } of candidates) {
+  for (const { g, ex, score, breakdown: signals = null } of candidates) {
     if (!g || !ex) continue;
+    const breakdown = { ...signals, thresholds };
 
-    const publicRow = {
-      court_station: g.court_station,
-      cause_no: g.cause_no,
-      name_of_deceased: g.name_of_deceased,
-      status_at_gp: score >= acceptThreshold ? "Approved" : "Published",
-      volume_no: g.volume_no || "",
-      date_published: g.date_published || "",
-      excel_name: ex._name_raw,
-    };
+    const publicRow = toMatchRow(g, ex, {
+      mode,
+      score,
+      status: score >= acceptThreshold ? "Approved" : "Published",
+      breakdown,
+    });
 
-    const enriched = { public: publicRow, _score: score, _g: g, _e: ex };
+    const enriched = { public: publicRow, _score: score, _g: g, _e: ex, _breakdown: breakdown };
 
     if (score >= acceptThreshold) {
       accepted.push(enriched);
@@ -59,9 +70,14 @@ async function processMatches({
     }
   }
 
-  // Save only accepted matches
+  // Accepted matches go straight to gazette_matches; review candidates are
+  // queued for a reviewer (see routes/review.js)
   const rowsToSave = accepted.map((m) => m.public);
   const inserted = await saveMatchesToDB(rowsToSave);
+  const queued = await saveReviewItems(
+    review.map((m) => ({ g: m._g, ex: m._e, score: m._score, mode, breakdown: m._breakdown }))
+  );
+  const duplicates = await refreshDuplicateClusters();
 
   // Optional report builder
   let report = null;
@@ -78,6 +94,8 @@ async function processMatches({
     totalExcel,
     matchedCount: accepted.length + review.length,
     insertedCount: inserted.length,
+    queuedCount: queued,
+    duplicates,
     accepted,
     review,
     report,
@@ -85,11 +103,21 @@ async function processMatches({
 }
 
 /**
- * POST /process — process structured candidates
+ * POST /process — process structured candidates (reviewer: candidates
+ * scoring at the threshold are saved as Approved)
  */
-router.post("/process", async (req, res, next) => {
+router.post("/process", requireRole("reviewer"), async (req, res, next) => {
   try {
     const result = await processMatches(req.body);
+    await recordAudit(req, "matches.process", {
+      targetType: "match",
+      details: {
+        mode: result.mode,
+        acceptThreshold: result.acceptThreshold,
+        inserted: result.insertedCount,
+        queued: result.queuedCount,
+      },
+    });
     res.json(result);
   } catch (err) {
     next(err);
@@ -97,73 +125,195 @@ router.post("/process", async (req, res, next) => {
 });
 
 /**
- * POST /clear-records — wipe DB
+ * POST /clear-records — wipe DB (admin); approved review items are re-opened
  */
-router.post("/clear-records", async (_req, res, next) => {
+router.post("/clear-records", requireRole("admin"), async (req, res, next) => {
   try {
-    const n = await clearMatches();
-    res.json({ success: true, deleted: n });
+    const { deleted, reopened } = await clearMatches();
+    await recordAudit(req, "matches.clear", { targetType: "match", details: { deleted, reopened } });
+    res.json({ success: true, deleted, reopened });
   } catch (err) {
     next(err);
   }
 });
 
 /**
- * GET /matches — fetch saved matches
+ * GET /matches — fetch saved matches, a page at a time
+ * ?station= &from= &to= &volume= &status= &matchType= &minScore= &duplicate=
+ * &lifecycle= (utils/lifecycle.js LIFECYCLE_STATES) &q= (name search)
+ * &sort=date_published|score|name|court_station|created_at|objection_deadline|relevance
+ * &order=asc|desc &limit= &cursor= (nextCursor of the previous page)
  */
-router.get("/matches", async (_req, res, next) => {
-  let db;
+router.get("/matches", async (req, res, next) => {
   try {
-    db = await initDB();
-    const rows = await db.all(
-      `SELECT * FROM gazette_matches ORDER BY date_published DESC, id DESC`
-    );
-    res.json({ success: true, count: rows.length, rows });
+    const { total, rows, nextCursor } = await listMatches(req.query);
+    res.json({ success: true, total, count: rows.length, nextCursor, rows });
   } catch (err) {
     next(err);
-  } finally {
-    if (db) await db.close();
   }
 });
 
+/**
+ * Match a gazette PDF against a registry workbook (the work behind POST
+ * /match, run in the request or as a "match" job)
+ *   pdf / excel: uploaded files ({ path, originalname })
+ *   query: /match query options; body: { volumeNo, datePublished }
+ *   progress / signal: see helpers/jobs.js
+ */
+async function runMatch({ pdf, excel, query = {}, body = {} }, { progress = () => {}, signal } = {}) {
+  const {
+    mode = "tokens",
+    threshold,
+    reviewThreshold,
+    ocr = "true",
+    topK = 1,
+    blocking = "true",
+    weights,
+    reextract,
+    source,
+    template,
+  } = query;
+
+  const { acceptThreshold, reviewThreshold: minScore } = parseThresholds(threshold, reviewThreshold);
+  // ?weights=name:0.6,cause:0.25,station:0.15 sets the signal weights
+  const signalWeights = parseWeights(weights);
+
+  // ?ocr=false skips OCR of image-only pages; volumeNo / datePublished
+  // form fields override what the masthead says. An issue uploaded before
+  // is taken from the archive; ?reextract=true parses it again.
+  const files = fileProgress(progress, [pdf.originalname]);
+  files.start(0);
+  const { issue, reused, masthead, records, unresolvedStations, amendments } = await ingestIssue(pdf.path, {
+    sourceFile: pdf.originalname,
+    ocr: ocr !== "false",
+    volumeNo: body.volumeNo,
+    datePublished: body.datePublished,
+    force: reextract === "true",
+    thresholds: { acceptThreshold, reviewThreshold: minScore },
+    onProgress: files.onProgress,
+    signal,
+  });
+  files.done(0, reused ? "reused" : "done");
+
+  // entries a later notice revoked or re-published are not matched
+  const gazetteRecords = records.filter((r) => !r.revoked);
+  // ?source= / ?template= pick a saved column mapping for the registry
+  progress({ stage: "registry" });
+  const registry = await importRegistry(excel.path, {
+    source,
+    templateId: template,
+    name: excel.originalname,
+  });
+  const excelRows = registry.rows;
+  signal?.throwIfAborted();
+
+  // ?topK= keeps several registry rows per notice; ?blocking=false scores all pairs
+  progress({ stage: "matching" });
+  const { candidates, stats } = generateCandidates(gazetteRecords, excelRows, mode, minScore, {
+    topK: Number(topK) || 1,
+    blocking: blocking !== "false",
+    weights: signalWeights,
+  });
+  signal?.throwIfAborted();
+
+  progress({ stage: "saving" });
+  const result = await processMatches({
+    mode,
+    candidates,
+    gazetteRecords,
+    excelRows,
+    totalGazette: gazetteRecords.length,
+    totalExcel: excelRows.length,
+    acceptThreshold,
+    reviewThreshold: minScore,
+  });
+
+  return {
+    ...result,
+    issue: { id: issue.id, reused, amendments },
+    masthead,
+    unresolvedStations,
+    registry: importSummary(registry),
+    candidateStats: stats,
+  };
+}
+
+registerJobType("match", ({ params, files }, options) =>
+  runMatch(
+    {
+      pdf: files.find((f) => f.field === "pdfFile"),
+      excel: files.find((f) => f.field === "excelFile"),
+      query: params.query,
+      body: params.body,
+    },
+    options
+  )
+);
+
 /**
  * POST /match — upload PDF + Excel, parse, then process
+ * ?profile= applies a saved matching profile (routes/calibration.js); mode,
+ * threshold, reviewThreshold and weights given as well override it
+ * body: { volumeNo, datePublished (YYYY-MM-DD) } override the masthead
+ * ?async=true queues it as a job instead: 202 with the job (follow it at
+ * /jobs/:id or /jobs/:id/events; the response body is the job's result)
  */
 router.post(
   "/match",
+  requireRole("clerk"),
   upload.fields([{ name: "pdfFile" }, { name: "excelFile" }]),
   async (req, res, next) => {
-    try {
-      const { mode = "tokens", threshold = 0.8 } = req.query;
-      const pdfFile = req.files.pdfFile?.[0];
-      const excelFile = req.files.excelFile?.[0];
+    const pdfFile = req.files?.pdfFile?.[0];
+    const excelFile = req.files?.excelFile?.[0];
+    let queued = false;
 
+    try {
       if (!pdfFile || !excelFile) {
         return res.status(400).json({ error: "Missing files" });
       }
 
-      // TODO: implement these
-      // const gazetteRecords = await parseGazette(pdfFile.path);
-      // const excelRows = await parseRegistry(excelFile.path);
-      // const candidates = buildCandidates(gazetteRecords, excelRows, mode, threshold);
-
-      const gazetteRecords = [];
-      const excelRows = [];
-      const candidates = [];
-
-      const result = await processMatches({
-        mode,
-        candidates,
-        gazetteRecords,
-        excelRows,
-        totalGazette: gazetteRecords.length,
-        totalExcel: excelRows.length,
-        acceptThreshold: Number(threshold) || 0.8,
-      });
+      const { async: runAsync, ...options } = req.query;
+      const query = await withProfile(options);
+      // bad options are a 400 now rather than a failed job later
+      if (!MATCH_MODES.includes(query.mode ?? "tokens")) throw httpError(400, `Unknown mode: ${query.mode}`);
+      parseThresholds(query.threshold, query.reviewThreshold);
+      parseWeights(query.weights);
+      const body = { volumeNo: req.body?.volumeNo, datePublished: req.body?.datePublished };
+      if (body.datePublished && !ISO_DATE_RE.test(body.datePublished)) {
+        throw httpError(400, `Invalid datePublished: ${body.datePublished} (use YYYY-MM-DD)`);
+      }
+      if (runAsync === "true") {
+        const job = await enqueueJob("match", { params: { query, body }, files: [pdfFile, excelFile] });
+        queued = true;
+        await recordAudit(req, "match.upload", {
+          targetType: "job",
+          targetId: job.id,
+          details: { pdfFile: pdfFile.originalname, excelFile: excelFile.originalname, query },
+        });
+        return res.status(202).location(`/api/jobs/${job.id}`).json({ success: true, jobId: job.id, job });
+      }
 
+      const result = await runMatch({ pdf: pdfFile, excel: excelFile, query, body });
+      await recordAudit(req, "match.upload", {
+        targetType: "issue",
+        targetId: result.issue.id,
+        details: {
+          pdfFile: pdfFile.originalname,
+          excelFile: excelFile.originalname,
+          query,
+          inserted: result.insertedCount,
+          queued: result.queuedCount,
+        },
+      });
       res.json(result);
     } catch (err) {
       next(err);
+    } finally {
+      // uploads are only needed for the duration of the request (a job
+      // removes its own when it finishes)
+      for (const f of queued ? [] : [pdfFile, excelFile]) {
+        if (f) fs.promises.unlink(f.path).catch(() => {});
+      }
     }
   }
 );
@@ -0,0 +1,332 @@
+// routes/issues.js
+import express from "express";
+import multer from "multer";
+import fs from "fs";
+import path from "path";
+import {
+  listIssues,
+  getIssue,
+  listIssueNotices,
+  reextractIssue,
+  traceIssue,
+  matchRegistryToArchive,
+} from "../helpers/issues.js";
+import { traceGazetteIssue, TRACE_RULES } from "../helpers/parse.js";
+import { listAmendments, noticeHistory } from "../helpers/amendments.js";
+import { annotateIssue, ANNOTATION_STYLES } from "../helpers/annotate.js";
+import { importRegistry, importSummary, readRegistryFile } from "../helpers/registry.js";
+import { WRITEBACK_FORMATS, SUMMARY_SHEET, writeResults, workbookBuffer } from "../helpers/writeback.js";
+import { MATCH_MODES, parseThresholds } from "../helpers/match.js";
+import { parseWeights } from "../helpers/scoring.js";
+import { withProfile } from "../helpers/calibration.js";
+import { requireRole } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+import { ISO_DATE_RE, httpError } from "../utils/common.js";
+
+const upload = multer({ dest: "uploads/" });
+const router = express.Router();
+
+/**
+ * GET /issues — archived gazette issues, newest first
+ * ?limit= &offset=
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { limit, offset } = req.query;
+    const { total, rows } = await listIssues({ limit, offset });
+    res.json({ success: true, total, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /issues/:id — one issue with its masthead and overrides
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const issue = await getIssue(Number(req.params.id));
+    if (!issue) return res.status(404).json({ error: "Issue not found" });
+    res.json({ success: true, issue });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /issues/:id/notices — what was extracted from an issue
+ * ?station= &limit= &offset=
+ */
+router.get("/:id/notices", async (req, res, next) => {
+  try {
+    const { station, limit, offset } = req.query;
+    const result = await listIssueNotices(Number(req.params.id), { station, limit, offset });
+    if (!result) return res.status(404).json({ error: "Issue not found" });
+    res.json({ success: true, total: result.total, count: result.rows.length, rows: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /issues/:id/notices/:noticeId/history — corrections and revocations
+ * applied to a notice, with the earlier values
+ */
+router.get("/:id/notices/:noticeId/history", async (req, res, next) => {
+  try {
+    const rows = await noticeHistory(Number(req.params.id), Number(req.params.noticeId));
+    if (!rows) return res.status(404).json({ error: "Notice not found" });
+    res.json({ success: true, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /issues/:id/amendments — corrigenda / revocations the issue printed
+ * (linked to the notices they amend once those are archived) and the ones
+ * later issues made to its notices
+ */
+router.get("/:id/amendments", async (req, res, next) => {
+  try {
+    const result = await listAmendments(Number(req.params.id));
+    if (!result) return res.status(404).json({ error: "Issue not found" });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /issues/:id/annotated — the gazette PDF with each extracted notice
+ * highlighted by status (accepted / review / unmatched) and a note carrying
+ * the registry name, score and cause number
+ * ?status=review,unmatched limits which notices are highlighted
+ */
+router.get("/:id/annotated", async (req, res, next) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(",").map((s) => s.trim()) : undefined;
+    const unknown = (statuses || []).filter((s) => !(s in ANNOTATION_STYLES));
+    if (unknown.length) return res.status(400).json({ error: `Unknown status: ${unknown.join(", ")}` });
+
+    const id = Number(req.params.id);
+    const { bytes, counts } = await annotateIssue(id, { statuses });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename=gazette-issue-${id}-annotated.pdf`);
+    res.setHeader("X-Annotation-Counts", JSON.stringify(counts));
+    res.send(Buffer.from(bytes));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /issues/:id/reextract — re-run extraction on the stored PDF
+ * ?ocr=false skips OCR of image-only pages (clerk)
+ */
+router.post("/:id/reextract", requireRole("clerk"), async (req, res, next) => {
+  try {
+    const { issue, previousCount, records, unresolvedStations, amendments } = await reextractIssue(
+      Number(req.params.id),
+      { ocr: req.query.ocr !== "false" }
+    );
+    await recordAudit(req, "issue.reextract", {
+      targetType: "issue",
+      targetId: issue.id,
+      details: { previousCount, noticeCount: records.length },
+    });
+    res.json({
+      success: true,
+      issue,
+      previousCount,
+      noticeCount: records.length,
+      unresolvedStations,
+      amendments,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Trace filter for /issues/dry-run and /issues/:id/trace:
+// ?rule=extracted|rejected|no_estate_of|empty_name|amendment &page=
+function traceFilter({ rule, page }) {
+  if (rule && rule !== "rejected" && !TRACE_RULES.includes(rule)) {
+    throw httpError(400, `Unknown rule: ${rule} (use rejected, ${TRACE_RULES.join(", ")})`);
+  }
+  if (page !== undefined && !(Number(page) > 0)) throw httpError(400, `Invalid page: ${page}`);
+
+  return (t) =>
+    (!rule || (rule === "rejected" ? t.rule !== "extracted" : t.rule === rule)) &&
+    (page === undefined || t.page === Number(page));
+}
+
+// Counts always cover the whole issue; ?records=true adds the extracted records
+function traceResponse({ records, traces, ...rest }, filter, query) {
+  const shown = traces.filter(filter);
+  return {
+    success: true,
+    ...rest,
+    noticeCount: records.length,
+    count: shown.length,
+    traces: shown,
+    ...(query.records === "true" && { records }),
+  };
+}
+
+/**
+ * POST /issues/dry-run — run the extraction on a gazette PDF (pdfFile) and
+ * explain every CAUSE NO found: the lines it was judged on, the rule that
+ * accepted or rejected it, the name after each cleanup step and the court
+ * station in effect, with detected / extracted counts per page.
+ * Nothing is archived.
+ * ?ocr=false &rule= &page= &records=true (clerk)
+ */
+router.post("/dry-run", requireRole("clerk"), upload.single("pdfFile"), async (req, res, next) => {
+  const pdfFile = req.file;
+  try {
+    if (!pdfFile) return res.status(400).json({ error: "Upload a gazette PDF as pdfFile" });
+    const filter = traceFilter(req.query);
+    const trace = await traceGazetteIssue(pdfFile.path, { ocr: req.query.ocr !== "false" });
+    await recordAudit(req, "issue.dry_run", { targetType: "file", targetId: pdfFile.originalname });
+    res.json(traceResponse(trace, filter, req.query));
+  } catch (err) {
+    next(err);
+  } finally {
+    if (pdfFile) fs.promises.unlink(pdfFile.path).catch(() => {});
+  }
+});
+
+/**
+ * GET /issues/:id/trace — POST /issues/dry-run over the stored PDF of an
+ * archived issue; storedCount is its archived notice count, to compare
+ * with after a parser change
+ * ?ocr=false &rule= &page= &records=true
+ */
+router.get("/:id/trace", async (req, res, next) => {
+  try {
+    const filter = traceFilter(req.query);
+    const { issue, storedCount, ...trace } = await traceIssue(Number(req.params.id), {
+      ocr: req.query.ocr !== "false",
+    });
+    res.json({ ...traceResponse(trace, filter, req.query), issue, storedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Matching options shared by /issues/match and /issues/match/export
+function archiveMatchOptions(query) {
+  const { mode = "tokens", threshold, reviewThreshold, blocking = "true", weights, from, to } = query;
+
+  if (!MATCH_MODES.includes(mode)) throw httpError(400, `Unknown mode: ${mode}`);
+  for (const d of [from, to]) {
+    if (d && !ISO_DATE_RE.test(d)) throw httpError(400, `Invalid date: ${d} (use YYYY-MM-DD)`);
+  }
+  const thresholds = parseThresholds(threshold, reviewThreshold);
+  return {
+    mode,
+    minScore: thresholds.reviewThreshold,
+    acceptThreshold: thresholds.acceptThreshold,
+    weights: parseWeights(weights),
+    blocking: blocking !== "false",
+    from,
+    to,
+  };
+}
+
+// Registry column mapping for an upload: ?source= &template=
+const registryOptions = (query, file) => ({
+  source: query.source,
+  templateId: query.template,
+  name: file.originalname,
+});
+
+// Content-Disposition for a download named after an upload: an ASCII
+// filename for old clients, the real name (RFC 5987) for the rest
+const attachment = (filename) => {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16)}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * POST /issues/match — match a registry workbook (excelFile) against every
+ * archived notice; one result per registry row, never-gazetted rows flagged
+ * ?mode= &threshold= &reviewThreshold= &weights= &blocking= &from= &to=
+ * &profile= (saved matching profile, see routes/calibration.js)
+ * &source= &template= (registry column mapping, see routes/registry.js)
+ * (clerk)
+ */
+router.post("/match", requireRole("clerk"), upload.single("excelFile"), async (req, res, next) => {
+  const excelFile = req.file;
+  try {
+    if (!excelFile) return res.status(400).json({ error: "Missing excelFile" });
+    const options = archiveMatchOptions(await withProfile(req.query));
+
+    const registry = await importRegistry(excelFile.path, registryOptions(req.query, excelFile));
+    const { rows, summary, stats } = await matchRegistryToArchive(registry.rows, options);
+    await recordAudit(req, "registry.match", {
+      targetType: "file",
+      targetId: excelFile.originalname,
+      details: { mode: options.mode, rows: rows.length },
+    });
+    res.json({
+      success: true,
+      mode: options.mode,
+      summary,
+      registry: importSummary(registry),
+      candidateStats: stats,
+      rows,
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    next(err);
+  } finally {
+    if (excelFile) fs.promises.unlink(excelFile.path).catch(() => {});
+  }
+});
+
+/**
+ * POST /issues/match/export — the uploaded registry workbook (excelFile)
+ * returned with gazettement columns added to every sheet, review rows
+ * highlighted and a summary sheet
+ * Same options as /issues/match, plus ?format=xlsx|ods|csv (&sheet= for csv)
+ * (clerk)
+ */
+router.post("/match/export", requireRole("clerk"), upload.single("excelFile"), async (req, res, next) => {
+  const excelFile = req.file;
+  try {
+    if (!excelFile) return res.status(400).json({ error: "Missing excelFile" });
+    const format = String(req.query.format || "xlsx").toLowerCase();
+    if (!(format in WRITEBACK_FORMATS)) return res.status(400).json({ error: `Unknown format: ${format}` });
+    const options = archiveMatchOptions(await withProfile(req.query));
+
+    // read once: the rows are matched and the results written into the same workbook
+    const workbook = readRegistryFile(excelFile.path, excelFile.originalname);
+    const registry = await importRegistry(excelFile.path, { ...registryOptions(req.query, excelFile), workbook });
+    const excelRows = registry.rows.filter((r) => r._sheet !== SUMMARY_SHEET);
+    const { rows } = await matchRegistryToArchive(excelRows, options);
+    // result columns go on each sheet's detected header row
+    const headerRows = new Map(registry.sheets.filter((s) => s.headerRow).map((s) => [s.sheet, s.headerRow - 1]));
+    const { reviewRows } = writeResults(workbook, rows, { ...options, headerRows });
+    const buffer = workbookBuffer(workbook, format, { reviewRows, sheet: req.query.sheet });
+    await recordAudit(req, "registry.export", {
+      targetType: "file",
+      targetId: excelFile.originalname,
+      details: { mode: options.mode, format, rows: rows.length },
+    });
+
+    const base = path.parse(excelFile.originalname || "registry").name;
+    res.setHeader("Content-Type", WRITEBACK_FORMATS[format]);
+    res.setHeader("Content-Disposition", attachment(`${base}-gazetted.${format}`));
+    res.send(buffer);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    next(err);
+  } finally {
+    if (excelFile) fs.promises.unlink(excelFile.path).catch(() => {});
+  }
+});
+
+export default router;
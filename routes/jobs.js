@@ -0,0 +1,118 @@
+// routes/jobs.js
+import express from "express";
+import { listJobs, getJob, cancelJob, subscribeJob, FINISHED_STATUSES } from "../helpers/jobs.js";
+import { requireRole, issueStreamTicket } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+
+const router = express.Router();
+
+// Keeps idle event streams open through proxies
+const HEARTBEAT_MS = 15000;
+
+/**
+ * GET /jobs — background jobs, newest first (without results)
+ * ?status=queued|running|completed|failed|cancelled &type= &limit= &offset=
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { status, type, limit, offset } = req.query;
+    const { total, rows } = await listJobs({ status, type, limit, offset });
+    res.json({ success: true, total, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /jobs/:id — a job's status and progress, and its result once completed
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const job = await getJob(Number(req.params.id), { result: true });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json({ success: true, job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /jobs/:id/events — Server-Sent Events: "status" when the job is
+ * queued / starts / finishes, "progress" as it works through files, pages
+ * and stages. An EventSource can't send headers: get a ticket from
+ * POST /jobs/:id/events/ticket and pass it as ?ticket=.
+ * The stream ends when the job does; fetch GET /jobs/:id for the result.
+ */
+router.get("/:id/events", async (req, res, next) => {
+  const id = Number(req.params.id);
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let heartbeat = null;
+  let unsubscribe = () => {};
+  const stop = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  try {
+    // listen before reading the job, so a change in between isn't missed
+    const pending = [];
+    unsubscribe = subscribeJob(id, (e) => pending.push(e));
+    const job = await getJob(id);
+    if (!job) {
+      stop();
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    send("status", job);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      stop();
+      return res.end();
+    }
+
+    const forward = ({ event, job: update }) => {
+      send(event, update);
+      if (event === "status" && FINISHED_STATUSES.includes(update.status)) {
+        stop();
+        res.end();
+      }
+    };
+    unsubscribe();
+    unsubscribe = subscribeJob(id, forward);
+    pending.forEach(forward);
+    heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", stop);
+  } catch (err) {
+    stop();
+    next(err);
+  }
+});
+
+/**
+ * POST /jobs/:id/events/ticket — a single-use ticket, valid for a minute,
+ * for GET /jobs/:id/events?ticket=
+ */
+router.post("/:id/events/ticket", (req, res) => {
+  res.json({ success: true, ...issueStreamTicket(req.user, `/jobs/${req.params.id}/events`) });
+});
+
+/**
+ * POST /jobs/:id/cancel — cancel a queued or running job (clerk)
+ */
+router.post("/:id/cancel", requireRole("clerk"), async (req, res, next) => {
+  try {
+    const job = await cancelJob(Number(req.params.id));
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    await recordAudit(req, "job.cancel", { targetType: "job", targetId: job.id, details: { type: job.type } });
+    res.json({ success: true, job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
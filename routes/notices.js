@@ -0,0 +1,42 @@
+// routes/notices.js
+import express from "express";
+import { NOTICE_EXTRACTORS, NOTICE_FIELDS } from "../helpers/notices/index.js";
+import { listTypedNotices } from "../helpers/issues.js";
+import { ISO_DATE_RE } from "../utils/common.js";
+
+const router = express.Router();
+
+/**
+ * GET /notices/types — the notice types extracted from every issue: their
+ * trigger patterns, storage table and fields
+ */
+router.get("/types", (_req, res) => {
+  const types = NOTICE_EXTRACTORS.map(({ type, label, triggers, table, columns, storedSeparately, search }) => ({
+    type,
+    label,
+    triggers: triggers.map((re) => re.source),
+    table,
+    fields: storedSeparately ? columns : { ...NOTICE_FIELDS, ...columns },
+    search,
+  }));
+  res.json({ success: true, types });
+});
+
+/**
+ * GET /notices/:type — archived notices of one type, newest issue first
+ * ?issue= &q= (searches the type's search fields) &from= &to= &limit= &offset=
+ */
+router.get("/:type", async (req, res, next) => {
+  try {
+    const { issue, q, from, to, limit, offset } = req.query;
+    for (const d of [from, to]) {
+      if (d && !ISO_DATE_RE.test(d)) return res.status(400).json({ error: `Invalid date: ${d} (use YYYY-MM-DD)` });
+    }
+    const { total, rows } = await listTypedNotices(req.params.type, { issue, q, from, to, limit, offset });
+    res.json({ success: true, total, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+// routes/objections.js
+import express from "express";
+import { closingWindows, lodgeObjection, withdrawObjection } from "../helpers/objections.js";
+import { requireRole } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+
+const router = express.Router();
+
+// Objections are recorded in the signed-in user's name
+const recordedBy = (req) => req.user?.username || null;
+
+/**
+ * GET /objections/closing — estates whose objection period closes within
+ * ?days= (default 14), grouped by station; &station= narrows to one
+ */
+router.get("/closing", async (req, res, next) => {
+  try {
+    const { days = 14, station } = req.query;
+    const result = await closingWindows({ days, station });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /objections/:id — lodge an objection against match :id (clerk)
+ * body: { lodgedAt?: "YYYY-MM-DD", note? }
+ */
+router.post("/:id", requireRole("clerk"), async (req, res, next) => {
+  try {
+    const { lodgedAt, note } = req.body || {};
+    const match = await lodgeObjection(Number(req.params.id), { lodgedAt, lodgedBy: recordedBy(req), note });
+    await recordAudit(req, "objection.lodge", {
+      targetType: "match",
+      targetId: Number(req.params.id),
+      details: { lodgedAt: lodgedAt || null, ...(note && { note }) },
+    });
+    res.json({ success: true, match });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /objections/:id — withdraw the objection on match :id (clerk)
+ */
+router.delete("/:id", requireRole("clerk"), async (req, res, next) => {
+  try {
+    const match = await withdrawObjection(Number(req.params.id));
+    await recordAudit(req, "objection.withdraw", { targetType: "match", targetId: Number(req.params.id) });
+    res.json({ success: true, match });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
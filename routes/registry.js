@@ -0,0 +1,95 @@
+// routes/registry.js
+import express from "express";
+import multer from "multer";
+import fs from "fs";
+import {
+  importRegistry,
+  importSummary,
+  listRegistryTemplates,
+  saveRegistryTemplate,
+  deleteRegistryTemplate,
+} from "../helpers/registry.js";
+import { requireRole } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+
+const upload = multer({ dest: "uploads/" });
+const router = express.Router();
+
+// Registry rows returned by /import as a preview
+const SAMPLE_ROWS = 20;
+
+/**
+ * POST /registry/import — dry run of a registry upload (excelFile): the
+ * header row and columns found on each sheet, the template used, and the
+ * rows that would be skipped and why
+ * ?source= (use that registry's template) &template= (template id)
+ * (clerk)
+ */
+router.post("/import", requireRole("clerk"), upload.single("excelFile"), async (req, res, next) => {
+  const excelFile = req.file;
+  try {
+    if (!excelFile) return res.status(400).json({ error: "Missing excelFile" });
+    const result = await importRegistry(excelFile.path, {
+      source: req.query.source,
+      templateId: req.query.template,
+      name: excelFile.originalname,
+    });
+    await recordAudit(req, "registry.import", {
+      targetType: "file",
+      targetId: excelFile.originalname,
+      details: { source: req.query.source || null, template: req.query.template || null, rows: result.rows.length },
+    });
+    res.json({ success: true, ...importSummary(result), sample: result.rows.slice(0, SAMPLE_ROWS) });
+  } catch (err) {
+    next(err);
+  } finally {
+    if (excelFile) fs.promises.unlink(excelFile.path).catch(() => {});
+  }
+});
+
+/**
+ * GET /registry/templates — saved column-mapping templates
+ */
+router.get("/templates", async (_req, res, next) => {
+  try {
+    const rows = await listRegistryTemplates();
+    res.json({ success: true, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /registry/templates — save a column-mapping template (replaces one
+ * with the same name) (clerk)
+ * body: { name, source?, signature?, headerRow?, columns: { name, cause?, station?, filingDate? } }
+ */
+router.post("/templates", requireRole("clerk"), async (req, res, next) => {
+  try {
+    const template = await saveRegistryTemplate(req.body || {});
+    await recordAudit(req, "registry_template.save", {
+      targetType: "registry_template",
+      targetId: template.id,
+      details: { name: template.name },
+    });
+    res.json({ success: true, template });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /registry/templates/:id (clerk)
+ */
+router.delete("/templates/:id", requireRole("clerk"), async (req, res, next) => {
+  try {
+    const deleted = await deleteRegistryTemplate(Number(req.params.id));
+    if (!deleted) return res.status(404).json({ error: "Template not found" });
+    await recordAudit(req, "registry_template.delete", { targetType: "registry_template", targetId: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -5,9 +5,12 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import xlsx from "xlsx";
-import PDFDocument from "pdfkit";
-import pdfParse from "pdf-parse"; // ✅ direct import
-import { extractGazetteRecords } from "../helpers.js";
+import { unresolvedStations } from "../helpers/parse.js";
+import { ingestIssue } from "../helpers/issues.js";
+import { registerJobType, enqueueJob, fileProgress } from "../helpers/jobs.js";
+import { buildCourtReport, reportMatches, reportWorkbook, writeReportPdf } from "../helpers/reports.js";
+import { requireRole } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
 
 const router = express.Router();
 
@@ -18,85 +21,136 @@ const UPLOAD_DIR = path.join(__dirname, "../uploads");
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 const upload = multer({ dest: UPLOAD_DIR });
 
+/**
+ * Ingest gazette PDFs and total their notices per court (the work behind
+ * POST /reports/upload-multi, run in the request or as a "reports-multi" job)
+ *   files: uploaded PDFs ({ path, originalname })
+ *   progress / signal: see helpers/jobs.js
+ */
+async function summarizeUploads(files, { progress = () => {}, signal } = {}) {
+  let allRecords = [];
+  const issues = [];
+  const tracker = fileProgress(progress, files.map((f) => f.originalname));
+
+  for (const [i, file] of files.entries()) {
+    signal?.throwIfAborted();
+    tracker.start(i);
+    // volume / date come from each issue's masthead (ISO dates); issues
+    // already in the archive are not parsed again
+    const { issue, reused, records } = await ingestIssue(file.path, {
+      sourceFile: file.originalname,
+      onProgress: tracker.onProgress,
+      signal,
+    });
+    tracker.done(i, reused ? "reused" : "done");
+    issues.push({ id: issue.id, sourceFile: file.originalname, reused });
+    allRecords = allRecords.concat(records);
+  }
+
+  // Aggregate by Court
+  const courtSummary = {};
+  for (const rec of allRecords) {
+    const court = rec.court_station || "Unknown Court";
+    if (!courtSummary[court]) {
+      courtSummary[court] = {
+        totalCases: 0,
+        dates: new Set(),
+        volumes: new Set(),
+      };
+    }
+    courtSummary[court].totalCases++;
+    if (rec.date_published) courtSummary[court].dates.add(rec.date_published);
+    if (rec.volume_no) courtSummary[court].volumes.add(rec.volume_no);
+  }
+
+  // Transform into clean array
+  const results = Object.entries(courtSummary).map(([court, val]) => {
+    const datesArr = Array.from(val.dates).sort(
+      (a, b) => new Date(a) - new Date(b)
+    );
+    const dateRange =
+      datesArr.length > 1
+        ? `${datesArr[0]} – ${datesArr[datesArr.length - 1]}`
+        : datesArr[0] || "N/A";
+
+    return {
+      court,
+      totalCases: val.totalCases,
+      dateRange,
+      volumes: Array.from(val.volumes).join(", "),
+    };
+  });
+
+  // court names are canonical (utils/stations.js); unresolved ones are listed
+  return {
+    totalRecords: allRecords.length,
+    issues,
+    courts: results,
+    unresolvedStations: unresolvedStations(allRecords),
+  };
+}
+
+registerJobType("reports-multi", ({ files }, options) => summarizeUploads(files, options));
+
 /**
  * POST /reports/upload-multi
  * Accepts multiple gazette PDFs, extracts, and aggregates results
+ * ?async=true queues them as a job instead: 202 with the job (follow it at
+ * /jobs/:id or /jobs/:id/events) (clerk)
  */
-router.post("/upload-multi", upload.array("pdfFiles", 20), async (req, res) => {
+router.post("/upload-multi", requireRole("clerk"), upload.array("pdfFiles", 20), async (req, res) => {
   if (!req.files || req.files.length === 0) {
     return res.status(400).json({ error: "No PDF files uploaded." });
   }
 
+  const pdfFiles = req.files.map((f) => f.originalname);
+  let queued = false;
   try {
-    let allRecords = [];
-
-    for (const file of req.files) {
-      const pdfBuffer = fs.readFileSync(file.path);
-      const data = await pdfParse(pdfBuffer); // ✅ buffer only
-      const records = extractGazetteRecords(data.text || "");
-      allRecords = allRecords.concat(records);
-
-      fs.unlinkSync(file.path); // cleanup
-    }
-
-    // Aggregate by Court
-    const courtSummary = {};
-    for (const rec of allRecords) {
-      const court = rec.court_station || "Unknown Court";
-      if (!courtSummary[court]) {
-        courtSummary[court] = {
-          totalCases: 0,
-          dates: new Set(),
-          volumes: new Set(),
-        };
-      }
-      courtSummary[court].totalCases++;
-      if (rec.date_published) courtSummary[court].dates.add(rec.date_published);
-      if (rec.volume_no) courtSummary[court].volumes.add(rec.volume_no);
+    if (req.query.async === "true") {
+      const job = await enqueueJob("reports-multi", { files: req.files });
+      queued = true;
+      await recordAudit(req, "reports.upload", { targetType: "job", targetId: job.id, details: { pdfFiles } });
+      return res.status(202).location(`/api/jobs/${job.id}`).json({ success: true, jobId: job.id, job });
     }
-
-    // Transform into clean array
-    const results = Object.entries(courtSummary).map(([court, val]) => {
-      const datesArr = Array.from(val.dates).sort(
-        (a, b) => new Date(a) - new Date(b)
-      );
-      const dateRange =
-        datesArr.length > 1
-          ? `${datesArr[0]} – ${datesArr[datesArr.length - 1]}`
-          : datesArr[0] || "N/A";
-
-      return {
-        court,
-        totalCases: val.totalCases,
-        dateRange,
-        volumes: Array.from(val.volumes).join(", "),
-      };
+    const summary = await summarizeUploads(req.files);
+    await recordAudit(req, "reports.upload", {
+      targetType: "issue",
+      targetId: summary.issues.map((i) => i.id),
+      details: { pdfFiles, totalRecords: summary.totalRecords },
     });
-
-    res.json({ totalRecords: allRecords.length, courts: results });
+    res.json(summary);
   } catch (err) {
     console.error("❌ Multi-PDF processing error:", err);
     res.status(500).json({ error: "Failed to process multiple PDFs" });
+  } finally {
+    // cleanup (a job removes its own files when it finishes)
+    if (!queued) for (const f of req.files) fs.promises.unlink(f.path).catch(() => {});
+  }
+});
+
+/**
+ * GET /reports/summary — per-station report as JSON
+ * Filters as GET /matches: ?station= &from= &to= &volume= &status= &matchType=
+ * &minScore= &duplicate= &q=
+ */
+router.get("/summary", async (req, res) => {
+  try {
+    const report = await buildCourtReport(req.query);
+    res.json({ success: true, ...report });
+  } catch (err) {
+    console.error("❌ Error building report:", err);
+    res.status(err.status || 500).json({ error: err.status ? err.message : "Failed to build report" });
   }
 });
 
 /**
- * GET /reports/excel
+ * GET /reports/excel — "Summary" and "Matches" sheets (same filters)
  */
-router.get("/excel", (req, res) => {
+router.get("/excel", async (req, res) => {
   try {
-    const sample = [
-      {
-        court: "High Court Nairobi",
-        totalCases: 10000,
-        dateRange: "Jan – Feb 2025",
-        volumes: "Vol. CXXVII—No.146, Vol. CXXVIII—No.147",
-      },
-    ];
-
-    const worksheet = xlsx.utils.json_to_sheet(sample);
-    const workbook = xlsx.utils.book_new();
-    xlsx.utils.book_append_sheet(workbook, worksheet, "Report");
+    const report = await buildCourtReport(req.query);
+    const matches = await reportMatches(report.filters);
+    const workbook = reportWorkbook(report, matches);
 
     const buffer = xlsx.write(workbook, { type: "buffer", bookType: "xlsx" });
     res.setHeader("Content-Disposition", "attachment; filename=report.xlsx");
@@ -107,46 +161,25 @@ router.get("/excel", (req, res) => {
     res.send(buffer);
   } catch (err) {
     console.error("❌ Error generating Excel:", err);
-    res.status(500).json({ error: "Failed to generate Excel" });
+    res.status(err.status || 500).json({ error: err.status ? err.message : "Failed to generate Excel" });
   }
 });
 
 /**
- * GET /reports/pdf
+ * GET /reports/pdf — per-station table (same filters)
  */
-router.get("/pdf", (req, res) => {
+router.get("/pdf", async (req, res) => {
   try {
-    const sample = [
-      {
-        court: "High Court Nairobi",
-        totalCases: 10000,
-        dateRange: "Jan – Feb 2025",
-        volumes: "Vol. CXXVII—No.146, Vol. CXXVIII—No.147",
-      },
-    ];
+    // built before any output so bad filters still get a JSON error
+    const report = await buildCourtReport(req.query);
 
     res.setHeader("Content-Disposition", "attachment; filename=report.pdf");
     res.setHeader("Content-Type", "application/pdf");
-
-    const doc = new PDFDocument();
-    doc.pipe(res);
-    doc.fontSize(18).text("Court Report", { align: "center" }).moveDown();
-
-    sample.forEach((row) => {
-      doc
-        .fontSize(14)
-        .text(`Court: ${row.court}`, { underline: true })
-        .moveDown(0.3);
-      doc.fontSize(12).text(` Total Cases: ${row.totalCases}`);
-      doc.fontSize(12).text(` Dates: ${row.dateRange}`);
-      doc.fontSize(12).text(` Volumes: ${row.volumes}`);
-      doc.moveDown();
-    });
-
-    doc.end();
+    writeReportPdf(report, res);
   } catch (err) {
     console.error("❌ Error generating PDF:", err);
-    res.status(500).json({ error: "Failed to generate PDF" });
+    if (res.headersSent) return res.end();
+    res.status(err.status || 500).json({ error: err.status ? err.message : "Failed to generate PDF" });
   }
 });
 
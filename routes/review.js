@@ -0,0 +1,103 @@
+// routes/review.js
+import express from "express";
+import {
+  listReviewQueue,
+  decideReviewItems,
+  reviewHistory,
+} from "../helpers/review.js";
+import { requireRole } from "../helpers/auth.js";
+import { recordAudit } from "../helpers/audit.js";
+
+const router = express.Router();
+
+// Decisions are taken in the signed-in user's name
+const reviewerOf = (req) => req.user?.username || "";
+
+// A review item id as a path segment or a JSON value (42 or "42")
+const isItemId = (id) => (typeof id === "number" && Number.isInteger(id)) || /^\d+$/.test(id);
+
+const auditDecision = (req, decision, result, note) =>
+  recordAudit(req, `review.${decision}`, {
+    targetType: "review_item",
+    targetId: result.updated,
+    details: {
+      approved: result.approved,
+      ...(result.reverted.length && { reverted: result.reverted }),
+      ...(note && { note }),
+    },
+  });
+
+/**
+ * GET /review — list queue items
+ * ?status=pending|approved|rejected|all &station= &minScore= &limit= &offset=
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { status = "pending", station, minScore, limit, offset } = req.query;
+    const { total, rows } = await listReviewQueue({ status, station, minScore, limit, offset });
+    res.json({ success: true, total, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /review/:id/history — decisions taken on one item
+ */
+router.get("/:id/history", async (req, res, next) => {
+  try {
+    const rows = await reviewHistory(Number(req.params.id));
+    res.json({ success: true, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /review/decisions — bulk decision (reviewer)
+ * body: { ids: [..], decision: "approve" | "reject" | "reopen", note? }
+ * Items already in that status are listed as unchanged and not audited.
+ */
+router.post("/decisions", requireRole("reviewer"), async (req, res, next) => {
+  try {
+    const { ids, decision, note } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: "ids must be a non-empty array" });
+    }
+    const invalid = ids.filter((id) => !isItemId(id));
+    if (invalid.length) return res.status(400).json({ error: `Invalid review item ids: ${invalid.join(", ")}` });
+    const result = await decideReviewItems(ids, decision, { reviewer: reviewerOf(req), note });
+    if (result.updated.length) await auditDecision(req, decision, result, note);
+    res.json({ success: true, decision, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /review/:id/approve | /reject | /reopen — single decision (reviewer)
+ * body: { note? }; an item already in that status is left as it is
+ */
+for (const decision of ["approve", "reject", "reopen"]) {
+  router.post(`/:id/${decision}`, requireRole("reviewer"), async (req, res, next) => {
+    try {
+      if (!isItemId(req.params.id)) {
+        return res.status(400).json({ error: `Invalid review item id: ${req.params.id}` });
+      }
+      const id = Number(req.params.id);
+      const result = await decideReviewItems([id], decision, {
+        reviewer: reviewerOf(req),
+        note: req.body?.note,
+      });
+      if (result.missing.length) {
+        return res.status(404).json({ error: `Review item ${id} not found` });
+      }
+      if (result.updated.length) await auditDecision(req, decision, result, req.body?.note);
+      res.json({ success: true, decision, ...result });
+    } catch (err) {
+      next(err);
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,119 @@
+// test/amendments.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { initDB, saveMatchesToDB } = await import("../helpers/db.js");
+const { applyAmendments } = await import("../helpers/amendments.js");
+const { scorePair, toMatchRow } = await import("../helpers/match.js");
+const { normalizeNameDB } = await import("../utils/normalize.js");
+
+const NAME = "JOHN KAMAU NJOROGE";
+const CORRECTED = "JOHN KAMAU NJOROGE MWANGI";
+const registry = (n) => ({ _name_raw: "John Kamau Njoroge", _cause_raw: `E${n}/2025`, _station_raw: "Nairobi" });
+
+let issues = 0;
+
+// An archived issue carrying succession notice noticeNo (cause noticeNo of
+// 2025), with an approved match for it; thresholds, if given, are kept in the
+// match's breakdown the way routes/extraction.js keeps them
+async function approvedMatch(noticeNo, thresholds) {
+  const g = {
+    gazette_notice_no: noticeNo,
+    court_station: "Nairobi High Court",
+    cause_no: `E${noticeNo} OF 2025`,
+    name_of_deceased: NAME,
+    volume_no: "Vol. CXXVII—No. 146",
+    date_published: "2025-02-14",
+  };
+  const db = await initDB();
+  try {
+    const { lastID } = await db.run(`INSERT INTO gazette_issues (content_hash) VALUES (?)`, [`hash-${++issues}`]);
+    await db.run(
+      `INSERT INTO gazette_notices
+         (issue_id, gazette_notice_no, court_station, cause_no, name_of_deceased, name_norm, volume_no, date_published)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [lastID, noticeNo, g.court_station, g.cause_no, NAME, normalizeNameDB(NAME), g.volume_no, g.date_published]
+    );
+  } finally {
+    await db.close();
+  }
+  const { score, breakdown } = scorePair(g, registry(noticeNo));
+  await saveMatchesToDB([
+    toMatchRow(g, registry(noticeNo), {
+      mode: "tokens",
+      score,
+      status: "Approved",
+      breakdown: thresholds ? { ...breakdown, thresholds } : breakdown,
+    }),
+  ]);
+  return g;
+}
+
+// A later issue's corrigendum of the notice's name
+const corrigendum = (noticeNo) => ({
+  gazette_notice_no: "2001",
+  type: "corrigendum",
+  target_notice_no: noticeNo,
+  target_year: "2025",
+  cause_nos: [`E${noticeNo} of 2025`],
+  field: "name_of_deceased",
+  old_value: NAME,
+  new_value: CORRECTED,
+  text: "corrigendum",
+});
+
+async function correct(noticeNo, thresholds) {
+  const db = await initDB();
+  let issueId;
+  try {
+    ({ lastID: issueId } = await db.run(`INSERT INTO gazette_issues (content_hash) VALUES (?)`, [`hash-${++issues}`]));
+  } finally {
+    await db.close();
+  }
+  await applyAmendments(issueId, [corrigendum(noticeNo)], thresholds);
+
+  const check = await initDB();
+  try {
+    return {
+      match: await check.get(`SELECT * FROM gazette_matches WHERE cause_no = ?`, [`E${noticeNo} OF 2025`]),
+      queued: await check.get(`SELECT COUNT(*) AS n FROM review_queue WHERE status = 'pending'`),
+    };
+  } finally {
+    await check.close();
+  }
+}
+
+test("a corrected notice's matches are held to the thresholds they were matched with, else the run's", async () => {
+  // the corrected name scores between the default and a stricter accept threshold
+  const g = await approvedMatch("1234", { acceptThreshold: 0.95, reviewThreshold: 0.5 });
+  const { score } = scorePair({ ...g, name_of_deceased: CORRECTED }, registry("1234"));
+  assert.ok(score >= 0.8 && score < 0.95, `corrected score ${score}`);
+
+  // matched at 0.95: the corrected score no longer earns the approval
+  let { match, queued } = await correct("1234");
+  assert.equal(match.name_of_deceased, CORRECTED);
+  assert.equal(match.score, score);
+  assert.equal(match.status_at_gp, "Published");
+  assert.equal(JSON.parse(match.score_breakdown).thresholds.acceptThreshold, 0.95);
+  assert.equal(queued.n, 1);
+
+  // nothing recorded: the default accept threshold (0.8) keeps it
+  await approvedMatch("1235");
+  ({ match, queued } = await correct("1235"));
+  assert.equal(match.status_at_gp, "Approved");
+  assert.equal(queued.n, 1);
+
+  // nothing recorded, but the run (a profile's thresholds) asks for 0.95
+  await approvedMatch("1236");
+  ({ match, queued } = await correct("1236", { acceptThreshold: 0.95, reviewThreshold: 0.5 }));
+  assert.equal(match.status_at_gp, "Published");
+  assert.equal(queued.n, 2);
+});
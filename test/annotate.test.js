@@ -0,0 +1,158 @@
+// test/annotate.test.js
+import { test, after, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PDFDocument, PDFName } from "pdf-lib";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { initDB, saveMatchesToDB } = await import("../helpers/db.js");
+const { saveReviewItems } = await import("../helpers/review.js");
+const { toMatchRow } = await import("../helpers/match.js");
+const { annotateIssue, noticeStatuses } = await import("../helpers/annotate.js");
+const { normalizeNameDB } = await import("../utils/normalize.js");
+
+const region = (page, y) => ({ page, column: "left", bbox: [50, y, 270, y + 40] });
+const notice = (cause_no, name_of_deceased, regions) => ({
+  court_station: "Nairobi High Court",
+  cause_no,
+  name_of_deceased,
+  volume_no: "Vol. CXXVII—No. 146",
+  date_published: "2025-02-14",
+  regions,
+});
+
+const ACCEPTED = notice("E1 OF 2025", "JOHN KAMAU", [region(1, 700)]);
+// runs over a page break: one highlight per part
+const REVIEW = notice("E2 OF 2025", "ANN WANJIRU", [region(1, 100), region(2, 750)]);
+const UNMATCHED = notice("E3 OF 2025", "PAUL OTIENO", [region(2, 600)]);
+// no position recorded (e.g. read by OCR)
+const UNPLACED = notice("E4 OF 2025", "MARY WANJIKU", []);
+
+let issueId;
+let missingId;
+
+// An archived two-page issue; a second issue whose stored PDF is gone
+before(async () => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([595, 842]);
+  pdf.addPage([595, 842]);
+  const file = path.join(dir, "issue-146.pdf");
+  fs.writeFileSync(file, await pdf.save());
+
+  const db = await initDB();
+  try {
+    ({ lastID: issueId } = await db.run(
+      `INSERT INTO gazette_issues (content_hash, stored_path) VALUES ('annotate-test', ?)`,
+      [file]
+    ));
+    ({ lastID: missingId } = await db.run(
+      `INSERT INTO gazette_issues (content_hash, stored_path) VALUES ('annotate-missing', ?)`,
+      [path.join(dir, "gone.pdf")]
+    ));
+    for (const n of [ACCEPTED, REVIEW, UNMATCHED, UNPLACED]) {
+      await db.run(
+        `INSERT INTO gazette_notices
+           (issue_id, court_station, cause_no, name_of_deceased, name_norm, volume_no, date_published, regions)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          issueId,
+          n.court_station,
+          n.cause_no,
+          n.name_of_deceased,
+          normalizeNameDB(n.name_of_deceased),
+          n.volume_no,
+          n.date_published,
+          JSON.stringify(n.regions),
+        ]
+      );
+    }
+  } finally {
+    await db.close();
+  }
+
+  await saveMatchesToDB([toMatchRow(ACCEPTED, { _name_raw: "John Kamau" }, { score: 0.92, status: "Approved" })]);
+  // the best pending candidate names the note
+  await saveReviewItems([
+    { g: REVIEW, ex: { _name_raw: "Ann W." }, score: 0.55, mode: "tokens" },
+    { g: REVIEW, ex: { _name_raw: "Ann Wanjiru" }, score: 0.7, mode: "tokens" },
+  ]);
+});
+
+// The highlight annotations of each page of a saved PDF
+async function highlights(bytes) {
+  const pdf = await PDFDocument.load(bytes);
+  return pdf.getPages().map((page) => {
+    const annots = page.node.Annots();
+    if (!annots) return [];
+    return annots.asArray().map((ref) => {
+      const annot = pdf.context.lookup(ref);
+      assert.equal(annot.get(PDFName.of("Subtype")).toString(), "/Highlight");
+      return {
+        title: annot.lookup(PDFName.of("T")).decodeText(),
+        contents: annot.lookup(PDFName.of("Contents")).decodeText(),
+      };
+    });
+  });
+}
+
+test("noticeStatuses tells accepted, in-review and unmatched notices apart", async () => {
+  const notices = await noticeStatuses(issueId);
+  assert.deepEqual(
+    notices.map((n) => [n.name_of_deceased, n.status, n.excel_name, n.score]),
+    [
+      ["JOHN KAMAU", "accepted", "John Kamau", 0.92],
+      ["ANN WANJIRU", "review", "Ann Wanjiru", 0.7],
+      ["PAUL OTIENO", "unmatched", null, null],
+      ["MARY WANJIKU", "unmatched", null, null],
+    ]
+  );
+  assert.deepEqual(notices[1].regions, REVIEW.regions);
+});
+
+test("annotateIssue highlights every placed notice in its status, with a note", async () => {
+  const { bytes, counts } = await annotateIssue(issueId);
+  assert.deepEqual(counts, { accepted: 1, review: 1, unmatched: 1, unplaced: 1 });
+
+  const [first, second] = await highlights(bytes);
+  assert.deepEqual(
+    first.map((h) => h.title),
+    ["Accepted match", "In review"]
+  );
+  assert.deepEqual(
+    second.map((h) => h.title),
+    ["In review", "Unmatched"]
+  );
+  const note = first[1].contents.split("\n");
+  assert.deepEqual(note.slice(0, 6), [
+    "In review",
+    "Deceased: ANN WANJIRU",
+    "Cause No.: E2 OF 2025",
+    "Court: Nairobi High Court",
+    "Registry name: Ann Wanjiru",
+    "Score: 0.70",
+  ]);
+  assert.ok(second[1].contents.includes("Registry name: none"));
+});
+
+test("annotateIssue only annotates the statuses asked for", async () => {
+  const { bytes, counts } = await annotateIssue(issueId, { statuses: ["unmatched"] });
+  // the unplaced notice is unmatched too
+  assert.deepEqual(counts, { accepted: 0, review: 0, unmatched: 1, unplaced: 1 });
+  const [first, second] = await highlights(bytes);
+  assert.equal(first.length, 0);
+  assert.deepEqual(
+    second.map((h) => h.title),
+    ["Unmatched"]
+  );
+});
+
+test("annotateIssue answers 404 for an unknown issue and 409 when its PDF is gone", async () => {
+  await assert.rejects(annotateIssue(9999), (err) => err.status === 404);
+  await assert.rejects(annotateIssue(missingId), (err) => err.status === 409);
+});
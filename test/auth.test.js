@@ -0,0 +1,120 @@
+// test/auth.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { roleAtLeast, requireRole, createUser, login, logout, userForToken, issueStreamTicket, authenticate } =
+  await import("../helpers/auth.js");
+const { recordAudit, listAudit } = await import("../helpers/audit.js");
+const { initDB } = await import("../helpers/db.js");
+
+// Status of the error a middleware passed to next (undefined: it let the request through)
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    middleware(req, {}, (err) => resolve(err?.status));
+  });
+}
+
+// A request as authenticate sees it
+const request = ({ method = "GET", path: reqPath = "/matches", query = {}, headers = {} } = {}) => ({
+  method,
+  path: reqPath,
+  query,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+test("roleAtLeast follows the role order", () => {
+  assert.equal(roleAtLeast("admin", "reviewer"), true);
+  assert.equal(roleAtLeast("clerk", "clerk"), true);
+  assert.equal(roleAtLeast("clerk", "reviewer"), false);
+  assert.equal(roleAtLeast("nobody", "viewer"), false);
+});
+
+test("requireRole", async () => {
+  const reviewerOnly = requireRole("reviewer");
+  assert.equal(await run(reviewerOnly, {}), 401);
+  assert.equal(await run(reviewerOnly, { user: { role: "viewer" } }), 403);
+  assert.equal(await run(reviewerOnly, { user: { role: "clerk" } }), 403);
+  assert.equal(await run(reviewerOnly, { user: { role: "reviewer" } }), undefined);
+  assert.equal(await run(reviewerOnly, { user: { role: "admin" } }), undefined);
+});
+
+test("users sign in with sessions that logout ends", async () => {
+  await assert.rejects(createUser({ username: "x" }), (err) => err.status === 400);
+  await assert.rejects(createUser({ username: "ann", role: "owner" }), (err) => err.status === 400);
+  const ann = await createUser({ username: "ann", password: "correct horse", role: "clerk" });
+  assert.equal(ann.role, "clerk");
+  assert.equal(ann.password_hash, undefined);
+  await assert.rejects(createUser({ username: "ann", password: "another one" }), (err) => err.status === 409);
+
+  await assert.rejects(login("ann", "wrong password"), (err) => err.status === 401);
+  const { token, user } = await login("ann", "correct horse");
+  assert.match(token, /^gs_/);
+  assert.equal(user.username, "ann");
+
+  const req = request({ headers: { authorization: `Bearer ${token}` } });
+  assert.equal(await run(authenticate, req), undefined);
+  assert.equal(req.user.username, "ann");
+  assert.equal(req.user.via, "session");
+
+  await logout(token);
+  assert.equal(await userForToken(token), null);
+  assert.equal(await run(authenticate, request({ headers: { authorization: `Bearer ${token}` } })), 401);
+  assert.equal(await run(authenticate, request({ method: "POST", path: "/auth/login" })), undefined);
+});
+
+test("stream tickets are single-use and bound to their path", async () => {
+  const bob = await createUser({ username: "bob", password: "bobs password", role: "viewer" });
+  const eventsPath = "/jobs/1/events";
+
+  const { ticket } = issueStreamTicket(bob, eventsPath);
+  const req = request({ path: eventsPath, query: { ticket } });
+  assert.equal(await run(authenticate, req), undefined);
+  assert.equal(req.user.username, "bob");
+  assert.equal(req.user.via, "ticket");
+  assert.equal(await run(authenticate, request({ path: eventsPath, query: { ticket } })), 401);
+
+  const other = issueStreamTicket(bob, eventsPath);
+  assert.equal(await run(authenticate, request({ path: "/jobs/2/events", query: { ticket: other.ticket } })), 401);
+});
+
+test("the audit log is append-only", async () => {
+  await recordAudit({ user: { id: 1, username: "ann", role: "clerk" }, ip: "127.0.0.1" }, "review.approve", {
+    targetType: "review_item",
+    targetId: [3, 4],
+    details: { note: "ok" },
+  });
+  const { total, rows } = await listAudit({ action: "review." });
+  assert.equal(total, 1);
+  assert.equal(rows[0].target_id, "3,4");
+
+  const db = await initDB();
+  try {
+    await assert.rejects(db.run(`UPDATE audit_log SET action = 'x'`), /append-only/);
+    await assert.rejects(db.run(`DELETE FROM audit_log`), /append-only/);
+    assert.equal((await db.get(`SELECT COUNT(*) AS n FROM audit_log`)).n, 1);
+  } finally {
+    await db.close();
+  }
+});
+
+test("listAudit clamps limit and offset", async () => {
+  const req = { user: { id: 1, username: "ann", role: "admin" } };
+  await recordAudit(req, "user.create");
+  await recordAudit(req, "user.update");
+  // no limit (0 or not a number) means the default; a negative one is not "no limit"
+  for (const limit of [0, "x"]) {
+    assert.equal((await listAudit({ action: "user.", limit })).rows.length, 2, `limit ${limit}`);
+  }
+  for (const limit of [-1, 1.5]) {
+    assert.equal((await listAudit({ action: "user.", limit })).rows.length, 1, `limit ${limit}`);
+  }
+  assert.equal((await listAudit({ action: "user.", offset: -3 })).rows[0].action, "user.update");
+});
@@ -0,0 +1,45 @@
+// test/blocking.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addPosting, buildBlockingIndex } from "../helpers/blocking.js";
+import { generateCandidates } from "../helpers/match.js";
+
+test("addPosting skips empty keys and repeats of the last row", () => {
+  const map = new Map();
+  addPosting(map, "kam", 0);
+  addPosting(map, "kam", 0);
+  addPosting(map, "kam", 2);
+  addPosting(map, "", 3);
+  assert.deepEqual([...map], [["kam", [0, 2]]]);
+});
+
+test("buildBlockingIndex finds rows sharing a name key", () => {
+  const rows = ["John Kamau Njoroge", "Mary Achieng Otieno", "Jon Kamau"].map((name) => ({ _name_raw: name }));
+  const index = buildBlockingIndex(rows);
+  assert.equal(index.size, 3);
+  const hits = index.candidatesFor("KAMAU JOHN");
+  assert.ok(hits.has(0) && hits.has(2));
+  assert.ok(!hits.has(1));
+});
+
+test("generateCandidates with blocking finds what a full comparison does, comparing fewer pairs", () => {
+  const gazette = [
+    { name_of_deceased: "JOHN KAMAU NJOROGE", cause_no: "E123 of 2025" },
+    { name_of_deceased: "MARY ACHIENG OTIENO", cause_no: "88 of 2024" },
+  ];
+  const registry = [
+    ...Array.from({ length: 20 }, (_, i) => ({ _name_raw: `Unrelated Person ${"abcdefghijklmnopqrst"[i]}` })),
+    { _name_raw: "John Kamau Njoroge", _cause_raw: "E123/2025" },
+    { _name_raw: "Achieng Mary", _cause_raw: "88/2024" },
+  ];
+  const full = generateCandidates(gazette, registry, "tokens", 0.5, { blocking: false });
+  const blocked = generateCandidates(gazette, registry, "tokens", 0.5);
+
+  assert.deepEqual(
+    blocked.candidates.map((c) => c.ex._name_raw),
+    full.candidates.map((c) => c.ex._name_raw)
+  );
+  assert.equal(full.stats.skipped, 0);
+  assert.ok(blocked.stats.skipped > 0);
+  assert.equal(blocked.stats.compared + blocked.stats.skipped, gazette.length * registry.length);
+});
@@ -0,0 +1,94 @@
+// test/calibration.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { saveProfile, getProfile, deleteProfile, withProfile, evaluateThresholds } = await import(
+  "../helpers/calibration.js"
+);
+
+test("saveProfile validates and stores a profile", async () => {
+  const bad = [
+    { mode: "tokens", acceptThreshold: 0.8, reviewThreshold: 0.5 },
+    { name: "p", mode: "soundex", acceptThreshold: 0.8, reviewThreshold: 0.5 },
+    { name: "p", mode: "tokens", acceptThreshold: 0.5, reviewThreshold: 0.8 },
+    { name: "p", mode: "tokens", acceptThreshold: 1.2, reviewThreshold: 0.5 },
+    { name: "p", mode: "tokens", acceptThreshold: 0.8, reviewThreshold: 0 },
+    { name: "p", mode: "tokens", acceptThreshold: 0.8, reviewThreshold: 0.5, weights: "age:1" },
+  ];
+  for (const profile of bad) {
+    await assert.rejects(saveProfile(profile), (err) => err.status === 400, JSON.stringify(profile));
+  }
+
+  const saved = await saveProfile({
+    name: "strict",
+    mode: "fuzzy",
+    acceptThreshold: 0.9,
+    reviewThreshold: "0.6",
+    weights: "name:0.8,cause:0.2,station:0",
+  });
+  assert.equal(saved.mode, "fuzzy");
+  assert.equal(saved.accept_threshold, 0.9);
+  assert.equal(saved.review_threshold, 0.6);
+  assert.deepEqual(saved.weights, { name: 0.8, cause: 0.2, station: 0 });
+
+  // saving by the same name replaces it
+  await saveProfile({ name: "strict", mode: "fuzzy", acceptThreshold: 0.95, reviewThreshold: 0.6 });
+  const replaced = await getProfile("strict");
+  assert.equal(replaced.accept_threshold, 0.95);
+  assert.equal(replaced.weights, null);
+});
+
+test("withProfile fills options from the profile under explicit ones", async () => {
+  await saveProfile({ name: "loose", mode: "tokens", acceptThreshold: 0.7, reviewThreshold: 0.4, weights: { station: 0 } });
+
+  assert.deepEqual(await withProfile({ mode: "exact", threshold: "" }), { mode: "exact", threshold: "" });
+  assert.deepEqual(await withProfile({ profile: "loose" }), {
+    mode: "tokens",
+    threshold: 0.7,
+    reviewThreshold: 0.4,
+    weights: { name: 0.6, cause: 0.25, station: 0 },
+  });
+  assert.deepEqual(await withProfile({ profile: "loose", threshold: "0.75", mode: "", weights: undefined }), {
+    mode: "tokens",
+    threshold: "0.75",
+    reviewThreshold: 0.4,
+    weights: { name: 0.6, cause: 0.25, station: 0 },
+  });
+  await assert.rejects(withProfile({ profile: "missing" }), (err) => err.status === 400);
+});
+
+test("deleteProfile", async () => {
+  assert.equal(await deleteProfile("loose"), true);
+  assert.equal(await deleteProfile("loose"), false);
+  assert.equal(await getProfile("loose"), null);
+});
+
+test("evaluateThresholds takes targets and a review threshold in (0, 1] only", () => {
+  const labelled = [
+    { gazette: { name: "JOHN KAMAU NJOROGE" }, registry: { name: "John Kamau Njoroge" }, match: true },
+    { gazette: { name: "MARY ACHIENG" }, registry: { name: "Peter Otieno" }, match: false },
+  ];
+  for (const key of ["targetPrecision", "targetRecall", "reviewThreshold"]) {
+    for (const value of [0, -0.5, 1.5, "abc", "Infinity"]) {
+      assert.throws(
+        () => evaluateThresholds(labelled, { modes: ["tokens"], [key]: value }),
+        (err) => err.status === 400 && err.message.startsWith(key),
+        `${key}=${value}`
+      );
+    }
+  }
+
+  const result = evaluateThresholds(labelled, { modes: ["tokens"], targetPrecision: "0.9", reviewThreshold: 1 });
+  assert.equal(result.targetPrecision, 0.9);
+  assert.equal(result.targetRecall, 0.98);
+  // nothing scores between the review threshold (capped at each accept threshold) and it
+  assert.ok(result.modes.tokens.sweep.every((row) => row.reviewQueue === 0));
+});
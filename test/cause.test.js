@@ -0,0 +1,28 @@
+// test/cause.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCauseNo } from "../utils/cause.js";
+
+test("parseCauseNo normalises the ways a cause number is written", () => {
+  assert.equal(parseCauseNo("P&A 123 of 2024").key, "123/2024");
+  assert.equal(parseCauseNo("P&A 123 of 2024").type, "succession");
+  assert.equal(parseCauseNo("Succ. Cause No. 0123 of 24").key, "123/2024");
+  assert.equal(parseCauseNo("EO48/2O24").key, "E48/2024");
+  assert.deepEqual(parseCauseNo("Misc. App. 5 of 2023 (corrigendum)").notes, ["corrigendum"]);
+});
+
+test("parseCauseNo keeps the station and a former cause number", () => {
+  const withPlace = parseCauseNo("HCSC Nairobi E12/2025");
+  assert.equal(withPlace.key, "E12/2025");
+  assert.equal(withPlace.station, "Nairobi");
+
+  const moved = parseCauseNo("E047/2025 (formerly E161/2024 Kiambu High Court)");
+  assert.equal(moved.key, "E47/2025");
+  assert.equal(moved.formerly.key, "E161/2024");
+  assert.equal(moved.formerly.station, "Kiambu High Court");
+});
+
+test("parseCauseNo rejects what isn't a cause number", () => {
+  assert.equal(parseCauseNo(""), null);
+  assert.equal(parseCauseNo("Thu Aug 01 2019 00:00:00 GMT+0000"), null);
+});
@@ -0,0 +1,182 @@
+// test/duplicates.test.js
+import { test, after, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { initDB, saveMatchesToDB } = await import("../helpers/db.js");
+const { toMatchRow } = await import("../helpers/match.js");
+const {
+  comparePair,
+  refreshDuplicateClusters,
+  listDuplicateClusters,
+  getDuplicateCluster,
+  resolveDuplicateCluster,
+} = await import("../helpers/duplicates.js");
+
+const NAIROBI = "Nairobi High Court";
+const NYERI = "Nyeri High Court";
+const KISUMU = "Kisumu High Court";
+
+const match = (name_of_deceased, court_station, cause_no, date_published, excel_name) =>
+  toMatchRow(
+    { name_of_deceased, court_station, cause_no, date_published, volume_no: `Vol. ${date_published}` },
+    { _name_raw: excel_name },
+    { mode: "tokens", score: 0.9, status: "Published" }
+  );
+
+before(async () => {
+  await saveMatchesToDB([
+    // 1, 2: the same estate gazetted twice ("E12" and "12" agree)
+    match("JOHN KAMAU NJOROGE", NAIROBI, "E12 OF 2025", "2025-01-10", "John Kamau Njoroge"),
+    match("JOHN KAMAU NJOROGE", NAIROBI, "12 OF 2025", "2025-03-07", "John Kamau N."),
+    // 3, 4: one registry row matched to two estates
+    match("ANN WANJIRU", NYERI, "E3 OF 2025", "2025-02-14", "Ann Wanjiru"),
+    match("ANNE WANJIRU MWANGI", NYERI, "E9 OF 2024", "2025-02-21", "Ann Wanjiru"),
+    // 5, 6: the same name on different estates
+    match("PETER OTIENO OCHIENG", KISUMU, "E4 OF 2025", "2025-03-07", "Peter Otieno"),
+    match("PETER OTIENO OCHIENG", NAIROBI, "E80 OF 2025", "2025-03-14", "Peter O. Ochieng"),
+    // 7: on its own
+    match("TOM MWANGI", NYERI, "E5 OF 2025", "2025-03-07", "Tom Mwangi"),
+  ]);
+});
+
+async function flags() {
+  const db = await initDB();
+  try {
+    const rows = await db.all(`SELECT id, cluster_id, duplicate FROM gazette_matches ORDER BY id`);
+    return Object.fromEntries(rows.map((r) => [r.id, [r.cluster_id, r.duplicate]]));
+  } finally {
+    await db.close();
+  }
+}
+
+async function removeMatch(id) {
+  const db = await initDB();
+  try {
+    await db.run(`DELETE FROM gazette_matches WHERE id = ?`, [id]);
+  } finally {
+    await db.close();
+  }
+}
+
+test("comparePair tells republications, registry duplicates and namesakes apart", () => {
+  const row = (name_of_deceased, cause_no, court_station = NAIROBI, excel_name = null) => ({
+    name_of_deceased,
+    cause_no,
+    court_station,
+    excel_name,
+  });
+  const kamau = row("JOHN KAMAU NJOROGE", "E12 OF 2025", NAIROBI, "John Kamau");
+  assert.equal(comparePair(kamau, row("JOHN KAMAU NJOROGE", "12 OF 2025")).relation, "republication");
+  // the same estate's cause at another court is a namesake
+  assert.equal(comparePair(kamau, row("JOHN KAMAU NJOROGE", "E12 OF 2025", KISUMU)).relation, "namesake");
+  const sameRow = row("MARY ACHIENG", "E7 OF 2025", NAIROBI, "John Kamau");
+  assert.equal(comparePair(kamau, sameRow).relation, "registry_duplicate");
+  const unrelated = comparePair(kamau, row("MARY ACHIENG", "E7 OF 2025"));
+  assert.equal(unrelated.relation, null);
+  assert.equal(unrelated.station, 1);
+});
+
+test("refreshDuplicateClusters groups the matches and flags all but namesakes", async () => {
+  const summary = await refreshDuplicateClusters();
+  assert.deepEqual(summary, {
+    clusters: 3,
+    flagged: 4,
+    types: { registry_duplicate: 1, republication: 1, namesake: 1 },
+  });
+  const { total, rows } = await listDuplicateClusters();
+  assert.equal(total, 3);
+  assert.deepEqual(
+    rows.map((c) => [c.type, c.cluster_key, c.members.map((m) => m.id).sort()]),
+    [
+      ["republication", 1, [1, 2]],
+      ["registry_duplicate", 3, [3, 4]],
+      ["namesake", 5, [5, 6]],
+    ]
+  );
+  const [republication, registry, namesake] = rows.map((c) => c.id);
+  assert.deepEqual(await flags(), {
+    1: [republication, 1],
+    2: [republication, 1],
+    3: [registry, 1],
+    4: [registry, 1],
+    5: [namesake, 0],
+    6: [namesake, 0],
+    7: [null, 0],
+  });
+
+  // a second run changes nothing
+  await refreshDuplicateClusters();
+  assert.deepEqual(
+    (await listDuplicateClusters()).rows.map((c) => c.id),
+    [republication, registry, namesake]
+  );
+});
+
+test("listDuplicateClusters filters by type, resolution and station", async () => {
+  assert.deepEqual(
+    (await listDuplicateClusters({ type: "namesake" })).rows.map((c) => c.type),
+    ["namesake"]
+  );
+  assert.equal((await listDuplicateClusters({ station: KISUMU })).total, 1);
+  assert.equal((await listDuplicateClusters({ station: NAIROBI })).total, 2);
+  assert.equal((await listDuplicateClusters({ resolved: "true" })).total, 0);
+  await assert.rejects(listDuplicateClusters({ type: "twin" }), (err) => err.status === 400);
+  await assert.rejects(listDuplicateClusters({ resolved: "maybe" }), (err) => err.status === 400);
+});
+
+test("a resolved cluster keeps its canonical match across refreshes until it leaves", async () => {
+  const [{ id }] = (await listDuplicateClusters({ type: "republication" })).rows;
+  await assert.rejects(resolveDuplicateCluster(id, { canonicalId: 3 }), (err) => err.status === 400);
+  await assert.rejects(resolveDuplicateCluster(999, { canonicalId: 1 }), (err) => err.status === 404);
+
+  const resolved = await resolveDuplicateCluster(id, { canonicalId: 2, resolvedBy: "ann", note: "later notice" });
+  assert.equal(resolved.canonical_match_id, 2);
+  assert.equal(resolved.resolved_by, "ann");
+  assert.ok(resolved.resolved_at);
+  assert.deepEqual(
+    resolved.pairs.map((p) => [p.a, p.b, p.relation]),
+    [[2, 1, "republication"]]
+  );
+  assert.deepEqual((await flags())[1], [id, 1]);
+  assert.deepEqual((await flags())[2], [id, 0]);
+
+  // a third gazettement joins the cluster: the resolution stands
+  await saveMatchesToDB([match("JOHN KAMAU NJOROGE", NAIROBI, "E12 OF 2025", "2025-05-02", "John Kamau")]);
+  // two of its three members and both registry duplicates
+  assert.equal((await refreshDuplicateClusters()).flagged, 4);
+  let cluster = await getDuplicateCluster(id);
+  assert.equal(cluster.size, 3);
+  assert.equal(cluster.canonical_match_id, 2);
+  assert.deepEqual((await flags())[8], [id, 1]);
+
+  // the lowest member goes: the cluster keeps its id through its canonical match
+  await removeMatch(1);
+  await refreshDuplicateClusters();
+  cluster = await getDuplicateCluster(id);
+  assert.equal(cluster.cluster_key, 2);
+  assert.equal(cluster.canonical_match_id, 2);
+
+  // the canonical match goes: the resolution is dropped
+  await removeMatch(2);
+  await refreshDuplicateClusters();
+  const { rows } = await listDuplicateClusters({ type: "republication" });
+  assert.equal(rows.length, 0);
+  assert.deepEqual((await flags())[8], [null, 0]);
+  assert.equal(await getDuplicateCluster(id), null);
+
+  // re-opening a cluster clears the resolution and flags every member
+  const [registry] = (await listDuplicateClusters({ type: "registry_duplicate" })).rows;
+  await resolveDuplicateCluster(registry.id, { canonicalId: 3, resolvedBy: "ann" });
+  const reopened = await resolveDuplicateCluster(registry.id, { canonicalId: null, resolvedBy: "ann" });
+  assert.equal(reopened.canonical_match_id, null);
+  assert.equal(reopened.resolved_by, null);
+  assert.deepEqual(reopened.members.map((m) => m.duplicate), [1, 1]);
+});
@@ -0,0 +1,193 @@
+// test/issues.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { initDB, saveMatchesToDB } = await import("../helpers/db.js");
+const { ingestIssue, hashBuffer, findIssue, listIssues, listIssueNotices, matchRegistryToArchive } = await import(
+  "../helpers/issues.js"
+);
+const { saveReviewItems, decideReviewItems } = await import("../helpers/review.js");
+const { toMatchRow } = await import("../helpers/match.js");
+const { normalizeNameDB } = await import("../utils/normalize.js");
+
+const notice = (cause_no, name_of_deceased, stamp = {}) => ({
+  court_station: "Nairobi High Court",
+  cause_no,
+  name_of_deceased,
+  volume_no: "",
+  date_published: "",
+  ...stamp,
+});
+
+// An archived issue (without a masthead, so unstamped) holding the given
+// notices; returns the uploaded file, which ingestIssue finds by its content hash
+async function archiveIssue(name, notices) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, name);
+  const db = await initDB();
+  try {
+    const { lastID } = await db.run(
+      `INSERT INTO gazette_issues (content_hash, volume_no, date_published, stored_path) VALUES (?, '', '', ?)`,
+      [hashBuffer(fs.readFileSync(file)), file]
+    );
+    for (const n of notices) {
+      await db.run(
+        `INSERT INTO gazette_notices
+           (issue_id, court_station, cause_no, name_of_deceased, name_norm, volume_no, date_published, revoked)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          lastID,
+          n.court_station,
+          n.cause_no,
+          n.name_of_deceased,
+          normalizeNameDB(n.name_of_deceased),
+          n.volume_no,
+          n.date_published,
+          n.revoked ? 1 : 0,
+        ]
+      );
+    }
+  } finally {
+    await db.close();
+  }
+  return file;
+}
+
+async function rows(sql) {
+  const db = await initDB();
+  try {
+    return await db.all(sql);
+  } finally {
+    await db.close();
+  }
+}
+
+test("restamping a reused issue moves its matches and review items with it", async () => {
+  const kamau = notice("E123 OF 2025", "JOHN KAMAU NJOROGE");
+  const achieng = notice("E7 OF 2025", "MARY ACHIENG");
+  const other = notice("E9 OF 2025", "TOM MWANGI");
+  const stamp = { volume_no: "Vol. CXXVII—No. 146", date_published: "2025-02-14" };
+  const file = await archiveIssue("issue-146.pdf", [kamau, achieng]);
+  await archiveIssue("issue-147.pdf", [other]);
+
+  const registry = (name) => ({ _name_raw: name, _cause_raw: "E/2025", _station_raw: "Nairobi" });
+  await saveMatchesToDB([
+    toMatchRow(kamau, registry("John Kamau"), { score: 0.9, status: "Published" }),
+    toMatchRow(other, registry("Tom Mwangi"), { score: 0.9, status: "Published" }),
+    // Achieng was matched before under the right stamp too
+    toMatchRow({ ...achieng, ...stamp }, registry("Mary Achieng"), { score: 0.6, status: "Published" }),
+  ]);
+  await saveReviewItems([{ g: achieng, ex: registry("Mary A."), score: 0.7, mode: "tokens" }]);
+  const [item] = await rows(`SELECT id FROM review_queue`);
+  await decideReviewItems([item.id], "approve", { reviewer: "ann" });
+
+  const { reused, records } = await ingestIssue(file, {
+    volumeNo: stamp.volume_no,
+    datePublished: stamp.date_published,
+  });
+  assert.equal(reused, true);
+  assert.ok(records.every((r) => r.date_published === stamp.date_published));
+
+  const matches = await rows(`SELECT * FROM gazette_matches ORDER BY cause_no`);
+  assert.deepEqual(
+    matches.map((m) => [m.cause_no, m.date_published, m.status_at_gp]),
+    [
+      ["E123 OF 2025", "2025-02-14", "Published"],
+      // the approval's match merged into the one already stored
+      ["E7 OF 2025", "2025-02-14", "Approved"],
+      // another unstamped issue's match stays where it was
+      ["E9 OF 2025", "", "Published"],
+    ]
+  );
+
+  const [queued] = await rows(`SELECT * FROM review_queue`);
+  assert.equal(queued.volume_no, stamp.volume_no);
+  assert.equal(queued.date_published, stamp.date_published);
+  assert.equal(JSON.parse(queued.gazette_record).date_published, stamp.date_published);
+  assert.equal(queued.match_id, matches[1].id);
+
+  // undoing the approval now finds the match it rests on
+  const { reverted } = await decideReviewItems([item.id], "reject", { reviewer: "ann" });
+  assert.equal(reverted[0].action, "restored");
+  const [achiengMatch] = await rows(`SELECT status_at_gp FROM gazette_matches WHERE cause_no = 'E7 OF 2025'`);
+  assert.equal(achiengMatch.status_at_gp, "Published");
+});
+
+test("archived issues are found by content hash and list their notices", async () => {
+  const file = await archiveIssue("issue-148.pdf", [
+    notice("E1 OF 2025", "ANN WANJIRU"),
+    notice("E2 OF 2025", "PAUL OTIENO"),
+  ]);
+  const issue = await findIssue(hashBuffer(fs.readFileSync(file)));
+  assert.equal(issue.stored_path, file);
+  assert.equal(await findIssue("0".repeat(64)), null);
+
+  const { total, rows } = await listIssues({ limit: 1 });
+  assert.equal(rows.length, 1);
+  assert.ok(total >= 1);
+
+  const notices = await listIssueNotices(issue.id, { station: "Nairobi High Court" });
+  assert.equal(notices.total, 2);
+  assert.deepEqual(
+    notices.rows.map((n) => [n.name_of_deceased, n.issue_id]),
+    [
+      ["ANN WANJIRU", issue.id],
+      ["PAUL OTIENO", issue.id],
+    ]
+  );
+  assert.equal((await listIssueNotices(issue.id, { station: "Mombasa High Court" })).total, 0);
+  assert.equal(await listIssueNotices(999), null);
+});
+
+test("matchRegistryToArchive finds each registry row's gazettement across issues", async () => {
+  const published = (date_published) => ({ volume_no: `Vol. ${date_published}`, date_published });
+  await archiveIssue("issue-2024-03.pdf", [
+    notice("E10 OF 2024", "GRACE WAMBUI KARIUKI", published("2024-03-01")),
+    notice("E11 OF 2024", "SAMUEL KIPROTICH", { ...published("2024-03-01"), revoked: true }),
+  ]);
+  // the same estate gazetted again later
+  await archiveIssue("issue-2024-06.pdf", [notice("E10 OF 2024", "GRACE WAMBUI KARIUKI", published("2024-06-07"))]);
+
+  const row = (n, name, cause) => ({
+    _sheet: "2024",
+    _row: n,
+    _name_raw: name,
+    _cause_raw: cause,
+    _station_raw: "Nairobi",
+  });
+  const registry = [
+    row(2, "Grace Wambui Kariuki", "E10/2024"),
+    row(3, "Grace W. Kariuki", "E10/2024"),
+    row(4, "Samuel Kiprotich", "E11/2024"),
+    row(5, "Peter Mutua", "E99/2024"),
+  ];
+  const { rows, summary, stats } = await matchRegistryToArchive(registry, { from: "2024-01-01", to: "2024-12-31" });
+  assert.equal(stats.noticeCount, 2);
+  assert.deepEqual(summary, { total: 4, gazetted: 1, possible: 1, not_gazetted: 2 });
+
+  const [full, partial, revoked, never] = rows;
+  assert.equal(full.status, "gazetted");
+  assert.equal(full.row, 2);
+  // equal scores: the latest issue wins, the other counts as an alternative
+  assert.equal(full.gazettement.date_published, "2024-06-07");
+  assert.equal(full.alternatives, 1);
+  assert.equal(partial.status, "possible");
+  assert.ok(partial.score < full.score);
+  // a revoked notice is not a gazettement
+  assert.equal(revoked.status, "not_gazetted");
+  assert.equal(never.gazettement, null);
+  assert.equal(never.score, 0);
+
+  // the date range narrows the archive searched
+  const early = await matchRegistryToArchive(registry.slice(0, 1), { from: "2024-01-01", to: "2024-03-31" });
+  assert.equal(early.rows[0].gazettement.date_published, "2024-03-01");
+  assert.equal(early.rows[0].alternatives, 0);
+});
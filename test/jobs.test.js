@@ -0,0 +1,167 @@
+// test/jobs.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { initDB } = await import("../helpers/db.js");
+const { registerJobType, enqueueJob, getJob, listJobs, cancelJob, resumeJobs, subscribeJob, fileProgress } =
+  await import("../helpers/jobs.js");
+
+// An uploaded file as multer leaves it
+let uploads = 0;
+function upload(originalname) {
+  const file = path.join(dir, `upload-${++uploads}`);
+  fs.writeFileSync(file, originalname);
+  return { fieldname: "pdfs", path: file, originalname };
+}
+
+// Wait until the job has finished (or reached the given status)
+async function settled(id, statuses = ["completed", "failed", "cancelled"]) {
+  for (let i = 0; i < 500; i++) {
+    const job = await getJob(id, { result: true });
+    if (statuses.includes(job.status)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not settle`);
+}
+
+// A job type whose runs wait until released; "started" resolves once one runs
+function gatedType(type) {
+  const runs = [];
+  let started;
+  const gate = {
+    runs,
+    started: new Promise((resolve) => (started = resolve)),
+    release: null,
+  };
+  const released = new Promise((resolve) => (gate.release = resolve));
+  registerJobType(type, async ({ id }, { signal }) => {
+    runs.push(id);
+    started();
+    await Promise.race([released, new Promise((resolve) => signal.addEventListener("abort", resolve))]);
+    if (signal.aborted) throw new Error("aborted");
+    return { id };
+  });
+  return gate;
+}
+
+registerJobType("ingest", async ({ params, files }, { progress }) => {
+  const tracker = fileProgress(progress, files.map((f) => f.originalname));
+  files.forEach((f, i) => {
+    tracker.start(i);
+    tracker.onProgress({ stage: "extract", page: 1, pageCount: 2 });
+    tracker.done(i, i ? "reused" : "done");
+  });
+  return { label: params.label, read: files.map((f) => fs.readFileSync(f.path, "utf8")) };
+});
+registerJobType("broken", async () => {
+  throw new Error("the PDF has no pages");
+});
+
+test("enqueueJob runs jobs one after another and stores their results", async () => {
+  await assert.rejects(enqueueJob("translate"), (err) => err.status === 400);
+
+  const events = [];
+  const files = [upload("a.pdf"), upload("b.pdf")];
+  const job = await enqueueJob("ingest", { params: { label: "February" }, files });
+  const stop = subscribeJob(job.id, ({ event, job }) => events.push([event, job.status, job.progress.percent]));
+  assert.equal(job.status, "queued");
+  assert.deepEqual(job.files, [
+    { field: "pdfs", originalname: "a.pdf" },
+    { field: "pdfs", originalname: "b.pdf" },
+  ]);
+
+  const done = await settled(job.id);
+  stop();
+  assert.equal(done.status, "completed");
+  assert.equal(done.attempts, 1);
+  assert.deepEqual(done.result, { label: "February", read: ["a.pdf", "b.pdf"] });
+  assert.equal(done.progress.percent, 100);
+  assert.deepEqual(
+    done.progress.files.map((f) => f.status),
+    ["done", "reused"]
+  );
+  // halfway through the first file's pages, then the second's
+  assert.deepEqual(
+    events.filter(([event]) => event === "progress").map(([, , percent]) => percent),
+    [0, 25, 50, 50, 75, 99]
+  );
+  assert.deepEqual(events.at(-1), ["status", "completed", 100]);
+  // the uploads are removed once the job is done
+  assert.ok(files.every((f) => !fs.existsSync(f.path)));
+  // the result is only sent when asked for
+  assert.equal((await getJob(job.id)).result, undefined);
+});
+
+test("a failing job records its error, as does one whose upload is gone", async () => {
+  const broken = await settled((await enqueueJob("broken")).id);
+  assert.equal(broken.status, "failed");
+  assert.equal(broken.error, "the PDF has no pages");
+
+  const file = upload("gone.pdf");
+  fs.unlinkSync(file.path);
+  const missing = await settled((await enqueueJob("ingest", { files: [file] })).id);
+  assert.equal(missing.status, "failed");
+  assert.equal(missing.error, "Uploaded file missing: gone.pdf");
+});
+
+test("cancelling a queued job stops it from ever running; a running one stops at once", async () => {
+  const gate = gatedType("slow");
+  const first = await enqueueJob("slow");
+  const file = upload("c.pdf");
+  const second = await enqueueJob("slow", { files: [file] });
+  await gate.started;
+
+  const cancelled = await cancelJob(second.id);
+  assert.equal(cancelled.status, "cancelled");
+  assert.ok(!fs.existsSync(file.path));
+
+  const running = await cancelJob(first.id);
+  assert.equal(running.cancelRequested, true);
+  assert.equal((await settled(first.id)).status, "cancelled");
+  gate.release();
+  // the queue moved on without claiming the cancelled job
+  assert.deepEqual(gate.runs, [first.id]);
+  assert.equal((await getJob(second.id)).attempts, 0);
+
+  await assert.rejects(cancelJob(first.id), (err) => err.status === 409);
+  assert.equal(await cancelJob(999), null);
+});
+
+test("resumeJobs queues jobs that were running when the server stopped again", async () => {
+  const db = await initDB();
+  let id;
+  try {
+    ({ lastID: id } = await db.run(
+      `INSERT INTO jobs (type, status, params, files, attempts)
+       VALUES ('ingest', 'running', '{"label":"March"}', '[]', 1)`
+    ));
+  } finally {
+    await db.close();
+  }
+  assert.equal(await resumeJobs(), 1);
+  const job = await settled(id);
+  assert.equal(job.status, "completed");
+  assert.equal(job.attempts, 2);
+  assert.deepEqual(job.result, { label: "March", read: [] });
+});
+
+test("listJobs filters by status and type, newest first", async () => {
+  const all = await listJobs();
+  assert.equal(all.total, 6);
+  assert.ok(all.rows[0].id > all.rows[1].id);
+  assert.ok(all.rows.every((j) => !("result" in j)));
+  assert.equal((await listJobs({ status: "failed" })).total, 2);
+  assert.deepEqual(
+    (await listJobs({ type: "slow" })).rows.map((j) => j.status),
+    ["cancelled", "cancelled"]
+  );
+  await assert.rejects(listJobs({ status: "paused" }), (err) => err.status === 400);
+});
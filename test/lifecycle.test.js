@@ -0,0 +1,54 @@
+// test/lifecycle.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { OBJECTION_PERIOD_DAYS, todayISO, addDays, objectionDeadline, lifecycleOf } from "../utils/lifecycle.js";
+
+const PUBLISHED = "2025-01-01";
+const DEADLINE = addDays(PUBLISHED, OBJECTION_PERIOD_DAYS);
+
+test("addDays crosses months and leap days", () => {
+  assert.equal(addDays("2025-01-01", 30), "2025-01-31");
+  assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+  assert.equal(addDays("2025-12-31", 1), "2026-01-01");
+});
+
+test("todayISO uses the Kenyan date", () => {
+  // 22:30 UTC is already the next day in Nairobi (UTC+3)
+  assert.equal(todayISO(new Date("2025-03-01T22:30:00Z")), "2025-03-02");
+});
+
+test("objectionDeadline", () => {
+  assert.equal(objectionDeadline(PUBLISHED), DEADLINE);
+  assert.equal(objectionDeadline(null), null);
+  assert.equal(objectionDeadline(""), null);
+  assert.equal(objectionDeadline("1st January, 2025"), null);
+});
+
+test("lifecycleOf counts down the objection period", () => {
+  const row = { date_published: PUBLISHED };
+  assert.deepEqual(lifecycleOf(row, PUBLISHED), {
+    state: "objection period running",
+    objection_deadline: DEADLINE,
+    days_remaining: OBJECTION_PERIOD_DAYS,
+  });
+  const lastDay = lifecycleOf(row, DEADLINE);
+  assert.equal(lastDay.state, "objection period running");
+  assert.equal(lastDay.days_remaining, 0);
+
+  const after = lifecycleOf(row, addDays(DEADLINE, 1));
+  assert.equal(after.state, "ready for grant");
+  assert.equal(after.days_remaining, -1);
+});
+
+test("lifecycleOf: objections and ungazetted rows", () => {
+  const lodged = lifecycleOf({ date_published: PUBLISHED, objection_lodged_at: "2025-01-10" }, addDays(DEADLINE, 5));
+  assert.equal(lodged.state, "objection lodged");
+  assert.equal(lodged.objection_deadline, DEADLINE);
+
+  assert.deepEqual(lifecycleOf({}, PUBLISHED), {
+    state: "not gazetted",
+    objection_deadline: null,
+    days_remaining: null,
+  });
+  assert.equal(lifecycleOf({ objection_lodged_at: "2025-01-10" }, PUBLISHED).state, "objection lodged");
+});
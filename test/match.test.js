@@ -0,0 +1,22 @@
+// test/match.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ACCEPT_THRESHOLD, REVIEW_THRESHOLD, parseThresholds, generateCandidates } from "../helpers/match.js";
+
+test("parseThresholds defaults and reads query strings", () => {
+  assert.deepEqual(parseThresholds(), { acceptThreshold: ACCEPT_THRESHOLD, reviewThreshold: REVIEW_THRESHOLD });
+  assert.deepEqual(parseThresholds("0.9", "0.6"), { acceptThreshold: 0.9, reviewThreshold: 0.6 });
+  assert.deepEqual(parseThresholds(1, ""), { acceptThreshold: 1, reviewThreshold: REVIEW_THRESHOLD });
+  // a low accept threshold pulls the default review threshold down with it
+  assert.deepEqual(parseThresholds("0.4"), { acceptThreshold: 0.4, reviewThreshold: 0.4 });
+});
+
+test("parseThresholds rejects what it can't use with a 400", () => {
+  for (const [threshold, review] of [["0"], ["abc"], ["1.5"], ["-0.2"], ["0.8", "0"], ["0.8", "x"], ["0.6", "0.7"]]) {
+    assert.throws(() => parseThresholds(threshold, review), (err) => err.status === 400, `${threshold} ${review}`);
+  }
+});
+
+test("an unknown mode is a 400", () => {
+  assert.throws(() => generateCandidates([], [], "soundex"), (err) => err.status === 400);
+});
@@ -0,0 +1,90 @@
+// test/matches.test.js
+import { test, after, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { saveMatchesToDB, listMatches } = await import("../helpers/db.js");
+const { toMatchRow } = await import("../helpers/match.js");
+
+// [name, station, cause, date, score, status]
+const MATCHES = [
+  ["JOHN KAMAU NJOROGE", "Nairobi High Court", "E1 OF 2025", "2025-01-10", 0.9, "Approved"],
+  ["ANN WANJIRU KAMAU", "Nairobi High Court", "E2 OF 2025", "2025-02-14", 0.7, "Published"],
+  ["MARY WANJIKU", "Nyeri High Court", "E3 OF 2025", "2025-02-14", 0.7, "Published"],
+  ["PETER OTIENO", "Kisumu High Court", "E4 OF 2025", "2025-03-07", 0.95, "Approved"],
+  ["TOM MWANGI", "Nyeri High Court", "E5 OF 2025", "2025-03-07", 0.6, "Published"],
+];
+
+before(async () => {
+  await saveMatchesToDB(
+    MATCHES.map(([name, court_station, cause_no, date_published, score, status]) =>
+      toMatchRow(
+        { name_of_deceased: name, court_station, cause_no, date_published, volume_no: `Vol. ${date_published}` },
+        { _name_raw: name.toLowerCase() },
+        { mode: "tokens", score, status }
+      )
+    )
+  );
+});
+
+const names = ({ rows }) => rows.map((r) => r.name_of_deceased);
+
+test("listMatches filters by station, date range, status and score", async () => {
+  assert.deepEqual(names(await listMatches({ station: "Nyeri High Court", sort: "name", order: "asc" })), [
+    "MARY WANJIKU",
+    "TOM MWANGI",
+  ]);
+  const february = await listMatches({ from: "2025-02-01", to: "2025-02-28" });
+  assert.equal(february.total, 2);
+  assert.deepEqual(names(await listMatches({ status: "Approved", minScore: "0.92" })), ["PETER OTIENO"]);
+  // newest first by default
+  assert.equal((await listMatches()).rows[0].date_published, "2025-03-07");
+});
+
+test("listMatches pages with a cursor through ties without repeats", async () => {
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = await listMatches({ sort: "score", order: "asc", limit: 2, cursor });
+    assert.equal(page.total, MATCHES.length);
+    seen.push(...names(page));
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor);
+  assert.equal(pages, 3);
+  assert.deepEqual(seen, ["TOM MWANGI", "ANN WANJIRU KAMAU", "MARY WANJIKU", "JOHN KAMAU NJOROGE", "PETER OTIENO"]);
+});
+
+test("listMatches searches names by word prefix", async () => {
+  const found = await listMatches({ q: "wanji" });
+  assert.deepEqual(names(found).sort(), ["ANN WANJIRU KAMAU", "MARY WANJIKU"]);
+  assert.deepEqual(names(await listMatches({ q: "kamau wanj" })), ["ANN WANJIRU KAMAU"]);
+  assert.deepEqual(names(await listMatches({ q: "kamau", sort: "date_published", order: "asc" })), [
+    "JOHN KAMAU NJOROGE",
+    "ANN WANJIRU KAMAU",
+  ]);
+});
+
+test("listMatches rejects bad parameters with a 400", async () => {
+  for (const filters of [
+    { sort: "colour" },
+    { sort: "relevance" },
+    { order: "sideways" },
+    { cursor: "not-a-cursor" },
+    { from: "14/02/2025" },
+    { minScore: "high" },
+    { duplicate: "maybe" },
+    { lifecycle: "asleep" },
+    { q: "--" },
+  ]) {
+    await assert.rejects(listMatches(filters), (err) => err.status === 400, JSON.stringify(filters));
+  }
+});
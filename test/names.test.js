@@ -0,0 +1,27 @@
+// test/names.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitAliases, nameKeys } from "../utils/names.js";
+import { scoreNames } from "../helpers/match.js";
+
+test("splitAliases", () => {
+  assert.deepEqual(splitAliases("JOHN KAMAU alias JOHANA KAMAU"), ["JOHN KAMAU", "JOHANA KAMAU"]);
+  assert.deepEqual(splitAliases("Mary Wanjiru a.k.a. Mary Njeri"), ["Mary Wanjiru", "Mary Njeri"]);
+  assert.deepEqual(splitAliases("Mary Wanjiru"), ["Mary Wanjiru"]);
+});
+
+test("spelling variants map onto one spelling", () => {
+  assert.deepEqual(nameKeys("Yohana Kamau", "exact"), [["john", "kamau"]]);
+  assert.equal(scoreNames("Yohana Kamau", "John Kamau", "exact"), 1);
+  assert.equal(scoreNames("Fransisca Achieng", "Francisca Achieng", "exact"), 1);
+});
+
+test("feminine forms stay apart from the masculine ones", () => {
+  assert.deepEqual(nameKeys("Fransisca Achieng", "exact"), [["francisca", "achieng"]]);
+  assert.equal(scoreNames("Fransisca Achieng", "Francis Achieng", "exact"), 0);
+  assert.notDeepEqual(nameKeys("Johana Kamau", "exact"), nameKeys("John Kamau", "exact"));
+});
+
+test("an alias on either side can match", () => {
+  assert.equal(scoreNames("JOHN KAMAU alias PETER NJOROGE", "Peter Njoroge", "exact"), 1);
+});
@@ -0,0 +1,81 @@
+// test/notices.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractNoticesFromText } from "../helpers/parse.js";
+import { NOTICE_TYPES, noticeExtractor } from "../helpers/notices/index.js";
+
+const ISSUE = `GAZETTE NOTICE NO. 9001
+THE LAND REGISTRATION ACT
+(No. 3 of 2012)
+ISSUE OF A NEW LAND TITLE DEED
+WHEREAS (1) John Kamau Mwangi and (2) Mary Wanjiru Kamau, both of P.O. Box 123–00100,
+Nairobi in the Republic of Kenya, are registered as proprietors in absolute ownership
+interest of that piece of land containing 0.05 hectare or thereabouts, situate in the
+district of Kiambu, registered under title No. Kiambu/Municipality/Block 1/234, and
+whereas sufficient evidence has been adduced to show that the land title deed issued
+thereof has been lost, notice is given that after the expiration of sixty (60) days from
+the date hereof, I shall issue a new land title deed provided that no objection has
+been received within that period.
+Dated the 5th July, 2025.
+J. M. KARANJA,
+MR/7781234 Land Registrar, Kiambu District.
+GAZETTE NOTICE NO. 9003
+CHANGE OF NAME
+NOTICE is given that by a deed poll dated 12th May, 2025, duly executed and registered in the
+Registry of Documents at Nairobi as Presentation No. 1234, in Volume DI, Folio 45/678, File No.
+MMXXV, by our client, Jane Wanjiku Kamau, of P.O. Box 123–00100, Nairobi in the Republic of Kenya,
+formerly known as Jane Wanjiku, formally and absolutely renounced and abandoned the use of her
+former name Jane Wanjiku and in lieu thereof assumed and adopted the name Jane Wanjiku Kamau, for
+all purposes and authorizes and requests all persons at all times to designate, describe and
+address her by her assumed name Jane Wanjiku Kamau only.
+Dated the 20th May, 2025.
+KAMAU & CO.,
+MR/7781236 Advocates for Jane Wanjiku Kamau,
+formerly known as Jane Wanjiku.
+GAZETTE NOTICE NO. 9004
+THE COMPANIES ACT
+DISSOLUTION
+Notice is given that XYZ Limited is dissolved.`;
+
+const notices = extractNoticesFromText(ISSUE, { volumeNo: "Vol. X—No. 1", datePublished: "2025-07-11" });
+
+test("every notice type has an extractor", () => {
+  assert.deepEqual(NOTICE_TYPES, ["succession", "land_title", "change_of_name"]);
+  assert.equal(noticeExtractor("land_title").table, "land_title_notices");
+  assert.equal(noticeExtractor("nope"), null);
+});
+
+test("land title notices", () => {
+  const [deed, ...rest] = notices.land_title;
+  assert.equal(rest.length, 0);
+  assert.equal(deed.gazette_notice_no, "9001");
+  assert.equal(deed.title_no, "Kiambu/Municipality/Block 1/234");
+  assert.equal(deed.document, "land title deed");
+  assert.deepEqual(deed.proprietors, ["John Kamau Mwangi", "Mary Wanjiru Kamau"]);
+  assert.equal(deed.area, "0.05 hectare");
+  assert.equal(deed.objection_days, 60);
+  assert.equal(deed.registrar, "J. M. KARANJA");
+  assert.equal(deed.registry, "Kiambu District");
+  assert.equal(deed.date_signed, "2025-07-05");
+  assert.equal(deed.date_published, "2025-07-11");
+});
+
+test("change of name notices", () => {
+  const [deedPoll, ...rest] = notices.change_of_name;
+  assert.equal(rest.length, 0);
+  assert.equal(deedPoll.gazette_notice_no, "9003");
+  assert.equal(deedPoll.new_name, "Jane Wanjiku Kamau");
+  assert.equal(deedPoll.former_name, "Jane Wanjiku");
+  assert.equal(deedPoll.deed_poll_date, "2025-05-12");
+  assert.equal(deedPoll.registry, "Registry of Documents at Nairobi");
+  assert.equal(deedPoll.presentation_no, "1234");
+  assert.equal(deedPoll.advocates, "KAMAU & CO.");
+  // the deed poll's own date is not taken for the signing date
+  assert.equal(deedPoll.date_signed, "2025-05-20");
+});
+
+test("notices of other types produce no records", () => {
+  assert.deepEqual(notices.succession, []);
+  const all = Object.values(notices).flat();
+  assert.ok(all.every((r) => r.gazette_notice_no !== "9004"));
+});
@@ -0,0 +1,146 @@
+// test/parse.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  romanToInt,
+  toISODate,
+  parseMasthead,
+  parseSuccessionDetails,
+  parseAmendment,
+  extractGazetteRecords,
+  extractAmendments,
+  traceExtraction,
+} from "../helpers/parse.js";
+
+const SUCCESSION = `GAZETTE NOTICE NO. 1234
+IN THE HIGH COURT OF KENYA AT NAIROBI
+PROBATE AND ADMINISTRATION
+SUCCESSION CAUSE NO. E123 OF 2025
+By (1) Ann Wanjiru Kamau and (2) Peter Kamau Njoroge, both of Nairobi, the deceased's widow and son, respectively, \
+for a grant of letters of administration intestate to the estate of JOHN KAMAU NJOROGE, late of Kiambu, \
+who died at Nairobi on 3rd March, 2024.
+AND the Court will proceed
+GAZETTE NOTICE NO. 1240
+CORRIGENDUM
+IN Gazette Notice No. 1234 of 2025, Cause No. E123 of 2025, amend the name of the deceased printed as \
+“John Kamau Njoroge” to read “John Kamau Njoroge Mwangi”.`;
+
+// ESTATE OF seven lines after the CAUSE NO line: past the look-ahead
+const LATE_ESTATE = `IN THE HIGH COURT OF KENYA AT MOMBASA
+CAUSE NO. 55 OF 2025
+By Mary Achieng, of Mombasa.
+one
+two
+three
+four
+five
+ESTATE OF PETER OTIENO`;
+
+test("romanToInt and toISODate", () => {
+  assert.equal(romanToInt("CXXVII"), 127);
+  assert.equal(romanToInt("not roman"), 0);
+  assert.equal(toISODate("1", "August", "2025"), "2025-08-01");
+});
+
+test("parseMasthead reads volume, issue number and date", () => {
+  const m = parseMasthead("THE KENYA GAZETTE Published by Authority Vol. CXXVII—No. 146 NAIROBI, 14th February, 2025");
+  assert.equal(m.volume, "CXXVII");
+  assert.equal(m.volumeNumber, 127);
+  assert.equal(m.issueNo, 146);
+  assert.equal(m.volumeNo, "Vol. CXXVII—No. 146");
+  assert.equal(m.datePublished, "2025-02-14");
+  assert.equal(m.specialIssue, false);
+  assert.equal(parseMasthead("SPECIAL ISSUE").specialIssue, true);
+});
+
+test("extractGazetteRecords reads a succession notice", () => {
+  const [record, ...rest] = extractGazetteRecords(SUCCESSION, { volumeNo: "V", datePublished: "2025-02-14" });
+  assert.equal(rest.length, 0);
+  assert.equal(record.cause_no, "E123 OF 2025");
+  assert.equal(record.name_of_deceased, "JOHN KAMAU NJOROGE");
+  assert.equal(record.court_station, "Nairobi High Court");
+  assert.equal(record.volume_no, "V");
+  assert.equal(record.date_published, "2025-02-14");
+});
+
+test("succession notices carry the notice number, death, residence, petitioners and grant", () => {
+  const [record] = extractGazetteRecords(SUCCESSION);
+  assert.equal(record.gazette_notice_no, "1234");
+  assert.equal(record.date_of_death, "2024-03-03");
+  assert.equal(record.last_residence, "Kiambu");
+  assert.equal(record.grant_type, "Letters of Administration");
+  assert.deepEqual(record.petitioners, [
+    { name: "Ann Wanjiru Kamau", relationship: "widow" },
+    { name: "Peter Kamau Njoroge", relationship: "son" },
+  ]);
+});
+
+test("parseSuccessionDetails: executors and a year-only death", () => {
+  const details = parseSuccessionDetails(
+    "By Jane Akinyi Otieno and Paul Otieno, the executors, for a grant of probate of written will to the estate " +
+      "of TOM OTIENO, late of Kisumu, who died at Kisumu in 2005."
+  );
+  assert.equal(details.date_of_death, "2005");
+  assert.equal(details.last_residence, "Kisumu");
+  assert.equal(details.grant_type, "Probate");
+  assert.deepEqual(
+    details.petitioners.map((p) => p.relationship),
+    ["executors", "executors"]
+  );
+});
+
+test("extractGazetteRecords looks only a few lines past the cause number for the estate", () => {
+  assert.deepEqual(extractGazetteRecords(LATE_ESTATE), []);
+  const near = LATE_ESTATE.replace("one\ntwo\nthree\n", "");
+  assert.equal(extractGazetteRecords(near)[0].name_of_deceased, "PETER OTIENO");
+});
+
+test("extractAmendments reads a corrigendum", () => {
+  const [amendment, ...rest] = extractAmendments(SUCCESSION);
+  assert.equal(rest.length, 0);
+  assert.equal(amendment.type, "corrigendum");
+  assert.equal(amendment.target_notice_no, "1234");
+  assert.equal(amendment.target_year, "2025");
+  assert.equal(amendment.field, "name_of_deceased");
+  assert.equal(amendment.old_value, "John Kamau Njoroge");
+  assert.equal(amendment.new_value, "John Kamau Njoroge Mwangi");
+});
+
+test("parseAmendment: revocations, re-publications and corrected cause numbers", () => {
+  const revoked = parseAmendment("In Gazette Notice No. 9802 of 2025, Cause Nos. E88 of 2025 and E97 of 2025 are revoked.");
+  assert.equal(revoked.type, "revocation");
+  assert.deepEqual(revoked.cause_nos, ["E88 of 2025", "E97 of 2025"]);
+  assert.equal(parseAmendment("*In Gazette Notice No. 9802 of 2025, Cause No. E88 of 2025 is revoked.").type, "republication");
+
+  const cause = parseAmendment(
+    "In Gazette Notice No. 8840 of 2025, amend the cause number printed as “Cause No. E45 of 2025” to read “E54 of 2025”."
+  );
+  assert.equal(cause.field, "cause_no");
+  assert.equal(cause.old_value, "E45 of 2025");
+  assert.equal(cause.new_value, "E54 of 2025");
+  assert.equal(parseAmendment("Amend the name to read “X”."), null);
+});
+
+test("traceExtraction explains each cause number", () => {
+  const text = LATE_ESTATE.replace(
+    "CAUSE NO. 55",
+    "CAUSE NO. 54 OF 2025\nBy Ann Achieng, for a grant to the estate of JOHN ONYANGO (DECEASED), late of Mombasa.\nCAUSE NO. 55"
+  );
+  const { records, traces, totals } = traceExtraction([{ page: 1, source: "text", text }]);
+  assert.deepEqual(
+    records.map((r) => r.name_of_deceased),
+    ["JOHN ONYANGO"]
+  );
+  assert.deepEqual(totals, { detected: 2, extracted: 1, rejected: { no_estate_of: 1 } });
+
+  const [found, missed] = traces;
+  assert.equal(found.rule, "extracted");
+  assert.equal(found.record, 0);
+  assert.equal(found.name.after, "JOHN ONYANGO");
+  assert.ok(found.name.steps.length > 0);
+
+  assert.equal(missed.rule, "no_estate_of");
+  assert.equal(missed.cause_no, "55 OF 2025");
+  assert.equal(missed.span.from, 4);
+  assert.equal(missed.station.court_station, "Mombasa High Court");
+});
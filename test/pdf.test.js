@@ -0,0 +1,82 @@
+// test/pdf.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pageLayout } from "../helpers/pdf.js";
+
+// A pdfjs page stand-in: text items [str, x, y, width] at 10pt on an A4 page
+const fakePage = (items, pageNumber = 1) => ({
+  pageNumber,
+  view: [0, 0, 595, 842],
+  getTextContent: async () => ({
+    items: items.map(([str, x, y, width]) => ({ str, transform: [10, 0, 0, 10, x, y], width, height: 10 })),
+  }),
+});
+
+// Lines of one column: x from..to, baselines from y downwards, 14pt apart
+const column = (label, x, y, count, width = 220) =>
+  Array.from({ length: count }, (_, i) => [`${label} ${i + 1}`, x, y - i * 14, width]);
+
+test("pageLayout reads a two-column page left column first, band by band", async () => {
+  const layout = await pageLayout(
+    fakePage([
+      ["THE KENYA GAZETTE", 50, 800, 480],
+      ...column("left", 50, 770, 12),
+      // the right column's baselines don't line up with the left's
+      ...column("right", 310, 765, 12),
+      ["SCHEDULE", 50, 560, 480],
+      ...column("lower left", 50, 530, 6),
+      ...column("lower right", 310, 530, 6),
+    ])
+  );
+  assert.equal(layout.columns, 2);
+  const texts = layout.lines.map((l) => l.text);
+  assert.deepEqual(texts, [
+    "THE KENYA GAZETTE",
+    ...Array.from({ length: 12 }, (_, i) => `left ${i + 1}`),
+    ...Array.from({ length: 12 }, (_, i) => `right ${i + 1}`),
+    "SCHEDULE",
+    ...Array.from({ length: 6 }, (_, i) => `lower left ${i + 1}`),
+    ...Array.from({ length: 6 }, (_, i) => `lower right ${i + 1}`),
+  ]);
+  assert.equal(layout.text, texts.join("\n"));
+
+  const [masthead, left] = layout.lines;
+  assert.equal(masthead.column, "full");
+  assert.equal(left.column, "left");
+  assert.equal(left.page, 1);
+  assert.deepEqual(left.bbox, [50, 770, 270, 780]);
+  assert.equal(layout.lines.find((l) => l.text === "right 1").column, "right");
+});
+
+test("pageLayout reads a heading set off below the right column after it", async () => {
+  const layout = await pageLayout(
+    fakePage([
+      ...column("left", 50, 770, 10),
+      ...column("right", 310, 770, 6),
+      // after a gap, below the end of the right column
+      ["GAZETTE NOTICE NO. 99", 50, 560, 200],
+      ["TABLE OF FEES", 50, 530, 480],
+    ])
+  );
+  assert.deepEqual(
+    layout.lines.map((l) => l.text).slice(-3),
+    ["right 6", "GAZETTE NOTICE NO. 99", "TABLE OF FEES"]
+  );
+});
+
+test("pageLayout keeps a single-column page in line order and joins split items", async () => {
+  const layout = await pageLayout(
+    fakePage([
+      ...column("line", 50, 770, 12, 480),
+      // one line split into items: a visible gap is a space, touching items are one word
+      ["CAUSE", 50, 590, 40],
+      ["NO.", 95, 590, 20],
+      ["E1", 120, 590, 12],
+      ["23", 132, 590, 12],
+    ])
+  );
+  assert.equal(layout.columns, 1);
+  assert.ok(layout.lines.every((l) => l.column === "full"));
+  assert.equal(layout.lines.at(-1).text, "CAUSE NO. E123");
+  assert.equal(layout.lines[0].text, "line 1");
+});
@@ -0,0 +1,156 @@
+// test/registry.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import xlsx from "xlsx";
+import { readRegistry, mapColumns, headerSignature } from "../helpers/registry.js";
+
+const HEADER = ["S/No", "Name of the Deceased", "Cause No.", "Court Station", "Date Filed"];
+
+// Workbook with one sheet per [name, rows (array of arrays), merges?]
+function workbook(...sheets) {
+  const wb = xlsx.utils.book_new();
+  for (const [name, rows, merges] of sheets) {
+    const ws = xlsx.utils.aoa_to_sheet(rows);
+    if (merges) ws["!merges"] = merges.map((m) => xlsx.utils.decode_range(m));
+    xlsx.utils.book_append_sheet(wb, ws, name);
+  }
+  return wb;
+}
+
+test("mapColumns maps labels, skips look-alikes and takes template overrides", () => {
+  assert.deepEqual(mapColumns(HEADER), { name: 1, cause: 2, station: 3, filingDate: 4 });
+  // "Date of Death of the Deceased" is not the name column
+  assert.deepEqual(mapColumns(["Date of Death of the Deceased", "Deceased Person's Name", "P&A No."]), {
+    name: 1,
+    cause: 2,
+  });
+  // a column letter counts from the sheet's first column
+  assert.deepEqual(mapColumns(["A", "B", "C"], { name: "D", cause: "Column C" }, 1), { name: 2 });
+  assert.equal(headerSignature(HEADER), headerSignature([...HEADER].reverse()));
+});
+
+test("readRegistry finds the header below titles and reads each row", () => {
+  const { rows, sheets, skipped } = readRegistry(
+    workbook([
+      "2025",
+      [
+        ["HIGH COURT OF KENYA"],
+        ["Succession causes filed, 2025"],
+        [],
+        HEADER,
+        [1, "John Kamau Njoroge", "E123/2025", "Nairobi", "03/07/2025"],
+        [2, "Mary Achieng", "E7/2025", "Kisumu", new Date(2025, 6, 4)],
+      ],
+    ])
+  );
+  assert.deepEqual(skipped, []);
+  assert.equal(sheets[0].headerRow, 4);
+  assert.deepEqual(sheets[0].columns, {
+    name: "Name of the Deceased",
+    cause: "Cause No.",
+    station: "Court Station",
+    filingDate: "Date Filed",
+  });
+  assert.equal(sheets[0].rows, 2);
+
+  const [first, second] = rows;
+  assert.equal(first._sheet, "2025");
+  assert.equal(first._row, 5);
+  assert.equal(first._name_raw, "John Kamau Njoroge");
+  assert.equal(first._cause_raw, "E123/2025");
+  assert.equal(first._station_raw, "Nairobi");
+  assert.equal(first._filing_date, "2025-07-03");
+  assert.equal(first["Name of the Deceased"], "John Kamau Njoroge");
+  assert.equal(second._filing_date, "2025-07-04");
+});
+
+test("readRegistry fills merged cells into every row they span", () => {
+  const { rows } = readRegistry(
+    workbook([
+      "Sheet1",
+      [
+        ["Name of Deceased", "Cause No", "Station"],
+        ["Ann Wanjiru", "E1/2025", "Nyeri"],
+        ["Peter Otieno", "E2/2025", ""],
+        ["Tom Mwangi", "E3/2025", ""],
+      ],
+      ["C2:C4"],
+    ])
+  );
+  assert.deepEqual(
+    rows.map((r) => r._station_raw),
+    ["Nyeri", "Nyeri", "Nyeri"]
+  );
+});
+
+test("readRegistry skips rows with a reason and reports sheets without a header", () => {
+  const { rows, sheets, skipped, skippedByReason } = readRegistry(
+    workbook(
+      [
+        "Causes",
+        [
+          HEADER,
+          [1, "John Kamau", "E1/2025", "Nairobi", ""],
+          [],
+          HEADER,
+          [2, "", "E2/2025", "Nairobi", ""],
+          [3, "12345", "E3/2025", "Nairobi", ""],
+        ],
+      ],
+      ["Notes", [["Returned files"], ["see the other sheet"]]],
+      ["Empty", []]
+    )
+  );
+  assert.deepEqual(
+    rows.map((r) => r._name_raw),
+    ["John Kamau"]
+  );
+  assert.deepEqual(skippedByReason, {
+    blank: 1,
+    "repeated header row": 1,
+    "no deceased name": 1,
+    "deceased name is not text": 1,
+  });
+  // blank rows are counted, not listed
+  assert.deepEqual(skipped, [
+    { sheet: "Causes", row: 4, reason: "repeated header row" },
+    { sheet: "Causes", row: 5, reason: "no deceased name" },
+    { sheet: "Causes", row: 6, reason: "deceased name is not text" },
+  ]);
+  assert.equal(sheets[0].skipped, 3);
+
+  const [, notes, empty] = sheets;
+  assert.equal(notes.headerRow, null);
+  assert.equal(notes.reason, "no header row with a deceased-name column");
+  assert.deepEqual(notes.preview, [
+    { row: 1, cells: ["Returned files"] },
+    { row: 2, cells: ["see the other sheet"] },
+  ]);
+  assert.equal(empty.reason, "empty sheet");
+});
+
+test("readRegistry applies a template, given or picked by header signature", () => {
+  const sheet = [
+    ["Ref", "Particulars", "Court"],
+    ["E9/2025", "Jane Akinyi", "Mombasa"],
+  ];
+  const template = { id: 7, name: "Mombasa", columns: { name: "Particulars", cause: "A", station: "Court" } };
+
+  // without a template "Particulars" is not a name column
+  assert.equal(readRegistry(workbook(["S", sheet])).rows.length, 0);
+
+  const given = readRegistry(workbook(["S", sheet]), { template });
+  assert.equal(given.rows[0]._name_raw, "Jane Akinyi");
+  assert.equal(given.rows[0]._cause_raw, "E9/2025");
+  assert.equal(given.rows[0]._station_raw, "Mombasa");
+  assert.deepEqual(given.sheets[0].template, { id: 7, name: "Mombasa" });
+
+  const saved = { ...template, columns: JSON.stringify(template.columns), header_signature: headerSignature(sheet[0]) };
+  const picked = readRegistry(workbook(["S", sheet]), { templates: [saved] });
+  assert.equal(picked.rows[0]._name_raw, "Jane Akinyi");
+  assert.deepEqual(picked.sheets[0].template, { id: 7, name: "Mombasa" });
+
+  // a template whose name column isn't there reports it
+  const wrong = readRegistry(workbook(["S", sheet]), { template: { ...template, columns: { name: "Deceased" } } });
+  assert.equal(wrong.sheets[0].reason, 'no deceased-name column for template "Mombasa"');
+});
@@ -0,0 +1,124 @@
+// test/reports.test.js
+import { test, after, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PassThrough } from "node:stream";
+import xlsx from "xlsx";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { initDB, saveMatchesToDB } = await import("../helpers/db.js");
+const { saveReviewItems } = await import("../helpers/review.js");
+const { toMatchRow } = await import("../helpers/match.js");
+const { buildCourtReport, reportMatches, reportWorkbook, writeReportPdf } = await import("../helpers/reports.js");
+
+const NAIROBI = "Nairobi High Court";
+const NYERI = "Nyeri High Court";
+const KISUMU = "Kisumu High Court";
+
+const g = (name_of_deceased, court_station, cause_no, date_published) => ({
+  name_of_deceased,
+  court_station,
+  cause_no,
+  date_published,
+  volume_no: `Vol. ${date_published}`,
+});
+
+before(async () => {
+  const notices = [
+    g("JOHN KAMAU", NAIROBI, "E1 OF 2025", "2025-01-10"),
+    g("ANN WANJIRU", NAIROBI, "E2 OF 2025", "2025-02-14"),
+    g("MARY WANJIKU", NYERI, "E3 OF 2025", "2025-02-14"),
+    g("PETER OTIENO", KISUMU, "E4 OF 2025", "2025-03-07"),
+  ];
+  const db = await initDB();
+  try {
+    const { lastID } = await db.run(`INSERT INTO gazette_issues (content_hash) VALUES ('report-test')`);
+    for (const n of notices) {
+      await db.run(
+        `INSERT INTO gazette_notices
+           (issue_id, court_station, cause_no, name_of_deceased, name_norm, volume_no, date_published)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [lastID, n.court_station, n.cause_no, n.name_of_deceased, n.name_of_deceased, n.volume_no, n.date_published]
+      );
+    }
+  } finally {
+    await db.close();
+  }
+
+  const [kamau, wanjiru, wanjiku, otieno] = notices;
+  await saveMatchesToDB([
+    toMatchRow(kamau, { _name_raw: "John Kamau" }, { score: 0.9, status: "Approved" }),
+    toMatchRow(wanjiru, { _name_raw: "Ann Wanjiru" }, { score: 0.85, status: "Published" }),
+    toMatchRow(wanjiku, { _name_raw: "Mary Wanjiku" }, { score: 0.95, status: "Approved" }),
+  ]);
+  // Kisumu only has a candidate waiting for review
+  await saveReviewItems([{ g: otieno, ex: { _name_raw: "Peter Otieno" }, score: 0.6, mode: "tokens" }]);
+});
+
+test("buildCourtReport counts notices, matches and pending review per station", async () => {
+  const { totals, courts, filters } = await buildCourtReport({ station: "", from: "2025-01-01" });
+  assert.deepEqual(filters, { from: "2025-01-01" });
+  assert.deepEqual(
+    courts.map((c) => [c.court, c.notices, c.matched, c.approved, c.published, c.pendingReview]),
+    [
+      [KISUMU, 1, 0, 0, 0, 1],
+      [NAIROBI, 2, 2, 1, 1, 0],
+      [NYERI, 1, 1, 1, 0, 0],
+    ]
+  );
+  const nairobi = courts[1];
+  assert.equal(nairobi.dateRange, "2025-01-10 – 2025-02-14");
+  assert.deepEqual(nairobi.volumes, ["Vol. 2025-01-10", "Vol. 2025-02-14"]);
+  assert.equal(courts[2].dateRange, "2025-02-14");
+  assert.deepEqual(totals, {
+    courts: 3,
+    notices: 4,
+    matched: 3,
+    approved: 2,
+    published: 1,
+    pendingReview: 1,
+    dateRange: "2025-01-10 – 2025-03-07",
+  });
+});
+
+test("buildCourtReport narrowed to matches leaves out stations without any", async () => {
+  const { courts } = await buildCourtReport({ status: "Approved" });
+  assert.deepEqual(
+    courts.map((c) => [c.court, c.matched]),
+    [
+      [NAIROBI, 1],
+      [NYERI, 1],
+    ]
+  );
+  await assert.rejects(buildCourtReport({ from: "Feb 2025" }), (err) => err.status === 400);
+});
+
+test("the report workbook and PDF carry the summary and the matches", async () => {
+  const report = await buildCourtReport();
+  const matches = await reportMatches({ station: NAIROBI });
+  assert.deepEqual(
+    matches.map((m) => m.name_of_deceased),
+    ["ANN WANJIRU", "JOHN KAMAU"]
+  );
+
+  const workbook = reportWorkbook(report, matches);
+  assert.deepEqual(workbook.SheetNames, ["Summary", "Matches"]);
+  const summary = xlsx.utils.sheet_to_json(workbook.Sheets.Summary);
+  assert.equal(summary[3]["Court Station"], "TOTAL");
+  assert.equal(summary[3].Matched, 3);
+  assert.equal(xlsx.utils.sheet_to_json(workbook.Sheets.Matches)[0]["Registry Name"], "Ann Wanjiru");
+
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on("data", (c) => chunks.push(c));
+  const done = new Promise((resolve) => stream.on("end", resolve));
+  writeReportPdf(report, stream);
+  await done;
+  assert.equal(Buffer.concat(chunks).subarray(0, 5).toString(), "%PDF-");
+});
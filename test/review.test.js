@@ -0,0 +1,148 @@
+// test/review.test.js
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// initDB opens ./gazette.db: run against a throwaway database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazette-test-"));
+process.chdir(dir);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { initDB, saveMatchesToDB, clearMatches } = await import("../helpers/db.js");
+const { saveReviewItems, decideReviewItems, reviewHistory } = await import("../helpers/review.js");
+const { toMatchRow } = await import("../helpers/match.js");
+
+const notice = {
+  name_of_deceased: "JOHN KAMAU NJOROGE",
+  cause_no: "E123 OF 2025",
+  court_station: "Nairobi High Court",
+  volume_no: "Vol. CXXVII—No. 1",
+  date_published: "2025-01-03",
+};
+const registryRow = (name) => ({ _name_raw: name, _cause_raw: "E123/2025", _station_raw: "Nairobi" });
+
+// Queue one candidate per registry name for the notice; returns their ids
+async function queue(...names) {
+  await saveReviewItems(names.map((name) => ({ g: notice, ex: registryRow(name), score: 0.7, mode: "tokens" })));
+  const db = await initDB();
+  try {
+    const rows = await db.all(`SELECT id, excel_name FROM review_queue`);
+    return names.map((name) => rows.find((r) => r.excel_name === name).id);
+  } finally {
+    await db.close();
+  }
+}
+
+async function state() {
+  const db = await initDB();
+  try {
+    return {
+      matches: await db.all(`SELECT id, status_at_gp FROM gazette_matches`),
+      items: await db.all(`SELECT id, status, match_id, match_status_before FROM review_queue ORDER BY id`),
+    };
+  } finally {
+    await db.close();
+  }
+}
+
+const decide = (ids, decision) => decideReviewItems(ids, decision, { reviewer: "ann" });
+
+beforeEach(async () => {
+  const db = await initDB();
+  try {
+    await db.exec(`DELETE FROM review_decisions; DELETE FROM review_queue; DELETE FROM gazette_matches;`);
+  } finally {
+    await db.close();
+  }
+});
+
+test("rejecting one approval keeps a match another approved item rests on", async () => {
+  const [a, b] = await queue("John Kamau", "John Kamau Njoroge");
+  await decide([a], "approve");
+  await decide([b], "approve");
+
+  const rejected = await decide([a], "reject");
+  assert.equal(rejected.reverted[0].action, "kept");
+  let { matches, items } = await state();
+  assert.equal(matches.length, 1);
+  assert.equal(matches[0].status_at_gp, "Approved");
+  assert.equal(items.find((i) => i.id === b).match_id, matches[0].id);
+
+  // the last approval undone deletes the match the approvals created
+  assert.equal((await decide([b], "reopen")).reverted[0].action, "deleted");
+  ({ matches } = await state());
+  assert.equal(matches.length, 0);
+});
+
+test("undoing approvals in the other order, or together, ends the same way", async () => {
+  const [a, b] = await queue("John Kamau", "John Kamau Njoroge");
+  await decide([a, b], "approve");
+  await decide([b], "reject");
+  await decide([a], "reject");
+  assert.equal((await state()).matches.length, 0);
+
+  await decide([a, b], "approve");
+  await decide([a, b], "reject");
+  assert.equal((await state()).matches.length, 0);
+});
+
+test("a match a match run accepted outlives the approval that created it", async () => {
+  const [a] = await queue("John Kamau");
+  await decide([a], "approve");
+  // what POST /match saves for an accepted pair
+  await saveMatchesToDB([toMatchRow(notice, registryRow("John Kamau"), { status: "Approved", score: 0.9 })]);
+
+  const { reverted } = await decide([a], "reject");
+  assert.deepEqual(reverted[0], { reviewId: a, matchId: reverted[0].matchId, action: "restored", status: "Approved" });
+  const { matches } = await state();
+  assert.equal(matches.length, 1);
+  assert.equal(matches[0].status_at_gp, "Approved");
+});
+
+test("rejecting an approval of an existing match restores its status", async () => {
+  await saveMatchesToDB([toMatchRow(notice, registryRow("J. Kamau"), { status: "Published", score: 0.6 })]);
+  const [a] = await queue("John Kamau");
+  await decide([a], "approve");
+  assert.equal((await state()).matches[0].status_at_gp, "Approved");
+
+  await decide([a], "reopen");
+  const { matches, items } = await state();
+  assert.equal(matches[0].status_at_gp, "Published");
+  assert.equal(items[0].status, "pending");
+  assert.equal(items[0].match_id, null);
+});
+
+test("a decision that changes nothing is not recorded", async () => {
+  const [a] = await queue("John Kamau");
+  await decide([a], "approve");
+  const again = await decide([a, 999], "approve");
+  assert.deepEqual(again.updated, []);
+  assert.deepEqual(again.unchanged, [a]);
+  assert.deepEqual(again.missing, [999]);
+  assert.equal(again.approved, 0);
+  assert.equal((await reviewHistory(a)).length, 1);
+});
+
+test("clearMatches re-opens approved items", async () => {
+  const [a, b] = await queue("John Kamau", "John Kamau Njoroge");
+  await decide([a], "approve");
+  await decide([b], "reject");
+
+  assert.deepEqual(await clearMatches(), { deleted: 1, reopened: 1 });
+  const { matches, items } = await state();
+  assert.equal(matches.length, 0);
+  assert.deepEqual(
+    items.map((i) => [i.status, i.match_id]),
+    [
+      ["pending", null],
+      ["rejected", null],
+    ]
+  );
+  assert.equal((await reviewHistory(a)).at(-1).note, "Matches cleared");
+
+  // approving again writes a fresh match
+  await decide([a], "approve");
+  assert.equal((await state()).matches.length, 1);
+});
@@ -0,0 +1,50 @@
+// test/scoring.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_WEIGHTS, parseWeights, causeAgreement, combineScores } from "../helpers/scoring.js";
+import { scorePair } from "../helpers/match.js";
+import { parseCauseNo } from "../utils/cause.js";
+
+test("parseWeights reads objects and query strings over the defaults", () => {
+  assert.deepEqual(parseWeights(), DEFAULT_WEIGHTS);
+  assert.deepEqual(parseWeights(""), DEFAULT_WEIGHTS);
+  assert.notEqual(parseWeights(), DEFAULT_WEIGHTS);
+  assert.deepEqual(parseWeights("name:0.7, cause:0.2,station:0.1"), { name: 0.7, cause: 0.2, station: 0.1 });
+  assert.deepEqual(parseWeights({ station: 0 }), { ...DEFAULT_WEIGHTS, station: 0 });
+});
+
+test("parseWeights rejects bad weights with a 400", () => {
+  for (const input of ["age:1", "name:", "name:abc", "cause:-1", { name: Infinity }, "name:0,cause:0,station:0"]) {
+    assert.throws(() => parseWeights(input), (err) => err.status === 400, JSON.stringify(input));
+  }
+});
+
+test("causeAgreement", () => {
+  const c = (raw) => parseCauseNo(raw);
+  assert.equal(causeAgreement(c("E123 of 2025"), c("P&A E123/2025")), 1);
+  assert.equal(causeAgreement(c("E123 of 2025"), c("E123 of 2024")), 0);
+  assert.equal(causeAgreement(c("E123 of 2025"), c("123 of 2025")), 0.75);
+  assert.equal(causeAgreement(c("E47/2025"), c("E161/2024 (formerly E47/2025)")), 1);
+  assert.equal(causeAgreement(null, c("E123 of 2025")), null);
+});
+
+test("combineScores leaves out signals with no data", () => {
+  const { score, breakdown } = combineScores({
+    name: { score: 0.9 },
+    cause: { score: 1 },
+    station: { score: null },
+  });
+  assert.equal(score, Number(((0.6 * 0.9 + 0.25) / 0.85).toFixed(4)));
+  assert.equal(breakdown.station.score, null);
+  assert.equal(breakdown.station.weight, DEFAULT_WEIGHTS.station);
+  assert.equal(combineScores({ name: { score: null } }).score, 0);
+});
+
+test("scorePair applies custom weights", () => {
+  const g = { name_of_deceased: "John Kamau Njoroge", cause_no: "E123 of 2025", court_station: "Nairobi High Court" };
+  const ex = { _name_raw: "John Kamau Njoroge", _cause_raw: "E999/2025", _station_raw: "Nairobi" };
+  const byDefault = scorePair(g, ex, "tokens");
+  assert.equal(byDefault.breakdown.cause.score, 0);
+  assert.ok(scorePair(g, ex, "tokens", "cause:0").score > byDefault.score);
+  assert.equal(scorePair(g, ex, "tokens", "cause:0").score, 1);
+});
@@ -0,0 +1,31 @@
+// test/stations.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveStation, splitStation } from "../utils/stations.js";
+import { stationAgreement } from "../helpers/scoring.js";
+
+test("resolveStation maps aliases and court headings onto gazetteer stations", () => {
+  const milimani = resolveStation("Milimani H.C Family Division");
+  assert.equal(milimani.name, "Nairobi High Court");
+  assert.equal(milimani.resolved, true);
+
+  assert.equal(resolveStation("IN THE HIGH COURT OF KENYA AT NAIROBI").name, "Nairobi High Court");
+  assert.equal(resolveStation("Chief Magistrate's Court at Kibera").name, "Kibera Chief Magistrate's Court");
+  assert.deepEqual(splitStation("Kiambu High Court"), { place: "Kiambu", level: "High Court" });
+});
+
+test("resolveStation never invents a station", () => {
+  const unknown = resolveStation("Nowhereville High Court");
+  assert.equal(unknown.resolved, false);
+  assert.equal(unknown.station, null);
+  assert.equal(unknown.level, "High Court");
+  assert.ok(unknown.confidence < 0.85);
+  assert.ok(unknown.suggestion);
+});
+
+test("stationAgreement compares resolved stations and court tiers", () => {
+  assert.equal(stationAgreement("Milimani H.C Family Division", "Nairobi High Court"), 1);
+  assert.equal(stationAgreement("Kibera Chief Magistrate's Court", "Kibera Senior Resident Magistrate's Court"), 1);
+  assert.equal(stationAgreement("Nairobi High Court", "Mombasa High Court"), 0);
+  assert.equal(stationAgreement("", "Nairobi High Court"), null);
+});
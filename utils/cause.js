@@ -0,0 +1,99 @@
+// utils/cause.js
+import { splitStation, resolveStation } from "./stations.js";
+
+// Case types, tested against the text around the number
+const CASE_TYPES = [
+  ["succession", /\bP\s*&\s*A\b|\bSUCC(?:ESSION)?\b|\bPROBATE\b|\bH\.?C\.?S\.?C\b|\bS\.?C\b/],
+  ["miscellaneous", /\bMISC(?:ELLANEOUS)?\b/],
+  ["citation", /\bCITATION\b/],
+];
+
+// Words that belong to the cause number rather than the court or place
+const CAUSE_WORDS_RE =
+  /\b(?:P\s*&\s*A|SUCC(?:ESSION)?|PROBATE|MISC(?:ELLANEOUS)?|CITATION|CAUSE|APPLICATION|APP|NO|NUMBER|H\.?C\.?S\.?C|S\.?C|IN|THE|OF)\b/g;
+
+// Bracketed / trailing remarks seen in registry sheets
+const NOTES = [
+  ["corrigendum", /\bCOR+[IE]GEND|\bCOL+[IE]GEND/],
+  ["resubmission", /\bRESUBMI/],
+  ["appointment", /\bAPPOINTMENT\b/],
+];
+
+// 4-digit years as written; 2-digit years are this century. Typos such as
+// "20224" or "225" are not guessed at.
+function toYear(digits) {
+  if (!digits) return null;
+  if (digits.length === 2) return 2000 + Number(digits);
+  if (digits.length === 4 && Number(digits) >= 1900 && Number(digits) <= 2100) return Number(digits);
+  return null;
+}
+
+// Fix the usual keying slips before matching: "EO48" / "2O24" (letter O
+// for zero), "EE0163", "E-19", "E 303"
+const clean = (s) =>
+  s
+    .toUpperCase()
+    .replace(/[’`]/g, "'")
+    .replace(/["*]/g, " ")
+    .replace(/(?<=\d)O(?=\d)/g, "0")
+    .replace(/\bE+[\s-]*O*(?=\d)/g, (m) => `E${"0".repeat((m.match(/O/g) || []).length)}`);
+
+const NUMBER_RE = /(?<![A-Z0-9])(E)?(\d{1,6})(?:\s*(?:\/|\.|OF)\s*(\d{2,5}))?(?!\d)/;
+
+// The first number in text; type, court and place may be written on either side
+function parseHead(text) {
+  const m = text.match(NUMBER_RE);
+  if (!m) return null;
+
+  const around = `${text.slice(0, m.index)} ${text.slice(m.index + m[0].length)}`;
+  const type = CASE_TYPES.find(([, re]) => re.test(around))?.[0] || null;
+  // a place written into the number: resolved against the gazetteer when possible
+  const court = around.replace(CAUSE_WORDS_RE, " ");
+  const { place, level } = splitStation(court);
+  const known = place ? resolveStation(court) : null;
+
+  const prefix = m[1] ? "E" : "";
+  const number = String(Number(m[2]));
+  const year = toYear(m[3]);
+  return {
+    type,
+    prefix,
+    number,
+    year,
+    station: known?.resolved ? known.name : place ? [place, level].filter(Boolean).join(" ") : null,
+    key: `${prefix}${number}/${year ?? "?"}`,
+  };
+}
+
+/**
+ * Parse a succession cause number however it was written:
+ *   "P&A 123 of 2024", "E123/2024", "Succ. Cause No. 123 of 2024",
+ *   "HCSC Nairobi E12/2025", "E047/2025 (formerly E161/2024 Kiambu High Court)"
+ *
+ * Returns null when there is no number (blank cells, Excel dates), else
+ *   { raw, type, prefix: "E" | "", number, year, station, key, notes, formerly }
+ * type is "succession" | "miscellaneous" | "citation" | null, number has no
+ * leading zeros, year is null when missing or mistyped, key is "E123/2024"
+ * ("E123/?" without a year), station is any place / court written into the
+ * number, notes are remarks such as "corrigendum", and formerly is the
+ * parsed number the cause was transferred from.
+ */
+export function parseCauseNo(raw) {
+  if (raw === null || raw === undefined || raw instanceof Date) return null;
+  const text = clean(String(raw));
+  // Dates that went through a spreadsheet as text: "Thu Aug 01 2019 00:00:00 GMT+0000"
+  if (!text.trim() || /\bGMT\b|^\s*(?:MON|TUE|WED|THU|FRI|SAT|SUN)\b/.test(text)) return null;
+
+  // Remarks start at the first bracket or "FORMERLY"
+  const cut = text.search(/[({[]|\bFORMERLY\b/);
+  const head = cut >= 0 ? text.slice(0, cut) : text;
+  const tail = cut >= 0 ? text.slice(cut) : "";
+
+  const primary = parseHead(head);
+  const formerlyAt = tail.search(/\bFORMERLY\b/);
+  const formerly = formerlyAt >= 0 ? parseHead(tail.slice(formerlyAt + "FORMERLY".length).replace(/[)}\]]/g, " ")) : null;
+  const notes = NOTES.filter(([, re]) => re.test(tail)).map(([note]) => note);
+
+  if (!primary && !formerly) return null;
+  return { raw: String(raw).trim(), ...(primary || formerly), notes, formerly: primary ? formerly : null };
+}
@@ -0,0 +1,25 @@
+// utils/common.js
+
+// A date as the API takes and stores it: "YYYY-MM-DD"
+export const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error carrying the HTTP status the error handler in index.js answers with
+ */
+export const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Parse a JSON column; fallback when it is empty or not valid JSON
+ */
+export const parseJSON = (s, fallback = null) => {
+  if (!s) return fallback;
+  try {
+    return JSON.parse(s);
+  } catch {
+    return fallback;
+  }
+};
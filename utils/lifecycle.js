@@ -0,0 +1,59 @@
+// utils/lifecycle.js
+import { ISO_DATE_RE } from "./common.js";
+
+// Law of Succession Act: a grant is confirmed only after the objection
+// period that starts on the day the notice is gazetted. OBJECTION_PERIOD_DAYS
+// overrides the 30 days.
+export const OBJECTION_PERIOD_DAYS = Number(process.env.OBJECTION_PERIOD_DAYS) || 30;
+
+// Registries work on Kenyan dates regardless of the server's time zone
+const TIME_ZONE = "Africa/Nairobi";
+
+export const LIFECYCLE_STATES = [
+  "not gazetted", // no publication date
+  "objection period running",
+  "ready for grant",
+  "objection lodged",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (iso) => new Date(`${iso}T00:00:00Z`);
+
+/**
+ * Today's date in Kenya, "YYYY-MM-DD"
+ */
+export const todayISO = (now = new Date()) => now.toLocaleDateString("en-CA", { timeZone: TIME_ZONE });
+
+/**
+ * ISO date n days after an ISO date
+ */
+export const addDays = (iso, n) => new Date(toDate(iso).getTime() + n * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Last day of the objection period for a notice published on datePublished
+ * (ISO); null when the date is missing or not ISO
+ */
+export function objectionDeadline(datePublished) {
+  if (!datePublished || !ISO_DATE_RE.test(datePublished)) return null;
+  return addDays(datePublished, OBJECTION_PERIOD_DAYS);
+}
+
+/**
+ * Lifecycle of a gazetted estate (a gazette_matches row):
+ *   { state, objection_deadline, days_remaining }
+ * An objection on record wins; otherwise the state follows the deadline.
+ * days_remaining counts down to the deadline (0 on the last day, negative
+ * once the period is over).
+ */
+export function lifecycleOf(row = {}, today = todayISO()) {
+  const deadline = objectionDeadline(row.date_published);
+  const days = deadline ? Math.round((toDate(deadline) - toDate(today)) / DAY_MS) : null;
+
+  let state;
+  if (row.objection_lodged_at) state = "objection lodged";
+  else if (!deadline) state = "not gazetted";
+  else state = days >= 0 ? "objection period running" : "ready for grant";
+
+  return { state, objection_deadline: deadline, days_remaining: days };
+}
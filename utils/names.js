@@ -0,0 +1,102 @@
+// utils/names.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeCanonical } from "./normalize.js";
+
+// Aliases, particles, spelling variants and phonetic rules live in a JSON
+// dictionary so they can be extended without a code change.
+// NAME_DICTIONARY_PATH points at a replacement file.
+const DEFAULT_DICTIONARY = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "config",
+  "name-dictionary.json"
+);
+
+const escapeRE = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Markers as whole words, however they are spaced ("s / o", "also  known as")
+const markerRE = (patterns) =>
+  patterns.length ? new RegExp(`(?<![a-z])(?:${patterns.join("|")})(?![a-z])`, "gi") : null;
+
+function compile(raw = {}) {
+  const variants = new Map();
+  for (const [canonical, spellings] of Object.entries(raw.variants || {})) {
+    variants.set(canonical, canonical);
+    for (const s of spellings || []) variants.set(String(s).toLowerCase(), canonical);
+  }
+
+  return {
+    // aliasMarkers are regex sources, relationMarkers plain text
+    aliasRE: markerRE((raw.aliasMarkers || []).map((m) => m.replace(/\s+/g, "\\s+"))),
+    relationRE: markerRE(
+      (raw.relationMarkers || []).map((m) =>
+        escapeRE(m).replace(/\s+/g, "\\s+").replace(/\//g, "\\s*\\/\\s*")
+      )
+    ),
+    particles: new Set((raw.particles || []).map((p) => p.toLowerCase())),
+    titles: new Set((raw.titles || []).map((t) => t.toLowerCase())),
+    variants,
+    phonetic: (raw.phonetic || []).map(([from, to]) => [new RegExp(from, "g"), to]),
+    normalizers: raw.normalizers || {},
+  };
+}
+
+let dictionary = null;
+
+/**
+ * (Re)load the name dictionary; defaults to config/name-dictionary.json
+ */
+export function loadNameDictionary(file = process.env.NAME_DICTIONARY_PATH || DEFAULT_DICTIONARY) {
+  dictionary = compile(JSON.parse(fs.readFileSync(file, "utf8")));
+  return dictionary;
+}
+
+const dict = () => dictionary || loadNameDictionary();
+
+/**
+ * Split "John Kamau alias John Njoroge" / "a.k.a." / "also known as" into
+ * the separate names. Returns [name] when there is no alias.
+ */
+export function splitAliases(name = "") {
+  const { aliasRE } = dict();
+  let parts = aliasRE ? String(name).replace(/[()]/g, " ").split(aliasRE) : [];
+  // once there is an alias, commas separate further ones ("X alias Y, Z")
+  if (parts.length > 1) parts = parts.flatMap((p) => p.split(/[,;]/));
+  parts = parts.map((p) => p.replace(/^[\s/-]+|[\s/-]+$/g, "")).filter(Boolean);
+  return parts.length > 1 ? parts : [String(name)];
+}
+
+/**
+ * Canonical tokens of one name (no aliases) for a normaliser
+ * ("exact" | "fuzzy" | "tokens"), in their original order. What is applied
+ * is set per normaliser in the dictionary:
+ *   particles — drop bin / binti / wa / arap …
+ *   variants  — map spelling variants onto one spelling (Mohammed -> mohamed)
+ *   phonetic  — rewrite rules for sound-alike spellings (l/r, ph/f, doubled letters)
+ * Relation markers (s/o, d/o, w/o) and titles are always dropped.
+ */
+export function nameTokens(name = "", normalizer = "tokens") {
+  const d = dict();
+  const opts = d.normalizers[normalizer] || {};
+
+  let s = String(name);
+  if (d.relationRE) s = s.replace(d.relationRE, " ");
+
+  return normalizeCanonical(s)
+    .split(" ")
+    .filter((t) => t && !d.titles.has(t) && !(opts.particles && d.particles.has(t)))
+    .map((t) => (opts.variants && d.variants.get(t)) || t)
+    .map((t) => (opts.phonetic ? d.phonetic.reduce((acc, [re, to]) => acc.replace(re, to), t) : t))
+    .filter(Boolean);
+}
+
+/**
+ * Token lists for every alias of a name, e.g.
+ * "Mohammed Ali alias Ali bin Hassan" -> [["mohamed", "ali"], ["ali", "hassan"]]
+ */
+export const nameKeys = (name = "", normalizer = "tokens") =>
+  splitAliases(name)
+    .map((alias) => nameTokens(alias, normalizer))
+    .filter((tokens) => tokens.length);
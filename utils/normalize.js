@@ -31,7 +31,7 @@ export const tokensAsSet = (name = "") =>
   new Set(tokenizeName(name).split(" ").filter(Boolean));
 
 // Flexible header normalization for Excel-like columns
-const normKey = (k = "") =>
+export const normKey = (k = "") =>
   String(k)
     .toLowerCase()
     .replace(/’/g, "'")
@@ -39,31 +39,6 @@ const normKey = (k = "") =>
     .replace(/\s+/g, " ")
     .trim();
 
-// Try to find the "deceased name" column in arbitrary Excel headers
-export function bestExcelNameKey(row) {
-  if (!row || typeof row !== "object") return "";
-  const map = {};
-  for (const [k, v] of Object.entries(row)) map[normKey(k)] = v;
-
-  const candidates = [
-    "name of the deceased",
-    "name of deceased",
-    "name deceased",
-    "deceased name",
-    "deceased s name",
-    "name deceased s",
-    "name (deceased)",
-    "full name",
-    "fullname",
-    "deceased",
-    "name",
-  ];
-  for (const key of candidates) if (map[key]) return String(map[key]).trim();
-  for (const [k, v] of Object.entries(map))
-    if (k.includes("deceased") && v) return String(v).trim();
-  return "";
-}
-
 // Proper Jaccard similarity
 export function jaccard(tokensA = [], tokensB = []) {
   const setA = new Set(tokensA.filter(Boolean));
@@ -72,3 +47,27 @@ export function jaccard(tokensA = [], tokensB = []) {
   const union = new Set([...setA, ...setB]).size || 1;
   return inter / union;
 }
+
+// American Soundex of one token ("wanjiku" / "wanjiko" -> "w522")
+const SOUNDEX_CODES = {
+  b: "1", f: "1", p: "1", v: "1",
+  c: "2", g: "2", j: "2", k: "2", q: "2", s: "2", x: "2", z: "2",
+  d: "3", t: "3",
+  l: "4",
+  m: "5", n: "5",
+  r: "6",
+};
+export function soundex(token = "") {
+  const s = normalizeName(token).replace(/[^a-z]/g, "");
+  if (!s) return "";
+  let out = s[0];
+  let prev = SOUNDEX_CODES[s[0]] || "";
+  for (let i = 1; i < s.length && out.length < 4; i++) {
+    const ch = s[i];
+    const code = SOUNDEX_CODES[ch] || "";
+    if (code && code !== prev) out += code;
+    // h / w don't separate letters with the same code; vowels do
+    if (ch !== "h" && ch !== "w") prev = code;
+  }
+  return out.padEnd(4, "0");
+}
@@ -0,0 +1,139 @@
+// utils/stations.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { distance } from "fastest-levenshtein";
+
+// Court stations live in a JSON gazetteer so new stations and aliases don't
+// need a code change. COURT_STATIONS_PATH points at a replacement file.
+const DEFAULT_GAZETTEER = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "config",
+  "court-stations.json"
+);
+
+// Court levels, most specific first ("Senior Principal" before "Principal")
+export const COURT_LEVELS = [
+  ["High Court", /\bHIGH\s+COURT\b|\bH\.?\s?C\b/],
+  ["Chief Magistrate's Court", /\bCHIEF\s+MAGISTRATE'?S?\b|\bC\.?M\.?C\b/],
+  ["Senior Principal Magistrate's Court", /\bSENIOR\s+PRINCIPAL\s+MAGISTRATE'?S?\b|\bS\.?P\.?M\.?C\b/],
+  ["Principal Magistrate's Court", /\bPRINCIPAL\s+MAGISTRATE'?S?\b|\bP\.?M\.?C\b/],
+  ["Senior Resident Magistrate's Court", /\bSENIOR\s+RESIDENT\s+MAGISTRATE'?S?\b|\bS\.?R\.?M\.?C\b/],
+  ["Resident Magistrate's Court", /\bRESIDENT\s+MAGISTRATE'?S?\b|\bR\.?M\.?C\b/],
+  ["Kadhi's Court", /\bKADHI'?S?\b/],
+  // rank not stated
+  ["Magistrates Court", /\bMAGISTRATE'?S?\b|\bM\.?C\b/],
+];
+
+// Words naming the court rather than the place
+const COURT_WORDS_RE =
+  /\b(?:IN\s+THE|OF\s+KENYA|AT|HIGH|CHIEF|SENIOR|PRINCIPAL|RESIDENT|MAGISTRATE'?S?|KADHI'?S?|COURTS?|LAW|FAMILY|DIVISION|H\.?\s?C|C\.?M\.?C|S\.?P\.?M\.?C|P\.?M\.?C|S\.?R\.?M\.?C|R\.?M\.?C|M\.?C)\b/g;
+
+const toTitle = (s = "") => s.toLowerCase().replace(/(^|[\s-])([a-z])/g, (_, sep, c) => sep + c.toUpperCase());
+
+// Lookup key: letters only ("Murang'a" / "MURANGA" -> "muranga")
+const keyOf = (s = "") => String(s).toLowerCase().replace(/[^a-z]/g, "");
+
+/**
+ * All magistrates' courts are one tier when comparing stations
+ */
+export const courtTier = (level) => (level && level.includes("Magistrate") ? "Magistrates Court" : level || null);
+
+/**
+ * Split a court name into place and level:
+ *   "Murang'a CMC" -> { place: "Murang'a", level: "Chief Magistrate's Court" }
+ *   "IN THE KADHI'S COURT AT MOMBASA" -> { place: "Mombasa", level: "Kadhi's Court" }
+ * Either part is null when absent.
+ */
+export function splitStation(text = "") {
+  const s = String(text).toUpperCase().replace(/[’`]/g, "'");
+  const level = COURT_LEVELS.find(([, re]) => re.test(s))?.[0] || null;
+  const place = s
+    .replace(COURT_WORDS_RE, " ")
+    .replace(/[^A-Z\s'-]/g, " ")
+    .replace(/(?<![A-Z])['-]|['-](?![A-Z])/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return { place: place ? toTitle(place) : null, level };
+}
+
+let gazetteer = null;
+const cache = new Map();
+
+/**
+ * (Re)load the station gazetteer; defaults to config/court-stations.json.
+ * Entries are a station name or { name, aliases: [] }.
+ */
+export function loadStationGazetteer(file = process.env.COURT_STATIONS_PATH || DEFAULT_GAZETTEER) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const byKey = new Map();
+  const names = [];
+  for (const entry of raw.stations || []) {
+    const { name, aliases = [] } = typeof entry === "string" ? { name: entry } : entry;
+    names.push(name);
+    for (const alias of [name, ...aliases]) byKey.set(keyOf(alias), name);
+  }
+  gazetteer = { byKey, names };
+  cache.clear();
+  return gazetteer;
+}
+
+const stations = () => gazetteer || loadStationGazetteer();
+
+/**
+ * Canonical station names in the gazetteer
+ */
+export const stationNames = () => [...stations().names];
+
+function lookup(place, threshold) {
+  const { byKey } = stations();
+
+  // the whole place, then its leading words ("Kapsabet Magi Trate")
+  const words = place.split(" ");
+  for (let n = words.length; n >= 1; n--) {
+    const hit = byKey.get(keyOf(words.slice(0, n).join(" ")));
+    if (hit) return { station: hit, confidence: n === words.length ? 1 : 0.9 };
+  }
+
+  // closest spelling (OCR slips, typos)
+  const key = keyOf(place);
+  let best = { station: null, confidence: 0 };
+  for (const [k, station] of byKey) {
+    const ratio = 1 - distance(key, k) / (Math.max(key.length, k.length) || 1);
+    if (ratio > best.confidence) best = { station, confidence: ratio };
+  }
+  return best.confidence >= threshold ? best : { station: null, confidence: best.confidence, suggestion: best.station };
+}
+
+/**
+ * Resolve free text ("Milimani H.C Family Division", "IN THE CHIEF
+ * MAGISTRATE'S COURT AT KIAMBU", "Kapsabet Magistrate Court") against the
+ * gazetteer. Never invents a station: text that matches nothing closely
+ * enough comes back unresolved, with the nearest station as a suggestion.
+ *
+ * Returns { input, station, level, name, resolved, confidence, suggestion }
+ * where name is the canonical "Kiambu Chief Magistrate's Court" (null when
+ * unresolved) and confidence is in [0, 1].
+ */
+export function resolveStation(text = "", { threshold = 0.85 } = {}) {
+  const input = String(text ?? "").trim();
+  const cacheKey = `${threshold}|${input}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  const { place, level } = splitStation(input);
+  const hit = place ? lookup(place, threshold) : { station: null, confidence: 0 };
+  const result = {
+    input,
+    station: hit.station,
+    level,
+    name: hit.station ? [hit.station, level].filter(Boolean).join(" ") : null,
+    resolved: Boolean(hit.station),
+    confidence: Number(hit.confidence.toFixed(2)),
+    suggestion: hit.suggestion || null,
+  };
+
+  if (cache.size > 10000) cache.clear();
+  cache.set(cacheKey, result);
+  return result;
+}